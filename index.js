@@ -1,30 +1,62 @@
 /*
  * Samsung AC NASA Protocol Packet Sniffer for Node.js
- * Modular architecture with support for COM port and TCP interfaces
+ * Modular architecture with support for COM port, TCP client, TCP server, UDP, replay and simulator interfaces, one or several at once
  *
  * Installation:
- * npm install serialport dotenv ws
+ * npm install serialport dotenv ws mqtt
  *
  * Usage:
  * node index.js           - CLI mode
  * node index.js --gui     - Web UI mode
+ * node index.js --send --da 20.00.00 --type Read --msg 0x4000 [--dry-run]
+ *                         - Send a single packet (requires ALLOW_TRANSMIT=true)
+ * node index.js --pcapng <packets.json> [output.pcapng]
+ *                         - Convert a packet export to PCAPNG for Wireshark
+ * node index.js --detect [port]
+ *                         - List serial ports and find the baud rate and parity of a bus
+ * node index.js --gui --detect
+ *                         - Choose the serial port and line settings in the web UI before capturing
  */
 
 const dotenv = require("dotenv");
 dotenv.config();
 
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
 const InterfaceFactory = require("./src/interfaces/interface-factory");
-const { PacketAnalyzer } = require("./src/packet-decoder");
+const { PacketAnalyzer, Protocol, catalog, createPacket, parseTimestamp, captureTime } = require("./src/packet-decoder");
 const Logger = require("./src/logger");
+const PacketInjector = require("./src/packet-injector");
+const DeviceInventory = require("./src/device-inventory");
+const DeviceStateStore = require("./src/device-state-store");
+const MessageDiscovery = require("./src/message-discovery");
+const { labels } = require("./src/label-store");
+const { RawRecorder } = require("./src/raw-recorder");
+const { packetsToPcapng } = require("./src/pcapng-writer");
+const MqttPublisher = require("./src/mqtt-publisher");
+const { listSerialPorts, LineSettingsDetector } = require("./src/serial-discovery");
+const StreamServer = require("./src/stream-server");
 
 // ==================== NASA Protocol Packet Sniffer ====================
 
 class NasaSniffer {
-	constructor(interfaceInstance, logger, webSocketServer = null) {
+	constructor(interfaceInstance, logger, webSocketServer = null, options = {}) {
 		this.interface = interfaceInstance;
 		this.logger = logger;
 		this.webSocketServer = webSocketServer;
+		this.injector = options.injector || null;
+		this.recorder = options.recorder || null; // Raw byte recording, fed before decoding
+		this.mqtt = options.mqtt || null; // Publishes decoded values to an MQTT broker
+		this.rawStream = options.rawStream || null; // Serves the received bytes to other tools
+		this.rawStreamSource = options.rawStreamSource || ""; // Interface whose bytes are served, when several are captured
+		this.packetStream = options.packetStream || null; // Serves the decoded packets as NDJSON, in the format of the web UI
+		this.serializePacket = this.packetStream ? require("./src/websocket-server").serializePacket : null;
 		this.isRunning = false;
+		this.packetSequence = 0; // Packet ids, used to link requests and responses
+		this.protocols = new Map(); // Protocol detected on the wire (NASA or non-NASA) per "interface/connection"
+		this.outages = new Map(); // Interface name ("" for a single one) -> { start, reason, gap } while it is disconnected
+		this.finished = new Set(); // Replayed interfaces at the end of their recording, they do not come back
 	}
 
 	async start() {
@@ -34,14 +66,27 @@ class NasaSniffer {
 
 		// Setup event listeners BEFORE connecting
 		this.interface.on("connected", (info) => {
-			console.log(`✓ Connected to ${info.interface} interface`);
-			if (info.interface === "COM") {
-				console.log(`  Port: ${info.port}`);
-				console.log(`  Baud Rate: ${info.baudRate}`);
-				console.log(`  Parity: ${info.parity}`);
-			} else if (info.interface === "TCP") {
-				console.log(`  Host: ${info.host}`);
-				console.log(`  Port: ${info.port}`);
+			const outage = this.outages.get(info.source || "");
+			if (outage) {
+				this._endOutage(info.source || "");
+				console.log(
+					`✓ Reconnected to ${info.interface} interface${info.source ? ` ${info.source}` : ""} after ${((captureTime() - outage.start) / 1000).toFixed(1)}s`,
+				);
+				return;
+			}
+
+			// With several interfaces each one reports its own connection, the commands follow once all are up
+			if (info.source) {
+				console.log(`✓ Connected to ${info.interface} interface ${info.source}`);
+				printInterfaceInfo(info);
+				return;
+			}
+
+			if (info.interface === "MULTI") {
+				console.log(`✓ Capturing from ${info.interfaces.length} interfaces: ${info.interfaces.join(", ")} (sending on ${info.transmit})`);
+			} else {
+				console.log(`✓ Connected to ${info.interface} interface`);
+				printInterfaceInfo(info);
 			}
 			console.log(`${"═".repeat(75)}\n`);
 			console.log("Listening for NASA protocol packets...");
@@ -50,23 +95,67 @@ class NasaSniffer {
 			console.log("  Ctrl+S : Save report");
 			console.log("  Ctrl+P : Print statistics");
 			console.log("  Ctrl+E : Export verbose log");
-			console.log("  Ctrl+X : Export packets (JSON)\n");
+			console.log("  Ctrl+X : Export packets (JSON)");
+			console.log("  Ctrl+W : Export packets (PCAPNG)\n");
+		});
+
+		// Interfaces with several connections (TCP_SERVER) pass the connection the data came from,
+		// several named interfaces (INTERFACES) also pass the interface name
+		this.interface.on("data", (data, time, peer = "", source = "") => {
+			if (this.recorder) {
+				this.recorder.write(data, time, peer, source);
+			}
+			if (this.rawStream && source === this.rawStreamSource) {
+				this.rawStream.send(data);
+			}
+			this.processBuffer(peer, source);
 		});
 
-		this.interface.on("data", () => {
-			this.processBuffer();
+		// TCP_SERVER connections, or the first datagram of a UDP sender
+		this.interface.on("peer-connected", (peer, source = "") => {
+			console.log(`✓ Bridge connected: ${peer}${source ? ` on ${source}` : ""}`);
+		});
+
+		this.interface.on("peer-disconnected", (peer, source = "") => {
+			console.log(`✗ Bridge disconnected: ${peer}${source ? ` on ${source}` : ""}`);
+			this.protocols.delete(`${source}/${peer}`);
+			if (this.recorder) {
+				this.recorder.endStream(peer, source);
+			}
 		});
 
 		this.interface.on("error", (err) => {
 			console.error(`✗ Interface error: ${err.message}`);
 		});
 
-		this.interface.on("disconnected", () => {
-			console.log("✗ Interface disconnected");
+		this.interface.on("disconnected", (reason = "", source = "") => {
+			console.log(`✗ Interface${source ? ` ${source}` : ""} disconnected${reason ? `: ${reason}` : ""}`);
+			if (this.isRunning && !this.finished.has(source) && !this.outages.has(source)) {
+				this.outages.set(source, { start: captureTime(), reason, gap: null });
+				this._broadcastCaptureStatus();
+			}
+		});
+
+		// Interfaces that come back (COM, TCP) announce it, the time until they do is a gap in the capture
+		this.interface.on("reconnecting", (delay, source = "") => {
+			console.log(`⟳ Attempting to reconnect${source ? ` ${source}` : ""} in ${delay / 1000}s...`);
+			const outage = this.outages.get(source);
+			if (outage && !outage.gap) {
+				outage.gap = this.logger.startGap({ interface: source, start: outage.start, reason: outage.reason });
+			}
 		});
 
-		this.interface.on("reconnecting", (delay) => {
-			console.log(`⟳ Attempting to reconnect in ${delay / 1000}s...`);
+		this.interface.on("end", (info) => {
+			const name = info.source ? ` ${info.source}` : "";
+			if (!info.loop) {
+				this.finished.add(info.source || "");
+			}
+			console.log(info.loop ? `⟳ End of recording${name} (pass ${info.passes}), replaying again...` : `✓ End of recording${name}`);
+		});
+
+		// Scripted events of the simulator (SIM)
+		this.interface.on("scenario", (step, source = "") => {
+			console.log(`⚙ Scenario ${step.scenario}${source ? ` on ${source}` : ""} at ${step.at}s: ${step.text}`);
 		});
 
 		// Connect to interface
@@ -80,32 +169,99 @@ class NasaSniffer {
 		this.isRunning = true;
 	}
 
-	processBuffer() {
-		const buffer = this.interface.getBuffer();
-		const result = PacketAnalyzer.analyzeBuffer(buffer);
+	/**
+	 * Decode the buffered bytes of the interface
+	 * @param {string} peer - Connection whose buffer is decoded, "" for single stream interfaces
+	 * @param {string} source - Name of the interface the bytes came from, "" unless several are configured
+	 */
+	processBuffer(peer = "", source = "") {
+		const stream = `${source}/${peer}`;
+		const buffer = this.interface.getBuffer(peer, source);
+		const protocol = this.protocols.get(stream) || null;
+		const result = PacketAnalyzer.analyzeBuffer(buffer, {
+			protocol,
+			getArrivalTime: (offset) => this.interface.getArrivalTime(offset, peer, source),
+		});
+
+		if (result.protocol && result.protocol !== protocol) {
+			const from = [source, peer].filter((part) => part).join(" ");
+			console.log(`✓ Detected ${result.protocol} protocol${from ? ` from ${from}` : ""}`);
+			this.protocols.set(stream, result.protocol);
+		}
 
 		// Clear processed data from buffer
 		if (result.packets.length > 0 || result.errors.length > 0) {
 			const consumed = buffer.length - result.remainingBuffer.length;
-			this.interface.clearBuffer(consumed);
+			this.interface.clearBuffer(consumed, peer, source);
 		}
 
 		// Process packets
 		result.packets.forEach((packet) => {
+			packet.id = ++this.packetSequence;
+			if (source) {
+				packet.interface = source;
+			}
+			if (peer) {
+				packet.peer = peer;
+			}
 			this.logger.logPacket(packet);
 
 			// Broadcast to WebSocket clients if GUI mode is enabled
 			if (this.webSocketServer) {
 				this.webSocketServer.broadcastPacket(packet);
 			}
+
+			if (this.mqtt) {
+				this.mqtt.publishPacket(packet);
+			}
+
+			if (this.packetStream) {
+				this.packetStream.send(JSON.stringify(this.serializePacket(packet)) + "\n");
+			}
+
+			// Match answers to injected packets
+			if (this.injector) {
+				this.injector.handlePacket(packet);
+			}
 		});
 
 		// Log errors
 		result.errors.forEach((error) => {
+			if (source) {
+				error.interface = source;
+			}
+			if (peer) {
+				error.peer = peer;
+			}
 			this.logger.logError(error);
 		});
 	}
 
+	_endOutage(source) {
+		const outage = this.outages.get(source);
+		this.outages.delete(source);
+		if (outage.gap) {
+			this.logger.endGap(outage.gap, captureTime());
+		}
+		this._broadcastCaptureStatus();
+	}
+
+	/**
+	 * Interfaces that are disconnected right now, shown by the status indicator of the web UI
+	 * @returns {Object} { disconnected: [{ interface, since: epoch ms, reason }] }
+	 */
+	getCaptureStatus() {
+		return {
+			disconnected: Array.from(this.outages.entries()).map(([source, outage]) => ({ interface: source, since: outage.start, reason: outage.reason })),
+		};
+	}
+
+	_broadcastCaptureStatus() {
+		if (this.webSocketServer) {
+			this.webSocketServer.broadcast("capture-status", this.getCaptureStatus());
+		}
+	}
+
 	async stop() {
 		console.log("\n\nShutting down...");
 		this.isRunning = false;
@@ -116,6 +272,30 @@ class NasaSniffer {
 		// Close logger
 		this.logger.close();
 
+		if (this.injector) {
+			this.injector.close();
+		}
+
+		if (this.recorder) {
+			this.recorder.close();
+			const info = this.recorder.getInfo();
+			if (info.files > 0) {
+				console.log(`✓ Raw recording: ${info.totalBytes} bytes in ${info.files} file(s), last ${info.filename}`);
+			}
+		}
+
+		if (this.mqtt) {
+			await this.mqtt.close();
+			const info = this.mqtt.getInfo();
+			console.log(`✓ MQTT: ${info.published} values published to ${info.topics} topics`);
+		}
+
+		for (const stream of [this.rawStream, this.packetStream].filter((server) => server)) {
+			const info = stream.getInfo();
+			await stream.close();
+			console.log(`✓ ${info.format} stream: ${info.totalClients} client(s) served${info.rejected ? `, ${info.rejected} rejected` : ""}`);
+		}
+
 		// Close interface
 		await this.interface.close();
 		console.log("✓ Interface closed");
@@ -127,6 +307,423 @@ class NasaSniffer {
 	}
 }
 
+/**
+ * Print the settings of a connected interface
+ * @param {Object} info - Payload of the interface "connected" event
+ */
+function printInterfaceInfo(info) {
+	if (info.interface === "COM") {
+		console.log(`  Port: ${info.port}`);
+		console.log(`  Baud Rate: ${info.baudRate}`);
+		console.log(`  Parity: ${info.parity}`);
+	} else if (info.interface === "TCP") {
+		console.log(`  Host: ${info.host}`);
+		console.log(`  Port: ${info.port}`);
+	} else if (info.interface === "TCP_SERVER") {
+		console.log(`  Listening on: ${info.host}:${info.port}`);
+	} else if (info.interface === "UDP") {
+		console.log(`  Listening on: ${info.host}:${info.port}${info.multicastGroup ? ` (multicast ${info.multicastGroup})` : ""}`);
+		console.log(`  Framing: ${info.framing}`);
+	} else if (info.interface === "REPLAY") {
+		console.log(`  File: ${info.file} (${info.format}, ${(info.duration / 1000).toFixed(1)}s)`);
+		if (info.recordedFrom) {
+			const settings = info.recordedFrom;
+			const source = settings.host ? `${settings.host}:${settings.port}` : settings.port || settings.file;
+			console.log(`  Recorded From: ${settings.type} ${source}${settings.baudRate ? ` (${settings.baudRate} baud, ${settings.parity} parity)` : ""}`);
+		}
+		console.log(`  Speed: ${info.speed}x${info.loop ? ", looping" : ""}`);
+		if (info.startOffset > 0) {
+			console.log(`  Start Offset: ${info.startOffset}s`);
+		}
+	} else if (info.interface === "SIM") {
+		info.devices.forEach((device) => console.log(`  ${device.role}: ${device.address}`));
+		console.log(`  Scenario: ${info.scenario || "none"}`);
+		console.log(`  Speed: ${info.speed}x, Seed: ${info.seed}`);
+	}
+}
+
+// ==================== User Labels ====================
+
+/**
+ * Let web clients read and edit the user labels
+ * Changes are re-applied to the device state and to the packet history shown in the web UI
+ * @param {WebSocketServer} webSocketServer - Server to register the handlers on
+ * @param {DeviceStateStore} state - State store whose names are refreshed
+ */
+function registerLabelHandlers(webSocketServer, state) {
+	webSocketServer.registerInitProvider("labels", () => labels.toJSON());
+
+	webSocketServer.registerHandler("labels-set", (message) => {
+		if (message.kind === "device") {
+			labels.setDeviceLabel(message.key, message.label);
+		} else if (message.kind === "message") {
+			labels.setMessageLabel(message.key, message.label);
+		} else {
+			throw new Error(`Unknown label kind: ${message.kind}`);
+		}
+		return { labels: labels.toJSON() };
+	});
+
+	labels.on("change", (current) => {
+		state.relabel();
+		webSocketServer.broadcast("labels", { labels: current, ...webSocketServer.relabelHistory() });
+	});
+}
+
+// ==================== PCAPNG Export ====================
+
+/**
+ * PCAPNG interface name and description of a capture interface
+ * @param {Object} info - Interface getInfo() result
+ * @returns {Object} { name, description }
+ */
+function describeCaptureInterface(info) {
+	switch (info.type) {
+		case "COM":
+			return {
+				name: info.port,
+				description: `Serial ${info.baudRate} baud ${info.dataBits}${info.parity[0].toUpperCase()}${info.stopBits}`,
+			};
+		case "TCP":
+			return { name: `${info.host}:${info.port}`, description: "TCP client" };
+		case "TCP_SERVER":
+			return { name: `${info.host}:${info.port}`, description: "TCP server, one interface per bridge" };
+		case "UDP":
+			return { name: `udp ${info.multicastGroup || info.host}:${info.port}`, description: `UDP, ${info.framing} framing, one interface per sender` };
+		case "REPLAY":
+			return { name: path.basename(info.file), description: "Replayed recording" };
+		case "SIM":
+			return { name: "sim", description: `Simulated bus, ${info.indoorUnits} indoor units${info.scenario ? `, scenario ${info.scenario}` : ""}` };
+		case "MULTI": {
+			// Packets are tagged with their interface name, every interface gets its own PCAPNG interface
+			const interfaces = {};
+			Object.entries(info.interfaces).forEach(([name, settings]) => {
+				const { name: device, description } = describeCaptureInterface(settings);
+				interfaces[name] = description ? `${device}, ${description}` : device;
+			});
+			return { name: "multi", description: `${Object.keys(interfaces).length} interfaces`, interfaces };
+		}
+		default:
+			return { name: info.type, description: "" };
+	}
+}
+
+/**
+ * Offer a PCAPNG download of packets in the web UI
+ * @param {WebSocketServer} webSocketServer - Server serving the download
+ * @param {Function} build - () => Buffer with the PCAPNG content
+ */
+function registerPcapngDownload(webSocketServer, build) {
+	webSocketServer.registerDownload("/export/packets.pcapng", () => ({
+		filename: `nasa_packets_${new Date().toISOString().replace(/:/g, "-").split(".")[0]}.pcapng`,
+		contentType: "application/x-pcapng",
+		content: build(),
+	}));
+}
+
+/**
+ * Convert a packet export (JSON) to PCAPNG
+ * Frames are decoded again from their raw data, so comments follow the current catalog and labels
+ * @param {string} input - Packet export file
+ * @param {string} output - PCAPNG file to write, defaults to the input name with a .pcapng extension
+ * @param {Object} options - packetsToPcapng options (local addresses)
+ * @returns {string} Path to the written file
+ */
+function convertExportToPcapng(input, output, options) {
+	const exportData = JSON.parse(fs.readFileSync(input, "utf8"));
+	const exported = exportData.packets || exportData.p;
+	if (!exported) {
+		throw new Error("Invalid packet file format");
+	}
+
+	// Same full and minimized attribute names as the view mode loader
+	const packets = [];
+	exported.forEach((p) => {
+		const packet = createPacket(p.protocol || p.pr || Protocol.Nasa);
+		const time = p.time !== undefined ? p.time : p.ts !== undefined ? p.ts : parseTimestamp(p.timestamp || p.t);
+		if (!packet.decode(Buffer.from(p.rawData || p.rd || []), time).success) {
+			return;
+		}
+		packet.id = p.id !== undefined ? p.id : p.i;
+		packet.pairId = p.pairId !== undefined ? p.pairId : p.pi;
+		packet.latency = p.latency !== undefined ? p.latency : p.l;
+		packet.interface = p.interface || p.if;
+		packet.peer = p.peer || p.pe;
+		packets.push(packet);
+	});
+	packets.sort((a, b) => a.time - b.time);
+	const gaps = (exportData.g || []).map((gap) => ({ interface: gap.if, start: gap.ts, end: gap.te, reason: gap.r }));
+
+	const filename = output || `${input.replace(/\.json$/i, "")}.pcapng`;
+	fs.writeFileSync(filename, packetsToPcapng(packets, { interfaceName: path.basename(input), gaps, ...options }));
+
+	console.log(`✓ Converted ${packets.length} of ${exported.length} packets: ${filename}`);
+	return filename;
+}
+
+// ==================== MQTT ====================
+
+/**
+ * Create the MQTT publisher and report its connection state on the console
+ * Errors are only logged, capture goes on while the broker is unreachable
+ * @param {Object} options - MqttPublisher options
+ * @returns {MqttPublisher}
+ */
+function createMqttPublisher(options) {
+	const mqtt = new MqttPublisher(options);
+
+	mqtt.on("connected", (info) => {
+		console.log(`✓ MQTT connected to ${info.url} (topics ${options.topicPrefix}/#${options.homeAssistant ? ", Home Assistant discovery" : ""})`);
+	});
+	mqtt.on("disconnected", () => {
+		console.log("⚠ MQTT broker connection lost, keeping the latest values until it is back");
+	});
+	mqtt.on("reconnecting", () => {
+		console.log(`⟳ MQTT reconnecting to ${options.url}...`);
+	});
+	mqtt.on("error", (err) => {
+		console.error(`✗ MQTT error: ${err.message}`);
+	});
+
+	mqtt.connect();
+	return mqtt;
+}
+
+// ==================== Stream Server ====================
+
+/**
+ * Start a stream server and report its clients on the console
+ * @param {Object} options - StreamServer options
+ * @returns {Promise<StreamServer>}
+ */
+async function startStreamServer(options) {
+	const server = new StreamServer(options);
+	const name = `${options.format} stream`;
+
+	server.on("client-connected", (address) => {
+		console.log(`✓ ${name} client connected: ${address} (${server.clients.size} connected)`);
+	});
+	server.on("client-disconnected", (address, info) => {
+		console.log(`✗ ${name} client disconnected: ${address} (${info.bytes} bytes sent${info.dropped ? `, ${info.dropped} dropped` : ""})`);
+	});
+	server.on("client-rejected", (address) => {
+		console.log(`⚠ ${name} client rejected: ${address} (limit of ${options.maxClients} clients reached)`);
+	});
+	server.on("client-stalled", (address) => {
+		console.log(`⚠ ${name} client ${address} is not keeping up, dropping its data until it catches up`);
+	});
+	server.on("client-resumed", (address, dropped) => {
+		console.log(`✓ ${name} client ${address} caught up (${dropped} bytes dropped so far)`);
+	});
+	server.on("error", (err) => {
+		console.error(`✗ ${name} error: ${err.message}`);
+	});
+
+	await server.start();
+	console.log(`✓ Serving the ${name} on ${options.host}:${options.port}`);
+	return server;
+}
+
+// ==================== Serial Detection ====================
+
+function printSerialPorts(ports) {
+	if (ports.length === 0) {
+		console.log("No serial ports found");
+		return;
+	}
+
+	console.log("Serial ports:");
+	ports.forEach((port, index) => {
+		const details = [port.manufacturer, port.vendorId && port.productId ? `${port.vendorId}:${port.productId}` : null, port.serialNumber]
+			.filter((detail) => detail)
+			.join(", ");
+		console.log(`  ${String(index + 1).padStart(2)}. ${port.path}${details ? ` (${details})` : ""}`);
+	});
+}
+
+// Ask for a port by its number in the list or its path
+function askForPort(ports) {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	return new Promise((resolve) => {
+		rl.question("\nPort to test (number or path): ", (answer) => {
+			rl.close();
+			const index = parseInt(answer, 10);
+			resolve(String(index) === answer.trim() && ports[index - 1] ? ports[index - 1].path : answer.trim());
+		});
+	});
+}
+
+/**
+ * List the serial ports and detect the line settings of one of them on the console
+ * @param {string|null} path - Port to test, asked for when not given
+ * @param {Object} options - LineSettingsDetector options
+ */
+async function runSerialDetection(path, options) {
+	let ports = [];
+	try {
+		ports = await listSerialPorts();
+		printSerialPorts(ports);
+	} catch (err) {
+		// A port given by name can still be tested
+		if (!path) {
+			throw err;
+		}
+		console.log(`⚠ ${err.message}`);
+	}
+
+	if (!path) {
+		if (ports.length === 0 || !process.stdin.isTTY) {
+			console.log("\nUsage: node index.js --detect <port>");
+			return;
+		}
+		path = await askForPort(ports);
+		if (!path) {
+			return;
+		}
+	}
+
+	const detector = new LineSettingsDetector(options);
+	console.log(`\nListening on ${path} for ${detector.options.window / 1000}s per setting...`);
+	detector.on("progress", ({ index, total, baudRate, parity }) => {
+		process.stdout.write(`  [${String(index + 1).padStart(2)}/${total}] ${String(baudRate).padStart(6)} baud, ${parity.padEnd(4)} parity: `);
+	});
+	detector.on("result", (result) => {
+		console.log(`${result.packets} valid frames, ${result.crcErrors} CRC errors, ${result.bytes} bytes`);
+	});
+
+	const { best } = await detector.detect(path);
+	if (!best) {
+		console.log(`\n✗ No valid frames on ${path} with any setting. Check the wiring (A/B swapped?) and that the bus is active.`);
+		return;
+	}
+
+	console.log(
+		`\n✓ Recommended settings for ${path}: ${best.baudRate} baud, ${best.parity} parity (${best.protocol}, ${best.packets} valid frames, ${Math.round(best.coverage * 100)}% of the bytes)`,
+	);
+	console.log(`  COM_PORT=${path}`);
+	console.log(`  BAUD_RATE=${best.baudRate}`);
+	console.log(`  PARITY=${best.parity}`);
+}
+
+/**
+ * Let the web UI pick the serial port and line settings before capture starts
+ * The page shows a setup dialog while the returned promise is pending
+ * @param {WebSocketServer} webSocketServer - Server to register the handlers on
+ * @param {Object} configured - { path, baudRate, parity } from the environment
+ * @param {Object} options - LineSettingsDetector options
+ * @returns {Promise<Object>} { path, baudRate, parity } chosen in the web UI
+ */
+function offerSerialSetup(webSocketServer, configured, options) {
+	return new Promise((resolve) => {
+		const detector = new LineSettingsDetector(options);
+		let pending = true;
+
+		detector.on("progress", (progress) => webSocketServer.broadcast("serial-detect-progress", progress));
+		detector.on("result", (result) => webSocketServer.broadcast("serial-detect-score", result));
+
+		webSocketServer.registerInitProvider("serialSetup", () => (pending ? { configured, window: detector.options.window } : null));
+		webSocketServer.registerHandler("serial-ports", async () => ({ ports: await listSerialPorts() }));
+		webSocketServer.registerHandler("serial-detect", (message) => detector.detect(message.path));
+		webSocketServer.registerHandler("serial-use", (message) => {
+			const settings = { path: String(message.path || "").trim(), baudRate: parseInt(message.baudRate, 10), parity: message.parity };
+			if (!pending) {
+				throw new Error("Capture has already started");
+			}
+			if (!settings.path || !(settings.baudRate > 0) || !["none", "even", "odd", "mark", "space"].includes(settings.parity)) {
+				throw new Error("Invalid serial settings");
+			}
+			if (detector.isRunning) {
+				throw new Error("Wait for the detection to finish");
+			}
+
+			pending = false;
+			resolve(settings);
+			return { started: true };
+		});
+
+		console.log(`⚙ Choose the serial port in the web UI: http://localhost:${webSocketServer.port}`);
+	});
+}
+
+// ==================== Send Mode ====================
+
+/**
+ * Send a single packet from the command line
+ * Shows a dry-run preview, asks for confirmation and waits for the matching response
+ * @param {Object} options - { spec, dryRun, injectorOptions, env }
+ */
+async function sendPacket(options) {
+	const previewInjector = new PacketInjector(null, options.injectorOptions);
+	const preview = previewInjector.preview(options.spec);
+
+	console.log("\nPacket to send:");
+	console.log(preview.packet.toFormattedString(true));
+
+	if (options.dryRun) {
+		console.log("Dry run - nothing was sent.");
+		return;
+	}
+
+	if (!options.injectorOptions.enabled) {
+		throw new Error("Packet injection is disabled. Set ALLOW_TRANSMIT=true to enable sending.");
+	}
+
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	const answer = await new Promise((resolve) => rl.question(`Send ${preview.bytes.length} bytes onto the bus? [y/N] `, resolve));
+	rl.close();
+	if (answer.trim().toLowerCase() !== "y") {
+		console.log("Cancelled - nothing was sent.");
+		return;
+	}
+
+	const interfaceInstance = InterfaceFactory.createFromEnv(options.env);
+	const injector = new PacketInjector(interfaceInstance, options.injectorOptions);
+
+	interfaceInstance.on("data", () => {
+		const buffer = interfaceInstance.getBuffer();
+		const result = PacketAnalyzer.analyzeBuffer(buffer, { getArrivalTime: (offset) => interfaceInstance.getArrivalTime(offset) });
+		interfaceInstance.clearBuffer(buffer.length - result.remainingBuffer.length);
+		result.packets.forEach((packet) => injector.handlePacket(packet));
+	});
+	interfaceInstance.on("error", (err) => {
+		console.error(`✗ Interface error: ${err.message}`);
+	});
+
+	await interfaceInstance.connect();
+
+	try {
+		const outcome = new Promise((resolve) => {
+			injector.once("response", (request, response) => resolve(response));
+			injector.once("timeout", () => resolve(null));
+		});
+
+		// Keep the previewed packet number so the sent bytes match what was confirmed
+		const sent = await injector.send({ ...options.spec, packetNumber: preview.packet.command.packetNumber }, { confirmed: true });
+		console.log(`✓ Sent: ${sent.hex}`);
+
+		const response = await outcome;
+		if (response) {
+			console.log("\nResponse:");
+			console.log(response.toFormattedString(true));
+		} else {
+			console.log(`✗ No response within ${options.injectorOptions.responseTimeout}ms`);
+		}
+	} finally {
+		injector.close();
+		await interfaceInstance.close();
+	}
+}
+
+function getArgValues(args, name) {
+	const values = [];
+	args.forEach((arg, index) => {
+		if (arg === name && args[index + 1] !== undefined) {
+			values.push(args[index + 1]);
+		}
+	});
+	return values;
+}
+
 // ==================== Main ====================
 
 async function main() {
@@ -136,11 +733,84 @@ async function main() {
 	const viewModeIndex = args.findIndex((arg) => arg === "--view");
 	const viewMode = viewModeIndex !== -1;
 	const viewFile = viewMode && args[viewModeIndex + 1] ? args[viewModeIndex + 1] : null;
+	const sendMode = args.includes("--send");
+	const detectIndex = args.findIndex((arg) => arg === "--detect");
+	const pcapngIndex = args.findIndex((arg) => arg === "--pcapng");
 
 	// Configuration from environment
 	const OUTPUT_DIR = process.env.OUTPUT_DIR || "./nasa_logs";
 	const WEB_PORT = parseInt(process.env.WEB_PORT || "8080");
-	const LOG_FORMAT = process.env.LOG_FORMAT || "compact"; // 'compact', 'verbose', or 'none'
+	const WEB_OPTIONS = {
+		host: process.env.WEB_HOST || "127.0.0.1", // 0.0.0.0 to open the web UI to the network
+		allowedOrigins: (process.env.WEB_ALLOWED_ORIGINS || "")
+			.split(",")
+			.map((origin) => origin.trim())
+			.filter((origin) => origin.length > 0),
+	};
+	const LOG_FORMAT = process.env.LOG_FORMAT || "compact"; // 'compact', 'verbose', 'changes', 'changes-verbose', or 'none'
+	const LOG_HEARTBEAT_INTERVAL = parseInt(process.env.LOG_HEARTBEAT_INTERVAL || "60"); // seconds, change-only formats
+	const LOG_INTERFACES = process.env.LOG_INTERFACES || ""; // Named interfaces whose packets are logged, comma-separated (empty = all)
+	const MESSAGE_CATALOG = process.env.MESSAGE_CATALOG || ""; // Extra catalog files, comma-separated
+	const LABELS_FILE = process.env.LABELS_FILE || "./labels.json"; // User message and device labels
+	const RAW_RECORD = process.env.RAW_RECORD === "true"; // Record every received chunk to a binary file
+	const RAW_RECORD_MAX_SIZE = parseFloat(process.env.RAW_RECORD_MAX_SIZE || "50"); // MB per file before rotating, 0 = never
+	const MQTT_OPTIONS = {
+		url: process.env.MQTT_URL || "", // e.g. mqtt://localhost:1883, publishing is off when empty
+		username: process.env.MQTT_USERNAME,
+		password: process.env.MQTT_PASSWORD,
+		clientId: process.env.MQTT_CLIENT_ID,
+		topicPrefix: process.env.MQTT_TOPIC_PREFIX || "nasa",
+		retain: process.env.MQTT_RETAIN !== "false",
+		minInterval: parseInt(process.env.MQTT_MIN_INTERVAL || "1000"), // ms between two publishes of one topic
+		homeAssistant: process.env.MQTT_HA_DISCOVERY === "true",
+		discoveryPrefix: process.env.MQTT_HA_PREFIX || "homeassistant",
+		reconnectDelay: parseInt(process.env.MQTT_RECONNECT_DELAY || "5000"),
+	};
+	const STREAM_OPTIONS = {
+		host: process.env.STREAM_HOST || "127.0.0.1", // 0.0.0.0 to serve other machines
+		rawPort: parseInt(process.env.STREAM_PORT || "0"), // Received bytes, off when 0
+		ndjsonPort: parseInt(process.env.STREAM_NDJSON_PORT || "0"), // Decoded packets, one JSON object per line, off when 0
+		source: process.env.STREAM_INTERFACE || "", // Interface whose bytes are served when several are captured
+		maxClients: parseInt(process.env.STREAM_MAX_CLIENTS || "10"), // 0 = no limit
+		maxBuffered: parseInt(process.env.STREAM_MAX_BUFFER || "1048576"), // bytes queued per client before its data is dropped
+	};
+	const DETECT_OPTIONS = {
+		window: parseInt(process.env.DETECT_WINDOW || "2000"), // ms to listen per baud rate / parity combination
+		baudRates: (process.env.DETECT_BAUD_RATES || "")
+			.split(",")
+			.map((rate) => parseInt(rate, 10))
+			.filter((rate) => rate > 0),
+	};
+	const INJECTOR_OPTIONS = {
+		enabled: process.env.ALLOW_TRANSMIT === "true", // Sending is disabled unless explicitly allowed
+		source: process.env.TRANSMIT_SOURCE || "80.FF.00",
+		responseTimeout: parseInt(process.env.TRANSMIT_RESPONSE_TIMEOUT || "2000"),
+	};
+
+	// Load user message definitions on top of the bundled catalog
+	MESSAGE_CATALOG.split(",")
+		.map((file) => file.trim())
+		.filter((file) => file.length > 0)
+		.forEach((file) => {
+			try {
+				const count = catalog.loadFile(file);
+				console.log(`✓ Loaded ${count} message definitions from ${file}`);
+			} catch (err) {
+				console.error(`✗ ${err.message}`);
+				process.exit(1);
+			}
+		});
+
+	// Load user labels, they are saved back to the same file when edited from the web UI
+	try {
+		const count = labels.loadFile(LABELS_FILE);
+		if (count > 0) {
+			console.log(`✓ Loaded ${count} labels from ${LABELS_FILE}`);
+		}
+	} catch (err) {
+		console.error(`✗ ${err.message}`);
+		process.exit(1);
+	}
 
 	// ==================== VIEW MODE ====================
 	if (viewMode) {
@@ -152,10 +822,46 @@ async function main() {
 
 		try {
 			const WebSocketServer = require("./src/websocket-server");
-			const webSocketServer = new WebSocketServer(WEB_PORT, true); // true = view mode
+			const webSocketServer = new WebSocketServer(WEB_PORT, true, WEB_OPTIONS); // true = view mode
 
-			// Load packets from file
+			// Load packets from file, names follow the catalog and labels of this run
 			webSocketServer.loadPacketsFromFile(viewFile);
+			webSocketServer.relabelHistory();
+
+			// Rebuild the device inventory, state and unknown message profiles from the raw packet data
+			const loadedPackets = webSocketServer.getLoadedPackets();
+			const inventory = new DeviceInventory();
+			const state = new DeviceStateStore();
+			const discovery = new MessageDiscovery();
+			loadedPackets.forEach((packet) => {
+				inventory.process(packet);
+				state.process(packet);
+				discovery.process(packet);
+			});
+			webSocketServer.registerHandler("inventory", () => inventory.toJSON());
+			webSocketServer.registerHandler("discovery", () => discovery.toJSON());
+			webSocketServer.registerInitProvider("diagnostics", () => webSocketServer.loadedDiagnostics);
+			webSocketServer.registerInitProvider("interfaces", () =>
+				Array.from(new Set(loadedPackets.filter((packet) => packet.interface).map((packet) => packet.interface))),
+			);
+			registerLabelHandlers(webSocketServer, state);
+			registerPcapngDownload(webSocketServer, () =>
+				packetsToPcapng(loadedPackets, {
+					interfaceName: path.basename(viewFile),
+					localAddresses: [INJECTOR_OPTIONS.source],
+					gaps: webSocketServer.loadedGaps,
+				}),
+			);
+
+			// "until" replays the state up to a packet id, to see the values at that point of the recording
+			webSocketServer.registerHandler("state", (message) => {
+				if (message.until === undefined) {
+					return { state: state.getSnapshot(message.device) };
+				}
+				const replay = new DeviceStateStore();
+				loadedPackets.filter((packet) => packet.id <= message.until).forEach((packet) => replay.process(packet));
+				return { state: replay.getSnapshot(message.device) };
+			});
 
 			// Start server
 			await webSocketServer.start();
@@ -179,6 +885,59 @@ async function main() {
 		}
 	}
 
+	// ==================== SEND MODE ====================
+	if (sendMode) {
+		try {
+			await sendPacket({
+				spec: {
+					sa: getArgValues(args, "--sa")[0],
+					da: getArgValues(args, "--da")[0],
+					dataType: getArgValues(args, "--type")[0] || "Read",
+					messages: getArgValues(args, "--msg").join(","),
+				},
+				dryRun: args.includes("--dry-run"),
+				injectorOptions: INJECTOR_OPTIONS,
+				env: process.env,
+			});
+			process.exit(0);
+		} catch (err) {
+			console.error(`✗ Failed to send packet: ${err.message}`);
+			console.error("Usage: node index.js --send --da <address> [--sa <address>] [--type Read|Write|Request] --msg <0x4000[=value]> [--dry-run]");
+			process.exit(1);
+		}
+	}
+
+	// ==================== PCAPNG CONVERSION ====================
+	if (pcapngIndex !== -1) {
+		const input = args[pcapngIndex + 1];
+		if (!input) {
+			console.error("✗ Error: --pcapng requires a packet export file");
+			console.error("Usage: node index.js --pcapng <packet-file.json> [output.pcapng]");
+			process.exit(1);
+		}
+
+		try {
+			const output = args[pcapngIndex + 2] && !args[pcapngIndex + 2].startsWith("--") ? args[pcapngIndex + 2] : null;
+			convertExportToPcapng(input, output, { localAddresses: [INJECTOR_OPTIONS.source] });
+			process.exit(0);
+		} catch (err) {
+			console.error(`✗ Failed to convert to PCAPNG: ${err.message}`);
+			process.exit(1);
+		}
+	}
+
+	// ==================== SERIAL DETECTION ====================
+	if (detectIndex !== -1 && !guiMode) {
+		try {
+			const port = args[detectIndex + 1] && !args[detectIndex + 1].startsWith("--") ? args[detectIndex + 1] : null;
+			await runSerialDetection(port, DETECT_OPTIONS);
+			process.exit(0);
+		} catch (err) {
+			console.error(`✗ Serial detection failed: ${err.message}`);
+			process.exit(1);
+		}
+	}
+
 	// ==================== NORMAL/GUI MODE ====================
 
 	// Initialize WebSocket server if GUI mode is enabled
@@ -186,7 +945,7 @@ async function main() {
 	if (guiMode) {
 		try {
 			const WebSocketServer = require("./src/websocket-server");
-			webSocketServer = new WebSocketServer(WEB_PORT, false); // false = live mode
+			webSocketServer = new WebSocketServer(WEB_PORT, false, WEB_OPTIONS); // false = live mode
 			await webSocketServer.start();
 		} catch (err) {
 			console.error(`✗ Failed to start WebSocket server: ${err.message}`);
@@ -195,13 +954,33 @@ async function main() {
 		}
 	}
 
+	// With the web UI, the serial port can be chosen there when asked for or when the configured one is missing
+	let interfaceEnv = process.env;
+	const serialMode = ["COM", "COMPORT", "SERIAL"].includes((process.env.INTERFACE_MODE || "COM").toUpperCase()) && !process.env.INTERFACES;
+	if (webSocketServer && serialMode) {
+		const configured = {
+			path: process.env.COM_PORT || "COM7",
+			baudRate: parseInt(process.env.BAUD_RATE || "9600"),
+			parity: process.env.PARITY || "even",
+		};
+		const ports = await listSerialPorts().catch(() => null); // Not every system can list its ports
+		if (detectIndex !== -1 || (ports && !ports.some((port) => port.path === configured.path))) {
+			if (detectIndex === -1) {
+				console.log(`⚠ Serial port ${configured.path} not found`);
+			}
+			const chosen = await offerSerialSetup(webSocketServer, configured, DETECT_OPTIONS);
+			console.log(`✓ Using ${chosen.path} at ${chosen.baudRate} baud, ${chosen.parity} parity (set COM_PORT, BAUD_RATE and PARITY to keep them)`);
+			interfaceEnv = { ...process.env, COM_PORT: chosen.path, BAUD_RATE: String(chosen.baudRate), PARITY: chosen.parity };
+		}
+	}
+
 	// Create interface using factory
 	let interfaceInstance;
 	try {
-		interfaceInstance = InterfaceFactory.createFromEnv(process.env);
+		interfaceInstance = InterfaceFactory.createFromEnv(interfaceEnv);
 	} catch (err) {
 		console.error(`✗ Failed to create interface: ${err.message}`);
-		console.error(`\nMake sure to set INTERFACE_MODE in .env file to either 'COM' or 'TCP'`);
+		console.error(`\nMake sure to set INTERFACE_MODE in .env file to 'COM', 'TCP', 'TCP_SERVER', 'UDP', 'REPLAY' or 'SIM'`);
 		process.exit(1);
 	}
 
@@ -210,10 +989,115 @@ async function main() {
 		consoleLog: true,
 		fileLog: true,
 		format: LOG_FORMAT,
+		heartbeatInterval: LOG_HEARTBEAT_INTERVAL * 1000,
+		captureInterface: describeCaptureInterface(interfaceInstance.getInfo()),
+		localAddresses: [INJECTOR_OPTIONS.source],
+		interfaces: LOG_INTERFACES.split(",")
+			.map((name) => name.trim())
+			.filter((name) => name.length > 0),
 	});
 
+	if (webSocketServer) {
+		webSocketServer.registerHandler("inventory", () => logger.inventory.toJSON());
+		webSocketServer.registerHandler("discovery", () => logger.discovery.toJSON());
+		webSocketServer.registerHandler("state", (message) => ({ state: logger.state.getSnapshot(message.device) }));
+		logger.state.on("change", (entry, previousValue) => {
+			webSocketServer.broadcast("state-change", { entry, previousValue });
+		});
+		webSocketServer.registerInitProvider("diagnostics", () => logger.diagnostics.toJSON());
+		logger.diagnostics.on("record", (record) => {
+			webSocketServer.broadcast("decode-error", { record, total: logger.diagnostics.total, counters: logger.diagnostics.getCounters() });
+		});
+		registerLabelHandlers(webSocketServer, logger.state);
+		registerPcapngDownload(webSocketServer, () => logger.buildPcapng());
+
+		// Names of the capture interfaces, the web UI gives each one a fixed colour in this order
+		const { interfaces } = interfaceInstance.getInfo();
+		webSocketServer.registerInitProvider("interfaces", () => (interfaces ? Object.keys(interfaces) : []));
+	}
+
+	// Packet injection (sending is refused unless ALLOW_TRANSMIT=true)
+	const injector = new PacketInjector(interfaceInstance, INJECTOR_OPTIONS);
+
+	if (webSocketServer) {
+		webSocketServer.registerInitProvider("injection", () => injector.getInfo());
+
+		// The client can only send a frame it was shown: the preview issues a token for its bytes, bound to the client
+		webSocketServer.registerHandler("inject-preview", (message, client) => {
+			const preview = injector.prepare(message.spec, client);
+			return { hex: preview.hex, packet: webSocketServer.serializePacket(preview.packet), token: preview.token };
+		});
+
+		webSocketServer.registerHandler("inject-send", async (message, client) => {
+			const sent = await injector.sendPrepared(message.token, client);
+			console.log(`⇪ Injected packet: ${sent.hex}`);
+			return { hex: sent.hex, packetNumber: sent.packet.command.packetNumber };
+		});
+
+		injector.on("response", (request, response) => {
+			webSocketServer.broadcast("inject-response", {
+				packetNumber: request.command.packetNumber,
+				response: webSocketServer.serializePacket(response),
+			});
+		});
+
+		injector.on("timeout", (request) => {
+			webSocketServer.broadcast("inject-timeout", { packetNumber: request.command.packetNumber });
+		});
+	}
+
+	// Raw byte recording, the header keeps the interface settings (without the connection state)
+	let recorder = null;
+	if (RAW_RECORD) {
+		const withoutState = ({ connected, peers, ...settings }) => settings;
+		const info = interfaceInstance.getInfo();
+		const sources = {};
+		Object.entries(info.interfaces || {}).forEach(([name, settings]) => {
+			sources[name] = withoutState(settings);
+		});
+		recorder = new RawRecorder(OUTPUT_DIR, { maxSize: Math.round(RAW_RECORD_MAX_SIZE * 1024 * 1024), settings: withoutState(info), sources });
+	}
+
+	let mqtt = null;
+	if (MQTT_OPTIONS.url) {
+		mqtt = createMqttPublisher(MQTT_OPTIONS);
+	}
+
+	// Other tools can use the same bus through the stream servers
+	let rawStream = null;
+	let packetStream = null;
+	let rawStreamSource = "";
+	try {
+		const { host, maxClients, maxBuffered } = STREAM_OPTIONS;
+		if (STREAM_OPTIONS.rawPort) {
+			// Bytes of several interfaces cannot be mixed into one stream, one of them is served
+			const info = interfaceInstance.getInfo();
+			rawStreamSource = info.type === "MULTI" ? STREAM_OPTIONS.source || info.transmit : "";
+			if (rawStreamSource && !info.interfaces[rawStreamSource]) {
+				throw new Error(`Unknown STREAM_INTERFACE: ${rawStreamSource}`);
+			}
+			rawStream = await startStreamServer({ host, port: STREAM_OPTIONS.rawPort, format: "raw", maxClients, maxBuffered });
+		}
+		if (STREAM_OPTIONS.ndjsonPort) {
+			packetStream = await startStreamServer({ host, port: STREAM_OPTIONS.ndjsonPort, format: "ndjson", maxClients, maxBuffered });
+		}
+	} catch (err) {
+		console.error(`✗ Failed to start stream server: ${err.message}`);
+		process.exit(1);
+	}
+
 	// Create and start sniffer
-	const sniffer = new NasaSniffer(interfaceInstance, logger, webSocketServer);
+	const sniffer = new NasaSniffer(interfaceInstance, logger, webSocketServer, {
+		injector,
+		recorder,
+		mqtt,
+		rawStream,
+		rawStreamSource,
+		packetStream,
+	});
+	if (webSocketServer) {
+		webSocketServer.registerInitProvider("captureStatus", () => sniffer.getCaptureStatus());
+	}
 
 	try {
 		await sniffer.start();
@@ -269,6 +1153,9 @@ async function main() {
 		} else if (key[0] === 24) {
 			// Ctrl+X
 			logger.exportPackets();
+		} else if (key[0] === 23) {
+			// Ctrl+W
+			logger.exportPcapng();
 		}
 	});
 
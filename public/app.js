@@ -6,6 +6,18 @@ let isConnected = false;
 let isPaused = false;
 let selectedPacketTimestamp = null; // Track by timestamp instead of index
 let viewMode = false; // View mode flag
+let injectionInfo = null; // Packet injection settings from the server
+let diagnostics = { total: 0, counters: [], records: [] }; // Decoder error counters and recent records
+let labels = { messages: {}, devices: {} }; // User labels for message numbers and device addresses
+let interfaceNames = []; // Capture interfaces when several are configured, their order picks their colour
+let captureStatus = { disconnected: [] }; // Capture interfaces that are disconnected and being reconnected
+
+// Interface colours, same palette and order as the graph viewer
+const INTERFACE_COLORS = ["#4fc3f7", "#81c784", "#ffb74d", "#e57373", "#ba68c8", "#64b5f6", "#ffd54f", "#a1887f", "#90a4ae", "#f06292"];
+
+// Requests sent to the server, waiting for their "-result" reply
+let nextRequestId = 1;
+const pendingRequests = new Map();
 
 // Pagination
 let currentPage = 1;
@@ -23,6 +35,8 @@ const viewModeBadge = document.getElementById("viewModeBadge");
 const packetsPerPageEl = document.getElementById("packetsPerPage");
 
 // Filter elements
+const filterInterfaceGroup = document.getElementById("filterInterfaceGroup");
+const filterInterface = document.getElementById("filterInterface");
 const filterSource = document.getElementById("filterSource");
 const filterDestination = document.getElementById("filterDestination");
 const filterDataType = document.getElementById("filterDataType");
@@ -57,15 +71,13 @@ function connect() {
 
 	ws.onopen = () => {
 		isConnected = true;
-		statusDot.classList.add("connected");
-		statusText.textContent = "Connected";
+		updateStatus();
 		console.log("WebSocket connected");
 	};
 
 	ws.onclose = () => {
 		isConnected = false;
-		statusDot.classList.remove("connected");
-		statusText.textContent = "Disconnected";
+		updateStatus();
 		console.log("WebSocket disconnected");
 
 		// Attempt to reconnect after 2 seconds
@@ -79,10 +91,36 @@ function connect() {
 	ws.onmessage = (event) => {
 		const message = JSON.parse(event.data);
 
+		// Replies to requests sent with sendRequest()
+		if (message.requestId && pendingRequests.has(message.requestId)) {
+			const { resolve, reject } = pendingRequests.get(message.requestId);
+			pendingRequests.delete(message.requestId);
+			if (message.error) {
+				reject(new Error(message.error));
+			} else {
+				resolve(message);
+			}
+			return;
+		}
+
 		if (message.type === "init") {
 			// Initialize with view mode status and history
 			viewMode = message.viewMode;
 			packets = message.packets || [];
+			injectionInfo = message.injection || null;
+			openInjectBtn.style.display = injectionInfo && !viewMode ? "inline-block" : "none";
+			diagnostics = message.diagnostics || { total: 0, counters: [], records: [] };
+			updateDiagnostics();
+			labels = message.labels || { messages: {}, devices: {} };
+			updateLabels();
+			captureStatus = message.captureStatus || { disconnected: [] };
+			updateStatus();
+			interfaceNames = message.interfaces || [];
+			packets.forEach((packet) => addInterfaceName(packet.interface));
+			updateInterfaceFilter();
+			if (message.serialSetup) {
+				openSerialSetup(message.serialSetup);
+			}
 
 			// Update UI for view mode
 			if (viewMode) {
@@ -103,17 +141,132 @@ function connect() {
 		} else if (message.type === "packet") {
 			// Add new packet (backend always logs, even when UI is paused)
 			packets.push(message.data);
+			linkPairedPacket(message.data);
+			if (addInterfaceName(message.data.interface)) {
+				updateInterfaceFilter();
+			}
 
 			// Only update UI if not paused and not in view mode
 			if (!isPaused && !viewMode) {
 				applyFilters();
 			}
+		} else if (message.type === "inject-response") {
+			showInjectResponse(message.data);
+		} else if (message.type === "inject-timeout") {
+			setInjectStatus(`No response to packet #${message.data.packetNumber}`, "error");
+		} else if (message.type === "decode-error") {
+			diagnostics.total = message.data.total;
+			diagnostics.counters = message.data.counters;
+			diagnostics.records.push(message.data.record);
+			if (diagnostics.records.length > 200) {
+				diagnostics.records.shift();
+			}
+			updateDiagnostics();
+		} else if (message.type === "labels") {
+			applyLabels(message.data);
+		} else if (message.type === "capture-status") {
+			captureStatus = message.data;
+			updateStatus();
+		} else if (message.type === "serial-detect-progress") {
+			showSerialProgress(message.data);
+		} else if (message.type === "serial-detect-score") {
+			serialResults.push(message.data);
+			updateSerialResults();
 		}
 	};
 }
 
+// Connection to the server, and to the bus while the server reconnects a lost capture interface
+function updateStatus() {
+	const lost = isConnected ? captureStatus.disconnected : [];
+	statusDot.classList.toggle("connected", isConnected && lost.length === 0);
+	statusDot.classList.toggle("reconnecting", lost.length > 0);
+	statusText.title = "";
+
+	if (!isConnected) {
+		statusText.textContent = "Disconnected";
+	} else if (lost.length > 0) {
+		const names = lost.map((entry) => [entry.interface, entry.reason].filter((part) => part).join(": ")).filter((name) => name);
+		statusText.textContent = `Bus disconnected${names.length ? ` (${names.join(", ")})` : ""}, reconnecting...`;
+		statusText.title = `Since ${lost.map((entry) => new Date(entry.since).toLocaleTimeString()).join(", ")}`;
+	} else {
+		statusText.textContent = "Connected";
+	}
+}
+
+// A response carries the id of its request, link the request back to it
+function linkPairedPacket(packet) {
+	if (packet.pairId === undefined || packet.pairId === null) return;
+
+	for (let i = packets.length - 1; i >= 0; i--) {
+		if (packets[i].id === packet.pairId) {
+			packets[i].pairId = packet.id;
+			packets[i].latency = packet.latency;
+			break;
+		}
+	}
+}
+
+// Remember an interface name, returns true if it was not known yet
+function addInterfaceName(name) {
+	if (!name || interfaceNames.includes(name)) return false;
+	interfaceNames.push(name);
+	return true;
+}
+
+function getInterfaceColor(name) {
+	addInterfaceName(name);
+	return INTERFACE_COLORS[interfaceNames.indexOf(name) % INTERFACE_COLORS.length];
+}
+
+// The interface filter is only shown when packets come from several interfaces
+function updateInterfaceFilter() {
+	const selected = filterInterface.value;
+	filterInterfaceGroup.style.display = interfaceNames.length > 0 ? "flex" : "none";
+	filterInterface.innerHTML = `<option value="">All</option>` + interfaceNames.map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join("");
+	filterInterface.value = interfaceNames.includes(selected) ? selected : "";
+}
+
+// Select a packet by id, switching to the page that contains it
+function jumpToPacket(id) {
+	const packet = packets.find((p) => p.id === id);
+	if (!packet) {
+		alert(`Packet #${id} is no longer in the history`);
+		return;
+	}
+
+	const reversedIndex = [...filteredPackets].reverse().indexOf(packet);
+	if (reversedIndex !== -1 && packetsPerPage !== "all") {
+		currentPage = Math.floor(reversedIndex / parseInt(packetsPerPage)) + 1;
+	}
+
+	selectedPacketTimestamp = packet.timestamp;
+	updateUI();
+	showPacketDetails(packet);
+
+	const selectedEl = packetListEl.querySelector(".packet-item.selected");
+	if (selectedEl) {
+		selectedEl.scrollIntoView({ block: "center" });
+	}
+}
+
+// Send a request to the server and wait for its "-result" reply
+function sendRequest(type, payload = {}) {
+	return new Promise((resolve, reject) => {
+		if (!ws || ws.readyState !== WebSocket.OPEN) {
+			reject(new Error("Not connected"));
+			return;
+		}
+
+		const requestId = nextRequestId++;
+		pendingRequests.set(requestId, { resolve, reject });
+		ws.send(JSON.stringify({ type, requestId, ...payload }));
+	});
+}
+
 // Apply filters
 function applyFilters() {
+	const interfaceFilter = filterInterface.value;
 	const sourceFilter = filterSource.value.toLowerCase().trim();
 	const destFilter = filterDestination.value.toLowerCase().trim();
 	const dataTypeFilter = filterDataType.value;
@@ -122,6 +275,11 @@ function applyFilters() {
 	const rawValueFilter = filterRawValue.value.toLowerCase().trim();
 
 	filteredPackets = packets.filter((packet) => {
+		// Interface filter
+		if (interfaceFilter && packet.interface !== interfaceFilter) {
+			return false;
+		}
+
 		// Source filter
 		if (sourceFilter && !packet.source.toLowerCase().includes(sourceFilter) && !packet.sourceReadable.toLowerCase().includes(sourceFilter)) {
 			return false;
@@ -153,7 +311,7 @@ function applyFilters() {
 		if (msgValueFilter) {
 			const hasMatchingValue = packet.messages.some((msg) => {
 				const readableValueMatch = msg.readableValue.toLowerCase().includes(msgValueFilter);
-				const rawValueMatch = msg.value.toString().toLowerCase().includes(msgValueFilter);
+				const rawValueMatch = String(msg.value).toLowerCase().includes(msgValueFilter);
 				return readableValueMatch || rawValueMatch;
 			});
 			if (!hasMatchingValue) {
@@ -245,10 +403,17 @@ function updateUI() {
 	});
 }
 
+// Format a capture time (ms since the Unix epoch) as UTC time of day with microseconds
+function formatCaptureTime(time) {
+	const micros = Math.round(time * 1000);
+	const fraction = (micros % 1000).toString().padStart(3, "0");
+	return new Date(Math.floor(micros / 1000)).toISOString().substring(11, 23) + fraction;
+}
+
 // Create packet element (single line)
 function createPacketElement(packet, index, isSelected) {
 	const badgeClass = `badge-${packet.dataTypeName.toLowerCase()}`;
-	const time = packet.timestamp.split(" ")[1]; // Show only time part
+	const time = formatCaptureTime(packet.time); // Show only time part (UTC)
 	const selectedClass = isSelected ? " selected" : "";
 
 	// Create message summary
@@ -260,40 +425,65 @@ function createPacketElement(packet, index, isSelected) {
 					.substring(0, 30)
 			: "no messages";
 
+	// Legacy protocol packets are labelled with their protocol instead of a data type
+	const badge =
+		packet.protocol === "non-NASA"
+			? `<span class="packet-badge badge-non-nasa" title="${packet.commandName}">non-NASA</span>`
+			: `<span class="packet-badge ${badgeClass}">${packet.dataTypeName}</span>`;
+
+	// Packets from one of several capture interfaces are tagged with its name in the interface colour
+	const interfaceColor = packet.interface ? getInterfaceColor(packet.interface) : null;
+	const interfaceTag = interfaceColor ? `<span class="packet-interface" style="color: ${interfaceColor}; border-color: ${interfaceColor}">${escapeHtml(packet.interface)}</span>` : "";
+
 	return `
         <div class="packet-item${selectedClass}" data-index="${index}">
             <span class="packet-time">${time}</span>
-            <span class="packet-badge ${badgeClass}">${packet.dataTypeName}</span>
-            <span class="packet-flow">${packet.sourceReadable}<span class="packet-arrow">→</span>${packet.destinationReadable}</span>
-            <span class="packet-msgs">(${packet.messages.length}) ${msgSummary}</span>
+            ${interfaceTag}${badge}
+            <span class="packet-flow">${escapeHtml(packet.sourceReadable)}<span class="packet-arrow">→</span>${escapeHtml(packet.destinationReadable)}</span>
+            <span class="packet-msgs">(${packet.messages.length}) ${escapeHtml(msgSummary)}</span>
         </div>
     `;
 }
 
-// Show packet details in panel
-function showPacketDetails(packet) {
-	detailsPanel.classList.add("open");
-	toggleDetailsBtn.textContent = "Details ◀";
+// Create the request/response link section of the details panel
+function createCorrelationDetails(packet) {
+	const isRequest = ["Read", "Write", "Request"].includes(packet.dataTypeName);
+	const isResponse = ["Response", "Ack", "Nack"].includes(packet.dataTypeName);
+	if (!isRequest && !isResponse) return "";
 
-	detailsContent.innerHTML = `
-        <div class="detail-section">
-            <div class="section-title">Connection</div>
+	let content;
+	if (packet.pairId !== undefined && packet.pairId !== null) {
+		content = `
             <div class="detail-row">
-                <div class="detail-label">Timestamp:</div>
-                <div class="detail-value">${packet.timestamp}</div>
-            </div>
-            <div class="detail-row">
-                <div class="detail-label">Source:</div>
-                <div class="detail-value">${packet.sourceReadable} (${packet.source})</div>
-            </div>
+                <div class="detail-label">${isRequest ? "Response" : "Request"}:</div>
+                <div class="detail-value"><a class="packet-link" data-packet-id="${packet.pairId}">#${packet.pairId}</a> (${packet.latency.toFixed(3)} ms)</div>
+            </div>`;
+	} else {
+		content = `
             <div class="detail-row">
-                <div class="detail-label">Destination:</div>
-                <div class="detail-value">${packet.destinationReadable} (${packet.destination})</div>
-            </div>
+                <div class="detail-label">${isRequest ? "Response" : "Request"}:</div>
+                <div class="detail-value">${isRequest ? "No response (yet)" : "Not seen"}</div>
+            </div>`;
+	}
+
+	return `
+        <div class="detail-section">
+            <div class="section-title">Correlation${packet.id !== undefined ? ` (packet #${packet.id})` : ""}</div>
+            ${content}
         </div>
-        
+    `;
+}
+
+// Show packet details in panel
+// Packet info section of the details panel
+function createNasaDetails(packet) {
+	return `
         <div class="detail-section">
             <div class="section-title">Packet Info</div>
+            <div class="detail-row">
+                <div class="detail-label">Protocol:</div>
+                <div class="detail-value">${packet.protocol || "NASA"}</div>
+            </div>
             <div class="detail-row">
                 <div class="detail-label">Packet Type:</div>
                 <div class="detail-value">${packet.packetTypeName}</div>
@@ -314,8 +504,77 @@ function showPacketDetails(packet) {
                 <div class="detail-label">Retry Count:</div>
                 <div class="detail-value">${packet.retryCount}</div>
             </div>
+        </div>`;
+}
+
+function createNonNasaDetails(packet) {
+	return `
+        <div class="detail-section">
+            <div class="section-title">Packet Info</div>
+            <div class="detail-row">
+                <div class="detail-label">Protocol:</div>
+                <div class="detail-value">non-NASA</div>
+            </div>
+            <div class="detail-row">
+                <div class="detail-label">Command:</div>
+                <div class="detail-value">${packet.commandName} (0x${packet.commandCode.toString(16).padStart(2, "0")})</div>
+            </div>
+        </div>`;
+}
+
+// Capture interface the packet was received on (several interfaces configured)
+function createInterfaceRow(packet) {
+	if (!packet.interface) return "";
+
+	return `
+            <div class="detail-row">
+                <div class="detail-label">Interface:</div>
+                <div class="detail-value" style="color: ${getInterfaceColor(packet.interface)}">${escapeHtml(packet.interface)}</div>
+            </div>`;
+}
+
+// Bridge the packet was received from (TCP_SERVER mode)
+function createPeerRow(packet) {
+	if (!packet.peer) return "";
+
+	return `
+            <div class="detail-row">
+                <div class="detail-label">Peer:</div>
+                <div class="detail-value">${escapeHtml(packet.peer)}</div>
+            </div>`;
+}
+
+function showPacketDetails(packet) {
+	detailsPanel.classList.add("open");
+	toggleDetailsBtn.textContent = "Details ◀";
+
+	detailsContent.innerHTML = `
+        <div class="detail-section">
+            <div class="section-title">Connection</div>
+            <div class="detail-row">
+                <div class="detail-label">Timestamp:</div>
+                <div class="detail-value">${packet.timestamp} UTC</div>
+            </div>
+            <div class="detail-row">
+                <div class="detail-label">Epoch (ms):</div>
+                <div class="detail-value">${packet.time.toFixed(3)}</div>
+            </div>
+            ${createInterfaceRow(packet)}
+            ${createPeerRow(packet)}
+            <div class="detail-row">
+                <div class="detail-label">Source:</div>
+                <div class="detail-value">${escapeHtml(packet.sourceReadable)} (${escapeHtml(packet.source)})${createLabelLink("device", packet.source)}</div>
+            </div>
+            <div class="detail-row">
+                <div class="detail-label">Destination:</div>
+                <div class="detail-value">${escapeHtml(packet.destinationReadable)} (${escapeHtml(packet.destination)})${createLabelLink("device", packet.destination)}</div>
+            </div>
         </div>
         
+        ${packet.protocol === "non-NASA" ? createNonNasaDetails(packet) : createNasaDetails(packet)}
+        
+        ${createCorrelationDetails(packet)}
+        
         <div class="detail-section">
             <div class="section-title">Messages (${packet.messages.length})</div>
             <div class="message-list">
@@ -323,8 +582,12 @@ function showPacketDetails(packet) {
 					.map(
 						(msg) => `
                     <div class="message-item">
-                        <div><span class="message-name">${msg.name}</span> [${msg.messageNumberHex}]</div>
-                        <div>Type: ${msg.typeName} | Value: <span class="message-value">${msg.readableValue}</span> (raw: ${msg.value})</div>
+                        <div><span class="message-name">${escapeHtml(msg.name)}</span> [${msg.messageNumberHex}]${packet.protocol === "non-NASA" ? "" : createLabelLink("message", msg.messageNumberHex)}</div>
+                        ${
+							msg.structureHex !== undefined
+								? createStructureDetails(msg)
+								: `<div>Type: ${msg.typeName} | Value: <span class="message-value">${escapeHtml(msg.readableValue)}</span> (raw: ${escapeHtml(msg.value)})</div>`
+						}
                     </div>
                 `,
 					)
@@ -337,9 +600,34 @@ function showPacketDetails(packet) {
             <div class="raw-data">${packet.rawDataHex}</div>
         </div>
     `;
+
+	detailsContent.querySelectorAll(".packet-link").forEach((link) => {
+		link.addEventListener("click", () => jumpToPacket(parseInt(link.dataset.packetId)));
+	});
+	detailsContent.querySelectorAll(".label-link").forEach((link) => {
+		link.addEventListener("click", () => openLabels(link.dataset.labelKind, link.dataset.labelKey));
+	});
+}
+
+// Create structure message details (one row per decoded field)
+function createStructureDetails(msg) {
+	const fields = msg.fields || [];
+	const fieldRows = fields
+		.map((field) => `<div class="structure-field"><span class="structure-field-name">${escapeHtml(field.name)}</span> = <span class="message-value">${escapeHtml(field.readableValue)}</span></div>`)
+		.join("");
+
+	return `
+        <div>Type: ${msg.typeName} | ${fields.length > 0 ? `${fields.length} fields` : "No decoder"}</div>
+        ${fieldRows}
+        <div class="structure-raw">${msg.structureHex}</div>
+    `;
 }
 
 // Event listeners
+filterInterface.addEventListener("change", () => {
+	currentPage = 1;
+	applyFilters();
+});
 filterSource.addEventListener("input", () => {
 	currentPage = 1;
 	applyFilters();
@@ -411,6 +699,7 @@ lastPageBottomBtn.addEventListener("click", () => {
 });
 
 clearFiltersBtn.addEventListener("click", () => {
+	filterInterface.value = "";
 	filterSource.value = "";
 	filterDestination.value = "";
 	filterDataType.value = "";
@@ -457,6 +746,187 @@ if (openGraphsBtn) {
 	});
 }
 
+// Open device inventory in new tab
+const openDevicesBtn = document.getElementById("openDevicesBtn");
+if (openDevicesBtn) {
+	openDevicesBtn.addEventListener("click", () => {
+		window.open("devices.html", "_blank");
+	});
+}
+
+// Open unknown message discovery in new tab
+const openDiscoveryBtn = document.getElementById("openDiscoveryBtn");
+if (openDiscoveryBtn) {
+	openDiscoveryBtn.addEventListener("click", () => {
+		window.open("discovery.html", "_blank");
+	});
+}
+
+// The server builds the file from all captured (or loaded) packets, not only the filtered ones
+const exportPcapngBtn = document.getElementById("exportPcapngBtn");
+if (exportPcapngBtn) {
+	exportPcapngBtn.addEventListener("click", () => {
+		window.location.href = "/export/packets.pcapng";
+	});
+}
+
+// ==================== Packet Injection ====================
+const openInjectBtn = document.getElementById("openInjectBtn");
+const injectModal = document.getElementById("injectModal");
+const closeInjectBtn = document.getElementById("closeInjectBtn");
+const injectDisabledWarning = document.getElementById("injectDisabledWarning");
+const injectSource = document.getElementById("injectSource");
+const injectDestination = document.getElementById("injectDestination");
+const injectDataType = document.getElementById("injectDataType");
+const injectMessages = document.getElementById("injectMessages");
+const injectPreviewEl = document.getElementById("injectPreview");
+const injectStatus = document.getElementById("injectStatus");
+const injectPreviewBtn = document.getElementById("injectPreviewBtn");
+const injectSendBtn = document.getElementById("injectSendBtn");
+
+let injectPreviewToken = null; // Issued by the server for the last successful preview, the only frame Send can transmit
+
+function getInjectSpec() {
+	return {
+		sa: injectSource.value.trim() || undefined,
+		da: injectDestination.value.trim(),
+		dataType: injectDataType.value,
+		messages: injectMessages.value,
+	};
+}
+
+function setInjectStatus(text, kind = "") {
+	injectStatus.className = `inject-status${kind ? ` ${kind}` : ""}`;
+	injectStatus.textContent = text;
+}
+
+function resetInjectPreview() {
+	injectPreviewToken = null;
+	injectSendBtn.disabled = true;
+	injectPreviewEl.innerHTML = "";
+}
+
+async function previewInjectPacket() {
+	resetInjectPreview();
+	setInjectStatus("");
+
+	const spec = getInjectSpec();
+	try {
+		const result = await sendRequest("inject-preview", { spec });
+		injectPreviewToken = result.token;
+		injectPreviewEl.innerHTML = `
+            <div class="section-title">Dry run (${result.packet.rawData.length} bytes)</div>
+            <div class="raw-data">${result.hex}</div>
+            <div class="message-list">
+                ${result.packet.messages
+					.map((msg) => `<div class="message-item"><span class="message-name">${escapeHtml(msg.name)}</span> [${msg.messageNumberHex}] = ${escapeHtml(msg.readableValue)}</div>`)
+					.join("")}
+            </div>
+        `;
+		injectSendBtn.disabled = !injectionInfo.enabled;
+	} catch (error) {
+		setInjectStatus(error.message, "error");
+	}
+}
+
+async function sendInjectPacket() {
+	if (!injectPreviewToken) return;
+
+	const hex = injectPreviewEl.querySelector(".raw-data").textContent;
+	if (!confirm(`Send this frame onto the bus?\n\n${hex}`)) return;
+
+	try {
+		const result = await sendRequest("inject-send", { token: injectPreviewToken });
+		setInjectStatus(`Sent packet #${result.packetNumber}, waiting for response...`);
+		resetInjectPreview();
+	} catch (error) {
+		setInjectStatus(error.message, "error");
+	}
+}
+
+function showInjectResponse(data) {
+	const response = data.response;
+	setInjectStatus("");
+	injectStatus.className = "inject-status success";
+	injectStatus.innerHTML = `Response to packet #${data.packetNumber}: ${response.dataTypeName} from ${escapeHtml(response.sourceReadable)} - <a id="showInjectResponse">show in packet list</a>`;
+
+	document.getElementById("showInjectResponse").addEventListener("click", () => {
+		injectModal.classList.remove("open");
+		selectedPacketTimestamp = response.timestamp;
+		updateUI();
+		showPacketDetails(response);
+	});
+}
+
+openInjectBtn.addEventListener("click", () => {
+	injectDisabledWarning.style.display = injectionInfo && injectionInfo.enabled ? "none" : "block";
+	injectSource.placeholder = (injectionInfo && injectionInfo.source) || "80.FF.00";
+	injectModal.classList.add("open");
+});
+
+closeInjectBtn.addEventListener("click", () => {
+	injectModal.classList.remove("open");
+});
+
+injectModal.addEventListener("click", (e) => {
+	if (e.target === injectModal) {
+		injectModal.classList.remove("open");
+	}
+});
+
+[injectSource, injectDestination, injectDataType, injectMessages].forEach((el) => {
+	el.addEventListener("input", resetInjectPreview);
+});
+
+injectPreviewBtn.addEventListener("click", previewInjectPacket);
+injectSendBtn.addEventListener("click", sendInjectPacket);
+
+// ==================== Decoder Diagnostics ====================
+const errorCountEl = document.getElementById("errorCount");
+const openDiagnosticsEl = document.getElementById("openDiagnostics");
+const diagnosticsModal = document.getElementById("diagnosticsModal");
+const closeDiagnosticsBtn = document.getElementById("closeDiagnosticsBtn");
+const diagnosticsCountersEl = document.getElementById("diagnosticsCounters");
+const diagnosticsRecordsEl = document.getElementById("diagnosticsRecords");
+
+function updateDiagnostics() {
+	errorCountEl.textContent = diagnostics.total;
+	openDiagnosticsEl.classList.toggle("has-errors", diagnostics.total > 0);
+
+	// Only render the modal contents while it is visible
+	if (!diagnosticsModal.classList.contains("open")) return;
+
+	diagnosticsCountersEl.innerHTML = diagnostics.counters.length
+		? diagnostics.counters.map((c) => `<tr><td>${c.category}</td><td>${c.count}</td><td>${c.bytes}</td></tr>`).join("")
+		: '<tr><td colspan="3">No decoder errors</td></tr>';
+
+	diagnosticsRecordsEl.innerHTML = [...diagnostics.records]
+		.reverse()
+		.map(
+			(r) => `
+            <div class="diagnostics-record">
+                <div><span class="diagnostics-category">${r.category}</span> ${r.timestamp} UTC - ${r.message}</div>
+                <div class="raw-data">${r.hex || "(no bytes)"}</div>
+            </div>`,
+		)
+		.join("");
+}
+
+openDiagnosticsEl.addEventListener("click", () => {
+	diagnosticsModal.classList.add("open");
+	updateDiagnostics();
+});
+
+closeDiagnosticsBtn.addEventListener("click", () => {
+	diagnosticsModal.classList.remove("open");
+});
+
+diagnosticsModal.addEventListener("click", (e) => {
+	if (e.target === diagnosticsModal) {
+		diagnosticsModal.classList.remove("open");
+	}
+});
+
 toggleDetailsBtn.addEventListener("click", () => {
 	if (detailsPanel.classList.contains("open")) {
 		detailsPanel.classList.remove("open");
@@ -476,3 +946,209 @@ closeDetailsBtn.addEventListener("click", () => {
 
 // Connect on load
 connect();
+
+// ==================== User Labels ====================
+const openLabelsBtn = document.getElementById("openLabelsBtn");
+const labelsModal = document.getElementById("labelsModal");
+const closeLabelsBtn = document.getElementById("closeLabelsBtn");
+const labelKindEl = document.getElementById("labelKind");
+const labelKeyEl = document.getElementById("labelKey");
+const labelTextEl = document.getElementById("labelText");
+const labelStatusEl = document.getElementById("labelStatus");
+const saveLabelBtn = document.getElementById("saveLabelBtn");
+const messageLabelsEl = document.getElementById("messageLabels");
+const deviceLabelsEl = document.getElementById("deviceLabels");
+
+function createLabelLink(kind, key) {
+	return `<a class="label-link" data-label-kind="${kind}" data-label-key="${escapeHtml(key)}" title="Edit label">🏷</a>`;
+}
+
+function openLabels(kind = "message", key = "") {
+	labelKindEl.value = kind;
+	labelKeyEl.value = key;
+	labelTextEl.value = (kind === "device" ? labels.devices[key] : labels.messages[key]) || "";
+	labelStatusEl.textContent = "";
+	labelStatusEl.className = "inject-status";
+	labelsModal.classList.add("open");
+	updateLabels();
+	(key ? labelTextEl : labelKeyEl).focus();
+}
+
+function updateLabels() {
+	const rows = (kind, table) =>
+		Object.entries(table)
+			.sort(([a], [b]) => a.localeCompare(b))
+			.map(
+				([key, label]) =>
+					`<tr><td>${escapeHtml(key)}</td><td>${escapeHtml(label)}</td><td class="label-remove" data-label-kind="${kind}" data-label-key="${escapeHtml(key)}" title="Remove">✕</td></tr>`,
+			)
+			.join("") || `<tr><td class="empty-state">None</td></tr>`;
+
+	messageLabelsEl.innerHTML = rows("message", labels.messages);
+	deviceLabelsEl.innerHTML = rows("device", labels.devices);
+}
+
+async function saveLabel(kind, key, label) {
+	try {
+		await sendRequest("labels-set", { kind, key, label });
+		labelStatusEl.textContent = label ? `Saved: ${key} = ${label}` : `Removed: ${key}`;
+		labelStatusEl.className = "inject-status success";
+	} catch (error) {
+		labelStatusEl.textContent = error.message;
+		labelStatusEl.className = "inject-status error";
+	}
+}
+
+// The server sends the new names of everything in its history, the local copy is updated the same way
+function applyLabels(data) {
+	labels = data.labels;
+
+	packets.forEach((packet) => {
+		packet.sourceReadable = data.devices[packet.source] || packet.sourceReadable;
+		packet.destinationReadable = data.devices[packet.destination] || packet.destinationReadable;
+		if (packet.protocol !== "non-NASA") {
+			packet.messages.forEach((msg) => {
+				msg.name = data.messages[msg.messageNumberHex] || msg.name;
+			});
+		}
+	});
+
+	updateLabels();
+	applyFilters();
+
+	const selected = packets.find((packet) => packet.timestamp === selectedPacketTimestamp);
+	if (selected && detailsPanel.classList.contains("open")) {
+		showPacketDetails(selected);
+	}
+}
+
+openLabelsBtn.addEventListener("click", () => openLabels());
+
+closeLabelsBtn.addEventListener("click", () => {
+	labelsModal.classList.remove("open");
+});
+
+labelsModal.addEventListener("click", (e) => {
+	if (e.target === labelsModal) {
+		labelsModal.classList.remove("open");
+		return;
+	}
+
+	const remove = e.target.closest(".label-remove");
+	if (remove) {
+		saveLabel(remove.dataset.labelKind, remove.dataset.labelKey, "");
+	}
+});
+
+saveLabelBtn.addEventListener("click", () => {
+	saveLabel(labelKindEl.value, labelKeyEl.value.trim(), labelTextEl.value.trim());
+});
+
+// ==================== Serial Port Setup ====================
+// Shown at startup while the server waits for the serial port to capture from
+const serialSetupModal = document.getElementById("serialSetupModal");
+const serialSetupHintEl = document.getElementById("serialSetupHint");
+const serialPortEl = document.getElementById("serialPort");
+const serialPortListEl = document.getElementById("serialPortList");
+const serialBaudRateEl = document.getElementById("serialBaudRate");
+const serialParityEl = document.getElementById("serialParity");
+const serialStatusEl = document.getElementById("serialStatus");
+const serialResultsEl = document.getElementById("serialResults");
+const refreshSerialPortsBtn = document.getElementById("refreshSerialPortsBtn");
+const detectSerialBtn = document.getElementById("detectSerialBtn");
+const useSerialBtn = document.getElementById("useSerialBtn");
+let serialResults = [];
+
+function setSerialStatus(text, kind = "") {
+	serialStatusEl.className = `inject-status${kind ? ` ${kind}` : ""}`;
+	serialStatusEl.textContent = text;
+}
+
+function openSerialSetup(setup) {
+	serialSetupHintEl.textContent =
+		`Choose the port the RS-485 adapter is connected to. Detection listens ${setup.window / 1000}s per baud rate and parity ` +
+		"and recommends the settings that decode the most valid frames.";
+	serialPortEl.value = setup.configured.path;
+	serialBaudRateEl.value = setup.configured.baudRate;
+	serialParityEl.value = setup.configured.parity;
+	serialSetupModal.classList.add("open");
+	loadSerialPorts();
+}
+
+// Ports that cannot be listed can still be typed in
+async function loadSerialPorts() {
+	try {
+		const { ports } = await sendRequest("serial-ports");
+		serialPortListEl.innerHTML = ports.map((port) => `<option value="${escapeHtml(port.path)}">${escapeHtml(port.manufacturer || port.pnpId || "")}</option>`).join("");
+		if (ports.length && !ports.some((port) => port.path === serialPortEl.value)) {
+			serialPortEl.value = ports[0].path;
+		}
+		setSerialStatus(ports.length ? `${ports.length} serial port(s) found` : "No serial ports found", ports.length ? "" : "error");
+	} catch (error) {
+		setSerialStatus(`${error.message}. Enter the port by name.`, "error");
+	}
+}
+
+function showSerialProgress({ index, total, baudRate, parity }) {
+	setSerialStatus(`Listening at ${baudRate} baud, ${parity} parity (${index + 1}/${total})...`);
+}
+
+function updateSerialResults(best = null) {
+	serialResultsEl.innerHTML =
+		serialResults
+			.map((r) => {
+				const selected = best && r.baudRate === best.baudRate && r.parity === best.parity;
+				return `<tr class="serial-result${selected ? " best" : ""}" data-baud-rate="${r.baudRate}" data-parity="${r.parity}">
+                    <td>${r.baudRate}</td><td>${r.parity}</td><td>${r.packets}</td><td>${r.crcErrors}</td><td>${r.bytes}</td></tr>`;
+			})
+			.join("") || `<tr><td colspan="5" class="empty-state">Not run yet</td></tr>`;
+}
+
+async function detectSerialSettings() {
+	if (!serialPortEl.value.trim()) return;
+
+	serialResults = [];
+	updateSerialResults();
+	detectSerialBtn.disabled = true;
+	useSerialBtn.disabled = true;
+	try {
+		const { best } = await sendRequest("serial-detect", { path: serialPortEl.value.trim() });
+		updateSerialResults(best);
+		if (best) {
+			serialBaudRateEl.value = best.baudRate;
+			serialParityEl.value = best.parity;
+			setSerialStatus(`Recommended: ${best.baudRate} baud, ${best.parity} parity (${best.packets} valid frames)`, "success");
+		} else {
+			setSerialStatus("No valid frames with any setting. Check the wiring (A/B swapped?) and that the bus is active.", "error");
+		}
+	} catch (error) {
+		setSerialStatus(error.message, "error");
+	} finally {
+		detectSerialBtn.disabled = false;
+		useSerialBtn.disabled = false;
+	}
+}
+
+async function useSerialSettings() {
+	try {
+		await sendRequest("serial-use", { path: serialPortEl.value.trim(), baudRate: serialBaudRateEl.value, parity: serialParityEl.value });
+		setSerialStatus("Starting capture...", "success");
+		// The rest of the page is set up once capture runs
+		setTimeout(() => window.location.reload(), 1000);
+	} catch (error) {
+		setSerialStatus(error.message, "error");
+	}
+}
+
+serialResultsEl.addEventListener("click", (e) => {
+	const row = e.target.closest(".serial-result");
+	if (row) {
+		serialBaudRateEl.value = row.dataset.baudRate;
+		serialParityEl.value = row.dataset.parity;
+	}
+});
+
+refreshSerialPortsBtn.addEventListener("click", () => loadSerialPorts());
+detectSerialBtn.addEventListener("click", detectSerialSettings);
+useSerialBtn.addEventListener("click", useSerialSettings);
+updateSerialResults();
@@ -0,0 +1,385 @@
+// Device Viewer - Independent Module
+// Shows the bus device inventory and who talks to whom
+
+const REFRESH_INTERVAL = 2000;
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 40;
+const COLUMN_GAP = 90;
+const ROW_GAP = 20;
+const MARGIN = 30;
+
+// Edge colors by data type
+const DATA_TYPE_COLORS = {
+	Read: "#4fc3f7",
+	Write: "#ffb74d",
+	Request: "#ba68c8",
+	Response: "#81c784",
+	Notification: "#90a4ae",
+	Ack: "#a5d6a7",
+	Nack: "#e57373",
+};
+
+// WebSocket connection
+let ws = null;
+let isConnected = false;
+let viewMode = false;
+let autoRefresh = true;
+let refreshTimer = null;
+let state = {}; // Device key ("interface/address" with several interfaces) -> current message values
+
+// Requests sent to the server, waiting for their "-result" reply
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// DOM elements
+const statusDot = document.getElementById("statusDot");
+const statusText = document.getElementById("statusText");
+const viewModeBadge = document.getElementById("viewModeBadge");
+const deviceCountEl = document.getElementById("deviceCount");
+const linkCountEl = document.getElementById("linkCount");
+const topologyContainer = document.getElementById("topologyContainer");
+const deviceTableBody = document.getElementById("deviceTableBody");
+const refreshBtn = document.getElementById("refreshBtn");
+const autoRefreshCheckbox = document.getElementById("autoRefresh");
+const stateDeviceSelect = document.getElementById("stateDevice");
+const stateUntilGroup = document.getElementById("stateUntilGroup");
+const stateUntilInput = document.getElementById("stateUntil");
+const stateTableBody = document.getElementById("stateTableBody");
+
+// ==================== Connect to WebSocket ====================
+function connect() {
+	const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+	const wsUrl = `${protocol}//${window.location.host}`;
+
+	ws = new WebSocket(wsUrl);
+
+	ws.onopen = () => {
+		isConnected = true;
+		statusDot.classList.add("connected");
+		statusText.textContent = "Connected";
+		loadInventory();
+		loadState();
+	};
+
+	ws.onclose = () => {
+		isConnected = false;
+		statusDot.classList.remove("connected");
+		statusText.textContent = "Disconnected";
+
+		// Attempt to reconnect after 2 seconds
+		setTimeout(connect, 2000);
+	};
+
+	ws.onerror = (error) => {
+		console.error("WebSocket error:", error);
+	};
+
+	ws.onmessage = (event) => {
+		const message = JSON.parse(event.data);
+
+		if (message.requestId && pendingRequests.has(message.requestId)) {
+			const { resolve, reject } = pendingRequests.get(message.requestId);
+			pendingRequests.delete(message.requestId);
+			if (message.error) {
+				reject(new Error(message.error));
+			} else {
+				resolve(message);
+			}
+			return;
+		}
+
+		if (message.type === "init") {
+			viewMode = message.viewMode;
+			viewModeBadge.style.display = viewMode ? "block" : "none";
+			stateUntilGroup.style.display = viewMode ? "inline-flex" : "none";
+		} else if (message.type === "state-change") {
+			updateState(message.data.entry);
+		} else if (message.type === "labels") {
+			loadInventory();
+			loadState();
+		}
+	};
+}
+
+function sendRequest(type, payload = {}) {
+	return new Promise((resolve, reject) => {
+		if (!ws || ws.readyState !== WebSocket.OPEN) {
+			reject(new Error("Not connected"));
+			return;
+		}
+
+		const requestId = nextRequestId++;
+		pendingRequests.set(requestId, { resolve, reject });
+		ws.send(JSON.stringify({ type, requestId, ...payload }));
+	});
+}
+
+async function loadInventory() {
+	try {
+		const inventory = await sendRequest("inventory");
+		deviceCountEl.textContent = inventory.devices.length;
+		linkCountEl.textContent = inventory.links.length;
+		renderTopology(inventory);
+		renderTable(inventory.devices);
+	} catch (error) {
+		console.error("Failed to load inventory:", error);
+	}
+}
+
+// ==================== Current Values ====================
+async function loadState() {
+	try {
+		const until = stateUntilInput.value ? Number(stateUntilInput.value) : undefined;
+		const result = await sendRequest("state", { until });
+		state = result.state;
+		renderDeviceSelect();
+		renderState();
+	} catch (error) {
+		console.error("Failed to load state:", error);
+	}
+}
+
+function updateState(entry) {
+	if (!state[entry.device]) {
+		state[entry.device] = [];
+		renderDeviceSelect();
+	}
+
+	const entries = state[entry.device];
+	const index = entries.findIndex((item) => item.messageNumber === entry.messageNumber);
+	if (index === -1) {
+		entries.push(entry);
+		entries.sort((a, b) => a.messageNumber.localeCompare(b.messageNumber));
+	} else {
+		entries[index] = entry;
+	}
+
+	if (entry.device === stateDeviceSelect.value) {
+		renderState(entry.messageNumber);
+	}
+}
+
+function renderDeviceSelect() {
+	const selected = stateDeviceSelect.value;
+	stateDeviceSelect.innerHTML = "";
+
+	Object.keys(state).forEach((device) => {
+		const entry = state[device][0];
+		const option = document.createElement("option");
+		option.value = device;
+		option.textContent = entry ? `${entry.deviceName}${entry.interface ? ` on ${entry.interface}` : ""}` : device;
+		stateDeviceSelect.appendChild(option);
+	});
+
+	if (selected && state[selected]) {
+		stateDeviceSelect.value = selected;
+	}
+}
+
+function renderState(changedMessageNumber = null) {
+	stateTableBody.innerHTML = "";
+
+	(state[stateDeviceSelect.value] || []).forEach((entry) => {
+		const row = document.createElement("tr");
+		if (entry.messageNumber === changedMessageNumber) {
+			row.classList.add("changed");
+		}
+
+		[entry.messageNumber, entry.name || "UNKNOWN", entry.readableValue, entry.value, entry.timestamp, entry.updates, entry.changes].forEach(
+			(value) => {
+				const cell = document.createElement("td");
+				cell.textContent = value;
+				row.appendChild(cell);
+			},
+		);
+
+		stateTableBody.appendChild(row);
+	});
+}
+
+stateDeviceSelect.addEventListener("change", () => renderState());
+stateUntilInput.addEventListener("change", loadState);
+
+// ==================== Topology ====================
+// Devices are placed in one column per address class and interface, broadcast layers get their own group on the right
+function layoutDevices(devices) {
+	const columns = new Map();
+	const broadcast = [];
+
+	devices.forEach((device) => {
+		if (device.broadcast) {
+			broadcast.push(device);
+			return;
+		}
+		const column = device.interface ? `${device.className} on ${device.interface}` : device.className;
+		if (!columns.has(column)) {
+			columns.set(column, []);
+		}
+		columns.get(column).push(device);
+	});
+
+	const groups = Array.from(columns.entries()).map(([name, members]) => ({ name, members, broadcast: false }));
+	if (broadcast.length > 0) {
+		groups.push({ name: "Broadcast layers", members: broadcast, broadcast: true });
+	}
+
+	const positions = new Map();
+	groups.forEach((group, column) => {
+		group.x = MARGIN + column * (NODE_WIDTH + COLUMN_GAP);
+		group.members.forEach((device, row) => {
+			positions.set(device.key, {
+				x: group.x,
+				y: MARGIN + 20 + row * (NODE_HEIGHT + ROW_GAP),
+			});
+		});
+	});
+
+	return { groups, positions };
+}
+
+function svgElement(name, attributes = {}) {
+	const element = document.createElementNS("http://www.w3.org/2000/svg", name);
+	Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+	return element;
+}
+
+function renderTopology(inventory) {
+	if (inventory.devices.length === 0) {
+		topologyContainer.innerHTML = '<div class="empty-state">No devices seen yet</div>';
+		return;
+	}
+
+	const { groups, positions } = layoutDevices(inventory.devices);
+	const rows = Math.max(...groups.map((group) => group.members.length));
+	const width = MARGIN * 2 + groups.length * NODE_WIDTH + (groups.length - 1) * COLUMN_GAP;
+	const height = MARGIN * 2 + 20 + rows * (NODE_HEIGHT + ROW_GAP);
+	const maxCount = Math.max(...inventory.links.map((link) => link.count), 1);
+
+	const svg = svgElement("svg", { width, height, class: "topology" });
+
+	// Group frames and titles
+	groups.forEach((group) => {
+		svg.appendChild(
+			svgElement("rect", {
+				x: group.x - 10,
+				y: MARGIN - 10,
+				width: NODE_WIDTH + 20,
+				height: height - MARGIN * 2 + 10,
+				rx: 4,
+				class: group.broadcast ? "group-frame broadcast" : "group-frame",
+			}),
+		);
+		const title = svgElement("text", { x: group.x, y: MARGIN + 5, class: "group-title" });
+		title.textContent = group.name;
+		svg.appendChild(title);
+	});
+
+	// Links below nodes
+	inventory.links.forEach((link) => {
+		const from = positions.get(link.source);
+		const to = positions.get(link.destination);
+		if (!from || !to) {
+			return;
+		}
+
+		const x1 = from.x + NODE_WIDTH;
+		const y1 = from.y + NODE_HEIGHT / 2;
+		const x2 = to.x;
+		const y2 = to.y + NODE_HEIGHT / 2;
+		const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+		const path = svgElement("path", {
+			d: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`,
+			class: "link",
+			stroke: DATA_TYPE_COLORS[link.dataTypes[0]] || "#858585",
+			"stroke-width": 1 + 4 * (Math.log(link.count + 1) / Math.log(maxCount + 1)),
+		});
+		const tooltip = svgElement("title");
+		tooltip.textContent = `${link.source} → ${link.destination}\n${link.count} packets\n${link.dataTypes.join(", ")}\nLast: ${link.lastSeen}`;
+		path.appendChild(tooltip);
+		svg.appendChild(path);
+	});
+
+	// Device nodes
+	inventory.devices.forEach((device) => {
+		const position = positions.get(device.key);
+		const node = svgElement("g", { class: device.broadcast ? "node broadcast" : "node" });
+		node.appendChild(svgElement("rect", { x: position.x, y: position.y, width: NODE_WIDTH, height: NODE_HEIGHT, rx: 3 }));
+
+		const label = svgElement("text", { x: position.x + 8, y: position.y + 16, class: "node-label" });
+		label.textContent = device.readable;
+		node.appendChild(label);
+
+		const counters = svgElement("text", { x: position.x + 8, y: position.y + 31, class: "node-counters" });
+		counters.textContent = `${device.interface ? `${device.interface} · ` : ""}↑${device.packetsSent} ↓${device.packetsReceived} · ${device.messages.length} msgs`;
+		node.appendChild(counters);
+
+		const tooltip = svgElement("title");
+		tooltip.textContent = `${device.readable}${device.interface ? ` on ${device.interface}` : ""}\nFirst: ${device.firstSeen}\nLast: ${device.lastSeen}\nData types: ${device.dataTypes.join(", ") || "-"}`;
+		node.appendChild(tooltip);
+		svg.appendChild(node);
+	});
+
+	topologyContainer.innerHTML = "";
+	topologyContainer.appendChild(svg);
+}
+
+// ==================== Table ====================
+function renderTable(devices) {
+	deviceTableBody.innerHTML = "";
+
+	devices.forEach((device) => {
+		const row = document.createElement("tr");
+		if (device.broadcast) {
+			row.classList.add("broadcast");
+		}
+
+		[
+			device.address,
+			device.interface || "-",
+			device.className,
+			device.channel,
+			device.unitAddress,
+			device.firstSeen,
+			device.lastSeen,
+			device.packetsSent,
+			device.packetsReceived,
+			device.dataTypes.join(", "),
+			device.messages.join(", "),
+		].forEach((value, index) => {
+			const cell = document.createElement("td");
+			cell.textContent = value;
+			if (index === 10) {
+				cell.classList.add("messages");
+			}
+			row.appendChild(cell);
+		});
+
+		deviceTableBody.appendChild(row);
+	});
+}
+
+// ==================== Toolbar ====================
+refreshBtn.addEventListener("click", () => {
+	loadInventory();
+	loadState();
+});
+
+autoRefreshCheckbox.addEventListener("change", () => {
+	autoRefresh = autoRefreshCheckbox.checked;
+	scheduleRefresh();
+});
+
+function scheduleRefresh() {
+	clearInterval(refreshTimer);
+	refreshTimer = autoRefresh
+		? setInterval(() => {
+				if (isConnected && !viewMode) {
+					loadInventory();
+					loadState();
+				}
+			}, REFRESH_INTERVAL)
+		: null;
+}
+
+connect();
+scheduleRefresh();
@@ -0,0 +1,219 @@
+// Unknown Message Discovery - Independent Module
+// Profiles message numbers missing from the catalog: senders, values and which known messages change with them
+
+const REFRESH_INTERVAL = 2000;
+const MAX_VALUES_SHOWN = 12;
+
+// WebSocket connection
+let ws = null;
+let isConnected = false;
+let viewMode = false;
+let autoRefresh = true;
+let refreshTimer = null;
+let messages = [];
+
+// Requests sent to the server, waiting for their "-result" reply
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+// DOM elements
+const statusDot = document.getElementById("statusDot");
+const statusText = document.getElementById("statusText");
+const viewModeBadge = document.getElementById("viewModeBadge");
+const messageCountEl = document.getElementById("messageCount");
+const changingCountEl = document.getElementById("changingCount");
+const discoveryTableBody = document.getElementById("discoveryTableBody");
+const emptyState = document.getElementById("emptyState");
+const refreshBtn = document.getElementById("refreshBtn");
+const autoRefreshCheckbox = document.getElementById("autoRefresh");
+const messageFilterInput = document.getElementById("messageFilter");
+const changingOnlyCheckbox = document.getElementById("changingOnly");
+
+// ==================== Connect to WebSocket ====================
+function connect() {
+	const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+	const wsUrl = `${protocol}//${window.location.host}`;
+
+	ws = new WebSocket(wsUrl);
+
+	ws.onopen = () => {
+		isConnected = true;
+		statusDot.classList.add("connected");
+		statusText.textContent = "Connected";
+		loadDiscovery();
+	};
+
+	ws.onclose = () => {
+		isConnected = false;
+		statusDot.classList.remove("connected");
+		statusText.textContent = "Disconnected";
+
+		// Attempt to reconnect after 2 seconds
+		setTimeout(connect, 2000);
+	};
+
+	ws.onerror = (error) => {
+		console.error("WebSocket error:", error);
+	};
+
+	ws.onmessage = (event) => {
+		const message = JSON.parse(event.data);
+
+		if (message.requestId && pendingRequests.has(message.requestId)) {
+			const { resolve, reject } = pendingRequests.get(message.requestId);
+			pendingRequests.delete(message.requestId);
+			if (message.error) {
+				reject(new Error(message.error));
+			} else {
+				resolve(message);
+			}
+			return;
+		}
+
+		if (message.type === "init") {
+			viewMode = message.viewMode;
+			viewModeBadge.style.display = viewMode ? "block" : "none";
+		} else if (message.type === "labels") {
+			loadDiscovery();
+		}
+	};
+}
+
+function sendRequest(type, payload = {}) {
+	return new Promise((resolve, reject) => {
+		if (!ws || ws.readyState !== WebSocket.OPEN) {
+			reject(new Error("Not connected"));
+			return;
+		}
+
+		const requestId = nextRequestId++;
+		pendingRequests.set(requestId, { resolve, reject });
+		ws.send(JSON.stringify({ type, requestId, ...payload }));
+	});
+}
+
+async function loadDiscovery() {
+	try {
+		const result = await sendRequest("discovery");
+		messages = result.messages;
+		messageCountEl.textContent = messages.length;
+		changingCountEl.textContent = messages.filter((message) => message.changes > 0).length;
+		renderTable();
+	} catch (error) {
+		console.error("Failed to load unknown messages:", error);
+	}
+}
+
+// ==================== Table ====================
+// Numbers are shown with their hex form, which often reveals bit fields and packed values
+function formatValue(value) {
+	return typeof value === "number" && value >= 0 ? `${value} (0x${value.toString(16).toUpperCase()})` : value;
+}
+
+function formatRate(value) {
+	return value !== null ? `${value.toFixed(value < 10 ? 2 : 0)}/min` : "";
+}
+
+function matchesFilter(message) {
+	if (changingOnlyCheckbox.checked && message.changes === 0) {
+		return false;
+	}
+
+	const filter = messageFilterInput.value.trim().toLowerCase();
+	if (!filter) {
+		return true;
+	}
+	return (
+		message.messageNumber.toLowerCase().includes(filter) ||
+		(message.label || "").toLowerCase().includes(filter) ||
+		message.senders.some((sender) => sender.address.toLowerCase().includes(filter) || sender.name.toLowerCase().includes(filter))
+	);
+}
+
+function appendCell(row, content, className = null) {
+	const cell = document.createElement("td");
+	if (className) {
+		cell.classList.add(className);
+	}
+	content.forEach((line, index) => {
+		if (index > 0) {
+			cell.appendChild(document.createElement("br"));
+		}
+		const span = document.createElement("span");
+		span.textContent = line.text;
+		if (line.secondary) {
+			span.classList.add("secondary");
+		}
+		cell.appendChild(span);
+	});
+	row.appendChild(cell);
+}
+
+function renderTable() {
+	const visible = messages.filter(matchesFilter);
+	discoveryTableBody.innerHTML = "";
+	emptyState.style.display = visible.length === 0 ? "block" : "none";
+
+	visible.forEach((message) => {
+		const row = document.createElement("tr");
+
+		appendCell(row, [
+			{ text: message.messageNumber },
+			...(message.label ? [{ text: message.label }] : []),
+			{ text: message.protocol, secondary: true },
+		]);
+		appendCell(row, [{ text: message.type }]);
+		appendCell(row, [{ text: message.count }, { text: formatRate(message.perMinute), secondary: true }]);
+		appendCell(
+			row,
+			message.senders.map((sender) => ({ text: `${sender.name} (${sender.count})` })),
+		);
+		appendCell(row, [{ text: message.dataTypes.join(", ") }]);
+		appendCell(row, message.min !== null ? [{ text: formatValue(message.min) }, { text: formatValue(message.max) }] : [{ text: "-" }]);
+
+		const values = message.distinctValues.slice(0, MAX_VALUES_SHOWN).map((entry) => ({ text: `${formatValue(entry.value)} ×${entry.count}` }));
+		const hidden = message.distinctCount - values.length;
+		if (hidden > 0 || message.distinctOverflow) {
+			values.push({ text: `… ${hidden > 0 ? hidden : ""}${message.distinctOverflow ? "+" : ""} more`, secondary: true });
+		}
+		appendCell(row, [{ text: `${message.distinctCount}${message.distinctOverflow ? "+" : ""} distinct`, secondary: true }, ...values], "values");
+
+		appendCell(row, [{ text: `${message.changes} of ${message.updates}` }, { text: formatRate(message.changesPerMinute), secondary: true }]);
+		appendCell(
+			row,
+			message.coChanges.length > 0
+				? message.coChanges.map((coChange) => ({
+						text: `${coChange.name} [${coChange.messageNumber}] on ${coChange.deviceName} - ${coChange.count}× (${Math.round(coChange.ratio * 100)}%)`,
+					}))
+				: [{ text: "-", secondary: true }],
+			"co-change",
+		);
+
+		discoveryTableBody.appendChild(row);
+	});
+}
+
+messageFilterInput.addEventListener("input", renderTable);
+changingOnlyCheckbox.addEventListener("change", renderTable);
+
+// ==================== Toolbar ====================
+refreshBtn.addEventListener("click", loadDiscovery);
+
+autoRefreshCheckbox.addEventListener("change", () => {
+	autoRefresh = autoRefreshCheckbox.checked;
+	scheduleRefresh();
+});
+
+function scheduleRefresh() {
+	clearInterval(refreshTimer);
+	refreshTimer = autoRefresh
+		? setInterval(() => {
+				if (isConnected && !viewMode) {
+					loadDiscovery();
+				}
+			}, REFRESH_INTERVAL)
+		: null;
+}
+
+connect();
+scheduleRefresh();
@@ -21,6 +21,7 @@ let packets = [];
 let isConnected = false;
 let viewMode = false;
 let autoRefresh = true;
+let interfaceNames = []; // Capture interfaces when several are configured, their order picks their colour
 
 // Graph management
 let graphs = [];
@@ -50,12 +51,14 @@ const saveGraphBtn = document.getElementById("saveGraphBtn");
 
 // Form fields
 const graphTitleInput = document.getElementById("graphTitle");
+const filterInterfaceInput = document.getElementById("filterInterface");
 const filterSourceInput = document.getElementById("filterSource");
 const filterDestinationInput = document.getElementById("filterDestination");
 const filterDataTypeSelect = document.getElementById("filterDataType");
 const filterMessageIdsInput = document.getElementById("filterMessageIds");
 const chartTypeSelect = document.getElementById("chartType");
 const showPointsCheckbox = document.getElementById("showPoints");
+const colorBySelect = document.getElementById("colorBy");
 
 // ====================Connect to WebSocket ====================
 function connect() {
@@ -91,6 +94,7 @@ function connect() {
 		if (message.type === "init") {
 			viewMode = message.viewMode;
 			packets = message.packets || [];
+			interfaceNames = message.interfaces || [];
 
 			if (viewMode) {
 				viewModeBadge.style.display = "block";
@@ -112,6 +116,17 @@ function connect() {
 			if (autoRefresh) {
 				refreshAllGraphs();
 			}
+		} else if (message.type === "labels") {
+			// User labels changed, rename sources and messages
+			packets.forEach((packet) => {
+				packet.sourceReadable = message.data.devices[packet.source] || packet.sourceReadable;
+				if (packet.protocol !== "non-NASA") {
+					packet.messages.forEach((msg) => {
+						msg.name = message.data.messages[msg.messageNumberHex] || msg.name;
+					});
+				}
+			});
+			refreshAllGraphs();
 		}
 	};
 }
@@ -129,12 +144,14 @@ function openAddGraphModal() {
 
 	// Clear form
 	graphTitleInput.value = "";
+	filterInterfaceInput.value = "";
 	filterSourceInput.value = "";
 	filterDestinationInput.value = "";
 	filterDataTypeSelect.value = "";
 	filterMessageIdsInput.value = "";
 	chartTypeSelect.value = "line";
 	showPointsCheckbox.checked = true;
+	colorBySelect.value = "series";
 
 	graphModal.classList.add("open");
 }
@@ -148,12 +165,14 @@ function openEditGraphModal(graphId) {
 
 	// Fill form
 	graphTitleInput.value = graph.config.title;
+	filterInterfaceInput.value = graph.config.filters.interface || "";
 	filterSourceInput.value = graph.config.filters.source || "";
 	filterDestinationInput.value = graph.config.filters.destination || "";
 	filterDataTypeSelect.value = graph.config.filters.dataType || "";
 	filterMessageIdsInput.value = graph.config.filters.messageIds.join(", ");
 	chartTypeSelect.value = graph.config.chartType;
 	showPointsCheckbox.checked = graph.config.showPoints;
+	colorBySelect.value = graph.config.colorBy || "series";
 
 	graphModal.classList.add("open");
 }
@@ -167,6 +186,7 @@ function saveGraph() {
 	const config = {
 		title: graphTitleInput.value.trim() || "Untitled Graph",
 		filters: {
+			interface: filterInterfaceInput.value.trim(),
 			source: filterSourceInput.value.trim(),
 			destination: filterDestinationInput.value.trim(),
 			dataType: filterDataTypeSelect.value,
@@ -177,6 +197,7 @@ function saveGraph() {
 		},
 		chartType: chartTypeSelect.value,
 		showPoints: showPointsCheckbox.checked,
+		colorBy: colorBySelect.value,
 	};
 
 	if (config.filters.messageIds.length === 0) {
@@ -203,6 +224,9 @@ function saveGraph() {
 				const filtersEl = card.querySelector(".graph-filters");
 				if (filtersEl) {
 					const filterTags = [];
+					if (config.filters.interface) {
+						filterTags.push(`If: ${config.filters.interface}`);
+					}
 					if (config.filters.source) {
 						filterTags.push(`Src: ${config.filters.source}`);
 					}
@@ -284,6 +308,17 @@ function refreshAllGraphs() {
 // ==================== Filtering ====================
 function filterPackets(filters) {
 	return packets.filter((packet) => {
+		// Interface filter - comma-separated interface names
+		if (filters.interface) {
+			const names = filters.interface
+				.split(",")
+				.map((s) => s.trim().toLowerCase())
+				.filter((s) => s.length > 0);
+			if (names.length > 0 && !names.includes((packet.interface || "").toLowerCase())) {
+				return false;
+			}
+		}
+
 		// Source filter - support comma-separated addresses
 		if (filters.source) {
 			const sourceAddresses = filters.source
@@ -341,12 +376,13 @@ function filterPackets(filters) {
 }
 
 function extractDataPoints(packets, filters) {
-	// Group data by source address and message ID
+	// Group data by interface, source address and message ID
 	const dataGroups = {};
 
 	packets.forEach((packet) => {
-		const timestamp = new Date(packet.timestamp);
+		const timestamp = packet.time; // Capture time, ms since the Unix epoch
 		const sourceAddr = packet.sourceReadable || packet.source;
+		const sourceInterface = packet.interface || "";
 
 		packet.messages.forEach((msg) => {
 			// Check if this message matches our filter
@@ -360,8 +396,8 @@ function extractDataPoints(packets, filters) {
 			});
 
 			if (matches) {
-				// Try to extract numeric value
-				let value = msg.value;
+				// Try to extract numeric value, preferring the catalog-scaled one
+				let value = msg.scaledValue !== undefined ? msg.scaledValue : msg.value;
 				if (typeof value === "string") {
 					// Try to parse as number
 					const parsed = parseFloat(value);
@@ -371,11 +407,12 @@ function extractDataPoints(packets, filters) {
 				}
 
 				if (typeof value === "number" && !isNaN(value)) {
-					// Create unique key for source + message combination
-					const groupKey = `${sourceAddr}|${msg.messageNumberHex}`;
+					// Create unique key for interface + source + message combination
+					const groupKey = `${sourceInterface}|${sourceAddr}|${msg.messageNumberHex}`;
 
 					if (!dataGroups[groupKey]) {
 						dataGroups[groupKey] = {
+							interface: sourceInterface,
 							source: sourceAddr,
 							messageId: msg.messageNumberHex,
 							messageName: msg.name,
@@ -389,6 +426,7 @@ function extractDataPoints(packets, filters) {
 						label: msg.name,
 						messageId: msg.messageNumberHex,
 						source: sourceAddr,
+						unit: msg.unit || "",
 					});
 				}
 			}
@@ -438,6 +476,9 @@ function renderGraphCard(graph) {
 
 	// Build filter summary
 	const filterTags = [];
+	if (graph.config.filters.interface) {
+		filterTags.push(`If: ${graph.config.filters.interface}`);
+	}
 	if (graph.config.filters.source) {
 		filterTags.push(`Src: ${graph.config.filters.source}`);
 	}
@@ -513,10 +554,21 @@ function renderGraph(graph) {
 		graph.chart.destroy();
 	}
 
-	// Create datasets for each source + message combination
+	// Create datasets for each interface + source + message combination
+	const seriesPerInterface = {};
 	const datasets = groupsArray.map((group, index) => {
-		const color = COLOR_PALETTE[index % COLOR_PALETTE.length];
-		const label = groupsArray.length > 1 ? `${group.messageName} [${group.messageId}] from ${group.source}` : `${group.messageName} [${group.messageId}]`;
+		// Colour by interface: one colour per interface, further series of the same interface are dashed
+		let color = COLOR_PALETTE[index % COLOR_PALETTE.length];
+		let borderDash = [];
+		if (graph.config.colorBy === "interface" && group.interface) {
+			color = getInterfaceColor(group.interface);
+			const series = (seriesPerInterface[group.interface] = (seriesPerInterface[group.interface] || 0) + 1);
+			borderDash = series > 1 ? [6, 3 * (series - 1)] : [];
+		}
+
+		const origin = group.interface ? ` on ${group.interface}` : "";
+		const label =
+			groupsArray.length > 1 ? `${group.messageName} [${group.messageId}] from ${group.source}${origin}` : `${group.messageName} [${group.messageId}]${origin}`;
 
 		// Convert hex color to rgba with transparency
 		let bgColor;
@@ -534,6 +586,7 @@ function renderGraph(graph) {
 			data: group.points,
 			borderColor: color,
 			backgroundColor: bgColor,
+			borderDash: borderDash,
 			borderWidth: 2,
 			pointRadius: graph.config.showPoints ? 3 : 0,
 			pointHoverRadius: 5,
@@ -582,11 +635,11 @@ function renderGraph(graph) {
 					callbacks: {
 						title: function (context) {
 							const point = context[0].raw;
-							return point.x.toLocaleString();
+							return `${new Date(point.x).toLocaleString()} (local) | ${new Date(point.x).toISOString()}`;
 						},
 						label: function (context) {
 							const point = context.raw;
-							return [`Source: ${point.source}`, `${point.label} [${point.messageId}]`, `Value: ${point.y}`];
+							return [`Source: ${point.source}`, `${point.label} [${point.messageId}]`, `Value: ${point.y}${point.unit ? " " + point.unit : ""}`];
 						},
 					},
 				},
@@ -594,6 +647,11 @@ function renderGraph(graph) {
 			scales: {
 				x: {
 					type: "time",
+					title: {
+						display: true,
+						text: `Local time (${Intl.DateTimeFormat().resolvedOptions().timeZone})`,
+						color: "#858585",
+					},
 					time: {
 						displayFormats: {
 							millisecond: "HH:mm:ss.SSS",
@@ -633,10 +691,12 @@ function refreshGraph(graphId) {
 }
 
 // ==================== Utility ====================
-function escapeHtml(text) {
-	const div = document.createElement("div");
-	div.textContent = text;
-	return div.innerHTML;
+// Interfaces keep the colour they have in the packet list
+function getInterfaceColor(name) {
+	if (!interfaceNames.includes(name)) {
+		interfaceNames.push(name);
+	}
+	return COLOR_PALETTE[interfaceNames.indexOf(name) % COLOR_PALETTE.length];
 }
 
 // ==================== Event Listeners ====================
@@ -0,0 +1,15 @@
+/*
+ * HTML Utilities
+ * Helpers shared by the web UI pages, loaded before the page scripts
+ */
+
+// Escape text from the server (labels, names, decoded bus data) before it is placed in HTML,
+// quotes included so it is also safe in attribute values
+function escapeHtml(text) {
+	return String(text === undefined || text === null ? "" : text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;")
+		.replace(/'/g, "&#39;");
+}
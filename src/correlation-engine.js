@@ -0,0 +1,187 @@
+/*
+ * Correlation Engine Module
+ * Links Read/Write/Request packets to the Response/Ack/Nack that answers them and tracks response times
+ */
+
+const EventEmitter = require("events");
+const { DataType, DataTypeName, parseTimestamp } = require("./packet-decoder");
+
+const REQUEST_TYPES = [DataType.Read, DataType.Write, DataType.Request];
+const RESPONSE_TYPES = [DataType.Response, DataType.Ack, DataType.Nack];
+
+class CorrelationEngine extends EventEmitter {
+	constructor(options = {}) {
+		super();
+
+		this.options = {
+			timeout: options.timeout || 3000, // ms without answer before a request counts as unanswered
+			maxUnanswered: options.maxUnanswered || 1000,
+			maxSamples: options.maxSamples || 1000, // Latency samples kept per device for percentiles
+		};
+
+		this.pending = new Map(); // "interface|peer|sa|da|packetNumber" -> { packet, time, retries }, separate buses and bridges never pair
+		this.deviceStats = new Map(); // Responder address -> latency statistics
+		this.unanswered = [];
+		this.totalPairs = 0;
+		this.totalUnanswered = 0;
+	}
+
+	/**
+	 * Check whether a packet answers a request (swapped addresses, same packet number)
+	 * @param {Packet} request - Read/Write/Request packet
+	 * @param {Packet} response - Response/Ack/Nack packet
+	 * @returns {boolean}
+	 */
+	static isResponseTo(request, response) {
+		return (
+			RESPONSE_TYPES.includes(response.command.dataType) &&
+			request.command.packetNumber === response.command.packetNumber &&
+			request.sa.toString() === response.da.toString() &&
+			request.da.toString() === response.sa.toString()
+		);
+	}
+
+	/**
+	 * Feed a packet into the engine
+	 * Sets packet.pairId / packet.latency on both packets when a pair is found and emits "pair"
+	 * @param {Packet} packet - Decoded packet (must carry an id)
+	 */
+	process(packet) {
+		const time = getPacketTime(packet);
+		this.expire(time);
+
+		if (REQUEST_TYPES.includes(packet.command.dataType)) {
+			const key = `${packet.interface || ""}|${packet.peer || ""}|${packet.sa.toString()}|${packet.da.toString()}|${packet.command.packetNumber}`;
+			const existing = this.pending.get(key);
+
+			// A retry keeps the original request so latency is measured from the first attempt
+			if (existing && packet.command.retryCount > 0) {
+				existing.retries++;
+			} else {
+				if (existing) {
+					this._markUnanswered(existing);
+				}
+				this.pending.set(key, { packet, time, retries: 0 });
+			}
+		} else if (RESPONSE_TYPES.includes(packet.command.dataType)) {
+			const key = `${packet.interface || ""}|${packet.peer || ""}|${packet.da.toString()}|${packet.sa.toString()}|${packet.command.packetNumber}`;
+			const entry = this.pending.get(key);
+			if (!entry) {
+				return;
+			}
+
+			this.pending.delete(key);
+			const latency = Math.round(Math.max(0, time - entry.time) * 1000) / 1000; // ms, microsecond resolution
+
+			entry.packet.pairId = packet.id;
+			entry.packet.latency = latency;
+			packet.pairId = entry.packet.id;
+			packet.latency = latency;
+
+			this._recordLatency(packet.sa, latency);
+			this.totalPairs++;
+			this.emit("pair", entry.packet, packet, latency);
+		}
+	}
+
+	/**
+	 * Move requests older than the timeout to the unanswered list
+	 * @param {number} now - Current time in ms
+	 */
+	expire(now) {
+		this.pending.forEach((entry, key) => {
+			if (now - entry.time > this.options.timeout) {
+				this.pending.delete(key);
+				this._markUnanswered(entry);
+			}
+		});
+	}
+
+	_markUnanswered(entry) {
+		this.totalUnanswered++;
+		this.unanswered.push({
+			id: entry.packet.id,
+			timestamp: entry.packet.timestamp,
+			source: entry.packet.sa.toReadableString(),
+			destination: entry.packet.da.toReadableString(),
+			dataType: DataTypeName[entry.packet.command.dataType],
+			packetNumber: entry.packet.command.packetNumber,
+			retries: entry.retries,
+			messages: entry.packet.messages.map((m) => `0x${m.messageNumber.toString(16).padStart(4, "0")}`),
+		});
+
+		if (this.unanswered.length > this.options.maxUnanswered) {
+			this.unanswered.shift();
+		}
+		this.emit("unanswered", entry.packet);
+	}
+
+	_recordLatency(address, latency) {
+		const key = address.toString();
+		if (!this.deviceStats.has(key)) {
+			this.deviceStats.set(key, {
+				device: address.toReadableString(),
+				count: 0,
+				total: 0,
+				min: Infinity,
+				max: 0,
+				samples: [],
+			});
+		}
+
+		const stats = this.deviceStats.get(key);
+		stats.count++;
+		stats.total += latency;
+		stats.min = Math.min(stats.min, latency);
+		stats.max = Math.max(stats.max, latency);
+		stats.samples.push(latency);
+		if (stats.samples.length > this.options.maxSamples) {
+			stats.samples.shift();
+		}
+	}
+
+	/**
+	 * Per-device response time statistics, slowest average first
+	 * @returns {Object[]} - [{ address, device, count, min, max, avg, p95 }]
+	 */
+	getDeviceStats() {
+		return Array.from(this.deviceStats.entries())
+			.map(([address, stats]) => {
+				const sorted = [...stats.samples].sort((a, b) => a - b);
+				return {
+					address,
+					device: stats.device,
+					count: stats.count,
+					min: stats.min,
+					max: stats.max,
+					avg: stats.total / stats.count,
+					p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+				};
+			})
+			.sort((a, b) => b.avg - a.avg);
+	}
+
+	getUnanswered() {
+		return this.unanswered;
+	}
+
+	getStats() {
+		return {
+			pairs: this.totalPairs,
+			unanswered: this.totalUnanswered,
+			pending: this.pending.size,
+		};
+	}
+}
+
+/**
+ * Get packet time in epoch milliseconds
+ * @param {Packet} packet - Decoded packet
+ * @returns {number}
+ */
+function getPacketTime(packet) {
+	// Packets decoded from a capture carry the arrival time, older ones only the UTC timestamp string
+	return typeof packet.time === "number" ? packet.time : parseTimestamp(packet.timestamp);
+}
+
+module.exports = CorrelationEngine;
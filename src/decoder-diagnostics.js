@@ -0,0 +1,87 @@
+/*
+ * Decoder Diagnostics Module
+ * Counts decoder errors per category and keeps the most recent error records with their bytes
+ */
+
+const EventEmitter = require("events");
+const { DecodeErrorCategory, bufferToHex } = require("./packet-decoder");
+
+class DecoderDiagnostics extends EventEmitter {
+	constructor(options = {}) {
+		super();
+
+		this.options = {
+			maxRecords: options.maxRecords || 200, // Recent error records kept
+			maxBytes: options.maxBytes || 256, // Bytes kept per record, skipped garbage can be long
+		};
+
+		this.counters = {}; // Category -> { count, bytes }
+		Object.values(DecodeErrorCategory).forEach((category) => {
+			this.counters[category] = { count: 0, bytes: 0 };
+		});
+		this.records = [];
+		this.total = 0;
+	}
+
+	/**
+	 * Record a decoder error
+	 * Emits "record" with the stored record
+	 * @param {Object} error - { category, message, time, timestamp, bytes } from PacketAnalyzer.analyzeBuffer(), plus the peer for TCP_SERVER connections
+	 *                         and the interface name when several interfaces are captured
+	 * @returns {Object} Stored record - { category, message, time, timestamp, interface, peer, length, hex }
+	 */
+	record(error) {
+		const bytes = error.bytes || Buffer.alloc(0);
+
+		if (!this.counters[error.category]) {
+			this.counters[error.category] = { count: 0, bytes: 0 };
+		}
+		this.counters[error.category].count++;
+		this.counters[error.category].bytes += bytes.length;
+		this.total++;
+
+		const record = {
+			category: error.category,
+			message: error.message,
+			time: error.time,
+			timestamp: error.timestamp,
+			interface: error.interface,
+			peer: error.peer,
+			length: bytes.length,
+			hex: bufferToHex(bytes.slice(0, this.options.maxBytes), " ") + (bytes.length > this.options.maxBytes ? " …" : ""),
+		};
+
+		this.records.push(record);
+		if (this.records.length > this.options.maxRecords) {
+			this.records.shift();
+		}
+
+		this.emit("record", record);
+		return record;
+	}
+
+	/**
+	 * Categories that occurred at least once
+	 * @returns {Object[]} - [{ category, count, bytes }] most frequent first
+	 */
+	getCounters() {
+		return Object.entries(this.counters)
+			.filter(([, counter]) => counter.count > 0)
+			.map(([category, counter]) => ({ category, ...counter }))
+			.sort((a, b) => b.count - a.count);
+	}
+
+	getRecords() {
+		return this.records;
+	}
+
+	toJSON() {
+		return {
+			total: this.total,
+			counters: this.getCounters(),
+			records: this.records,
+		};
+	}
+}
+
+module.exports = DecoderDiagnostics;
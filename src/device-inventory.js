@@ -0,0 +1,113 @@
+/*
+ * Device Inventory Module
+ * Tracks every address seen on the bus and who talks to whom
+ */
+
+const { DataTypeName, Protocol } = require("./packet-decoder");
+const { labels } = require("./label-store");
+
+// Broadcast layer address classes (0xB0 - 0xBF) are not real devices
+function isBroadcastClass(klass) {
+	return klass >= 0xb0 && klass <= 0xbf;
+}
+
+class DeviceInventory {
+	constructor() {
+		this.devices = new Map(); // "interface/address" (the address with one interface) -> device entry, buses never share a device
+		this.links = new Map(); // "source->destination" device keys -> link entry
+	}
+
+	/**
+	 * Update the inventory with a packet
+	 * @param {Packet} packet - Decoded packet
+	 */
+	process(packet) {
+		const sender = this._getDevice(packet.sa, packet.interface, packet.protocol, packet.timestamp);
+		const receiver = this._getDevice(packet.da, packet.interface, packet.protocol, packet.timestamp);
+		const dataTypeName = DataTypeName[packet.command.dataType] || "Unknown";
+
+		sender.packetsSent++;
+		sender.dataTypes.add(dataTypeName);
+		packet.messages.forEach((message) => sender.messages.add(message.messageNumber));
+		receiver.packetsReceived++;
+
+		const linkKey = `${sender.key}->${receiver.key}`;
+		if (!this.links.has(linkKey)) {
+			this.links.set(linkKey, {
+				source: sender.key,
+				destination: receiver.key,
+				count: 0,
+				dataTypes: new Set(),
+				lastSeen: null,
+			});
+		}
+
+		const link = this.links.get(linkKey);
+		link.count++;
+		link.dataTypes.add(dataTypeName);
+		link.lastSeen = packet.timestamp;
+	}
+
+	_getDevice(address, interfaceName, protocol, timestamp) {
+		const key = interfaceName ? `${interfaceName}/${address.toString()}` : address.toString();
+		const nasa = protocol === Protocol.Nasa;
+
+		if (!this.devices.has(key)) {
+			// Non-NASA addresses are a single byte without class/channel/address parts
+			this.devices.set(key, {
+				key,
+				address: address.toString(),
+				interface: interfaceName || null,
+				protocol,
+				klass: nasa ? address.klass : null,
+				className: address.getClassName(),
+				channel: nasa ? address.channel : null,
+				unitAddress: nasa ? address.address : null,
+				broadcast: nasa && isBroadcastClass(address.klass),
+				firstSeen: timestamp,
+				lastSeen: timestamp,
+				packetsSent: 0,
+				packetsReceived: 0,
+				dataTypes: new Set(),
+				messages: new Set(),
+			});
+		}
+
+		const device = this.devices.get(key);
+		device.lastSeen = timestamp;
+		return device;
+	}
+
+	/**
+	 * Get devices sorted by interface and address
+	 * @returns {Object[]} Device entries with sets converted to sorted arrays
+	 */
+	getDevices() {
+		return Array.from(this.devices.values())
+			.sort((a, b) => a.key.localeCompare(b.key))
+			.map((device) => ({
+				...device,
+				label: labels.getDeviceLabel(device.address),
+				readable: `${labels.getDeviceLabel(device.address) || device.className}(${device.address})`,
+				dataTypes: Array.from(device.dataTypes).sort(),
+				messages: Array.from(device.messages)
+					.sort((a, b) => a - b)
+					.map((number) => `0x${number.toString(16).padStart(4, "0")}`),
+			}));
+	}
+
+	getLinks() {
+		return Array.from(this.links.values())
+			.sort((a, b) => b.count - a.count)
+			.map((link) => ({ ...link, dataTypes: Array.from(link.dataTypes).sort() }));
+	}
+
+	toJSON() {
+		return {
+			devices: this.getDevices(),
+			links: this.getLinks(),
+		};
+	}
+}
+
+module.exports = DeviceInventory;
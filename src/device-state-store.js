@@ -0,0 +1,152 @@
+/*
+ * Device State Store Module
+ * Keeps the latest value of every message number per device
+ */
+
+const EventEmitter = require("events");
+const { DataType, bufferToHex } = require("./packet-decoder");
+
+// Data types whose values describe the sender, or the destination (values being written to it)
+// Read, Ack and Nack carry placeholder values and are ignored
+const SENDER_TYPES = [DataType.Notification, DataType.Response];
+const DESTINATION_TYPES = [DataType.Write, DataType.Request];
+
+class DeviceStateStore extends EventEmitter {
+	constructor() {
+		super();
+
+		this.states = new Map(); // Device key ("interface/address", or the address with one interface) -> Map(messageNumber -> state entry)
+		this.sources = new Map(); // State entry -> { owner, message } it was last updated from, to refresh names after relabelling
+	}
+
+	/**
+	 * Get the device whose values a packet carries
+	 * @param {Packet} packet - Decoded packet
+	 * @returns {Address|NonNasaAddress|null} Sender, destination, or null for packets without real values
+	 */
+	static getValueOwner(packet) {
+		if (SENDER_TYPES.includes(packet.command.dataType)) {
+			return packet.sa;
+		}
+		if (DESTINATION_TYPES.includes(packet.command.dataType)) {
+			return packet.da;
+		}
+		return null;
+	}
+
+	/**
+	 * Update the store with a packet
+	 * Emits "change" (entry, previousValue) for every value that differs from the stored one
+	 * @param {Packet} packet - Decoded packet
+	 */
+	process(packet) {
+		const owner = DeviceStateStore.getValueOwner(packet);
+		if (!owner) {
+			return;
+		}
+
+		// The same address on two capture interfaces is two devices
+		const device = packet.interface ? `${packet.interface}/${owner.toString()}` : owner.toString();
+		if (!this.states.has(device)) {
+			this.states.set(device, new Map());
+		}
+		const deviceStates = this.states.get(device);
+
+		packet.messages.forEach((message) => {
+			const value = message.structure ? bufferToHex(message.structure, " ") : message.value;
+			const entry = deviceStates.get(message.messageNumber);
+
+			if (!entry) {
+				const created = {
+					device,
+					address: owner.toString(),
+					interface: packet.interface || null,
+					deviceName: owner.toReadableString(),
+					messageNumber: `0x${message.messageNumber.toString(16).padStart(4, "0")}`,
+					name: message.getName(),
+					value,
+					readableValue: message.getReadableValue(),
+					scaledValue: message.getScaledValue(),
+					unit: message.getUnit(),
+					time: packet.time,
+					timestamp: packet.timestamp,
+					firstSeen: packet.timestamp,
+					packetId: packet.id,
+					updates: 1,
+					changes: 0,
+				};
+				deviceStates.set(message.messageNumber, created);
+				this.sources.set(created, { owner, message });
+				this.emit("change", created, undefined);
+				return;
+			}
+
+			const previousValue = entry.value;
+			this.sources.set(entry, { owner, message });
+			entry.time = packet.time;
+			entry.timestamp = packet.timestamp;
+			entry.packetId = packet.id;
+			entry.updates++;
+
+			if (previousValue !== value) {
+				entry.value = value;
+				entry.readableValue = message.getReadableValue();
+				entry.scaledValue = message.getScaledValue();
+				entry.changes++;
+				this.emit("change", entry, previousValue);
+			}
+		});
+	}
+
+	/**
+	 * Get the current value of a message on a device
+	 * @param {string} device - Address string, e.g. "20.00.01", prefixed with the interface name with several interfaces ("remote/20.00.01")
+	 * @param {number} messageNumber - Message number
+	 * @returns {Object|null} State entry
+	 */
+	get(device, messageNumber) {
+		const deviceStates = this.states.get(normalizeDevice(device));
+		return (deviceStates && deviceStates.get(messageNumber)) || null;
+	}
+
+	/**
+	 * Get all current values, grouped by device
+	 * @param {string} device - Optional device to limit the snapshot to, as for get()
+	 * @returns {Object} - { "20.00.01": [entry, ...], ... } with entries sorted by message number
+	 */
+	getSnapshot(device = null) {
+		const snapshot = {};
+
+		Array.from(this.states.keys())
+			.filter((key) => !device || key === normalizeDevice(device))
+			.sort()
+			.forEach((key) => {
+				snapshot[key] = Array.from(this.states.get(key).values()).sort((a, b) => a.messageNumber.localeCompare(b.messageNumber));
+			});
+
+		return snapshot;
+	}
+
+	/**
+	 * Refresh device and message names after user labels changed
+	 */
+	relabel() {
+		this.sources.forEach(({ owner, message }, entry) => {
+			entry.deviceName = owner.toReadableString();
+			entry.name = message.getName();
+		});
+	}
+
+	clear() {
+		this.states.clear();
+		this.sources.clear();
+	}
+}
+
+// Addresses are stored upper case, interface names as configured
+function normalizeDevice(device) {
+	const slash = device.lastIndexOf("/");
+	return device.slice(0, slash + 1) + device.slice(slash + 1).toUpperCase();
+}
+
+module.exports = DeviceStateStore;
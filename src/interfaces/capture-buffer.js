@@ -0,0 +1,73 @@
+/*
+ * Capture Buffer Module
+ * Receive buffer that remembers when each chunk of bytes arrived
+ */
+
+const { captureTime } = require("../packet-decoder");
+
+class CaptureBuffer {
+	constructor() {
+		this.data = Buffer.alloc(0);
+		this.chunks = []; // { offset, time } - buffer offset of the first byte of each chunk and its arrival time
+	}
+
+	/**
+	 * Append a received chunk
+	 * @param {Buffer} chunk - Received bytes
+	 * @param {number} time - Arrival time (epoch ms), defaults to now
+	 */
+	append(chunk, time = captureTime()) {
+		if (chunk.length === 0) {
+			return;
+		}
+		this.chunks.push({ offset: this.data.length, time });
+		this.data = Buffer.concat([this.data, chunk]);
+	}
+
+	getData() {
+		return this.data;
+	}
+
+	/**
+	 * Arrival time of the byte at an offset
+	 * @param {number} offset - Offset into the current buffer
+	 * @returns {number} Epoch ms at which the chunk holding that byte arrived
+	 */
+	getArrivalTime(offset) {
+		for (let i = this.chunks.length - 1; i >= 0; i--) {
+			if (this.chunks[i].offset <= offset) {
+				return this.chunks[i].time;
+			}
+		}
+		return this.chunks.length > 0 ? this.chunks[0].time : captureTime();
+	}
+
+	/**
+	 * Drop consumed bytes from the front of the buffer
+	 * @param {number} length - Number of bytes consumed
+	 */
+	consume(length) {
+		if (length >= this.data.length) {
+			this.clear();
+			return;
+		}
+
+		this.data = this.data.slice(length);
+		this.chunks = this.chunks.map((chunk) => ({ offset: chunk.offset - length, time: chunk.time }));
+
+		// The chunk holding the new first byte now starts at offset 0
+		let first = 0;
+		while (first + 1 < this.chunks.length && this.chunks[first + 1].offset <= 0) {
+			first++;
+		}
+		this.chunks = this.chunks.slice(first);
+		this.chunks[0].offset = 0;
+	}
+
+	clear() {
+		this.data = Buffer.alloc(0);
+		this.chunks = [];
+	}
+}
+
+module.exports = CaptureBuffer;
@@ -1,12 +1,22 @@
 /*
  * COM Port Interface Module
  * Handles serial port communication for NASA protocol
+ * Reopens the port with backoff when the adapter is unplugged or re-enumerated
  */
 
 const { SerialPort } = require("serialport");
 const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { captureTime } = require("../packet-decoder");
 
 class ComPortInterface extends EventEmitter {
+	/**
+	 * @param {Object} config - Port settings and reconnection
+	 * @param {boolean} config.reconnect - Reopen the port after it closes unexpectedly (default true)
+	 * @param {number} config.reconnectDelay - ms before the first reopen attempt, doubled after each failure (default 1000)
+	 * @param {number} config.maxReconnectDelay - Upper limit of the delay between attempts (default 30000)
+	 * @param {number} config.hotplugInterval - ms between checks of the port list for the device coming back (default 1000)
+	 */
 	constructor(config) {
 		super();
 
@@ -16,76 +26,202 @@ class ComPortInterface extends EventEmitter {
 			dataBits: config.dataBits || 8,
 			parity: config.parity || "even",
 			stopBits: config.stopBits || 1,
+			reconnect: config.reconnect !== false,
+			reconnectDelay: config.reconnectDelay || 1000,
+			maxReconnectDelay: config.maxReconnectDelay || 30000,
+			hotplugInterval: config.hotplugInterval || 1000,
 		};
 
 		this.port = null;
 		this.isConnected = false;
-		this.buffer = Buffer.alloc(0);
+		this.buffer = new CaptureBuffer();
+		this.shouldReconnect = false;
+		this.isOpening = false;
+		this.reconnectTimer = null;
+		this.reconnectAttempts = 0;
+		this.hotplugTimer = null;
+		this.devicePresent = false; // Port was in the port list at the last hot-plug check
 	}
 
 	async connect() {
+		this.shouldReconnect = this.config.reconnect;
+		await this._open();
+	}
+
+	_open() {
 		return new Promise((resolve, reject) => {
-			try {
-				this.port = new SerialPort({
-					path: this.config.path,
+			const port = new SerialPort({
+				path: this.config.path,
+				baudRate: this.config.baudRate,
+				dataBits: this.config.dataBits,
+				parity: this.config.parity,
+				stopBits: this.config.stopBits,
+				autoOpen: false,
+			});
+
+			port.on("data", (data) => {
+				const time = captureTime();
+				this.buffer.append(data, time);
+				this.emit("data", data, time);
+			});
+
+			port.on("error", (err) => {
+				if (port === this.port) {
+					this.emit("error", err);
+				}
+			});
+
+			port.on("close", (err) => this._handleClose(port, err));
+
+			this.isOpening = true;
+			port.open((err) => {
+				this.isOpening = false;
+				if (err) {
+					reject(err);
+					return;
+				}
+
+				// Bytes of a frame cut off by the disconnect must not be glued to the first bytes after it
+				this.buffer.clear();
+				this.port = port;
+				this.isConnected = true;
+				this.reconnectAttempts = 0;
+				this._stopHotplugWatch();
+				this.emit("connected", {
+					interface: "COM",
+					port: this.config.path,
 					baudRate: this.config.baudRate,
-					dataBits: this.config.dataBits,
 					parity: this.config.parity,
-					stopBits: this.config.stopBits,
 				});
+				resolve();
+			});
+		});
+	}
 
-				let connectionResolved = false;
-
-				this.port.on("open", () => {
-					this.isConnected = true;
-					connectionResolved = true;
-					this.emit("connected", {
-						interface: "COM",
-						port: this.config.path,
-						baudRate: this.config.baudRate,
-						parity: this.config.parity,
-					});
-					resolve();
-				});
+	/**
+	 * The port closed, by close() or because the adapter was unplugged or re-enumerated
+	 * @param {SerialPort} port - Port that closed
+	 * @param {Error} err - Set when the close was not requested, err.disconnected when the device went away
+	 */
+	_handleClose(port, err) {
+		if (port !== this.port) {
+			return;
+		}
 
-				this.port.on("data", (data) => {
-					this.buffer = Buffer.concat([this.buffer, data]);
-					this.emit("data", data);
-				});
+		this.port = null;
+		this.isConnected = false;
+		this.buffer.clear();
+		this.emit("disconnected", err ? (err.disconnected ? "device removed" : err.message) : "");
 
-				this.port.on("error", (err) => {
-					this.emit("error", err);
-					if (!connectionResolved) {
-						reject(err);
-					}
-				});
+		if (this.shouldReconnect) {
+			this.devicePresent = false;
+			this._scheduleReconnect();
+			this._startHotplugWatch();
+		}
+	}
 
-				this.port.on("close", () => {
-					this.isConnected = false;
-					this.emit("disconnected");
-				});
-			} catch (err) {
-				reject(err);
+	// Exponential backoff between reopen attempts
+	_scheduleReconnect() {
+		const delay = Math.min(this.config.reconnectDelay * 2 ** this.reconnectAttempts, this.config.maxReconnectDelay);
+		this.reconnectAttempts++;
+		this.emit("reconnecting", delay);
+		this.reconnectTimer = setTimeout(() => this._reconnect(), delay);
+	}
+
+	_reconnect() {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		if (!this.shouldReconnect || this.isConnected || this.isOpening) {
+			return;
+		}
+
+		this._open().catch(() => {
+			if (this.shouldReconnect && !this.reconnectTimer) {
+				this._scheduleReconnect();
 			}
 		});
 	}
 
+	// Open the port as soon as the device shows up in the port list again instead of waiting for the next attempt
+	_startHotplugWatch() {
+		if (this.hotplugTimer) {
+			return;
+		}
+
+		this.hotplugTimer = setInterval(async () => {
+			let present;
+			try {
+				const ports = await SerialPort.list();
+				present = ports.some((port) => port.path === this.config.path);
+			} catch (err) {
+				// Port listing is not available here, the backoff attempts carry on alone
+				this._stopHotplugWatch();
+				return;
+			}
+
+			if (present && !this.devicePresent && this.hotplugTimer) {
+				this.reconnectAttempts = 0;
+				this._reconnect();
+			}
+			this.devicePresent = present;
+		}, this.config.hotplugInterval);
+	}
+
+	_stopHotplugWatch() {
+		clearInterval(this.hotplugTimer);
+		this.hotplugTimer = null;
+	}
+
 	getBuffer() {
-		return this.buffer;
+		return this.buffer.getData();
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer()
+	 * @returns {number} Epoch ms (UTC) at which the chunk holding that byte was received
+	 */
+	getArrivalTime(offset) {
+		return this.buffer.getArrivalTime(offset);
 	}
 
 	clearBuffer(length) {
-		if (length >= this.buffer.length) {
-			this.buffer = Buffer.alloc(0);
-		} else {
-			this.buffer = this.buffer.slice(length);
-		}
+		this.buffer.consume(length);
+	}
+
+	/**
+	 * Write raw bytes to the serial port
+	 * @param {Buffer} data - Bytes to send
+	 * @returns {Promise<void>} Resolves once the data has been drained to the port
+	 */
+	async write(data) {
+		return new Promise((resolve, reject) => {
+			if (!this.port || !this.isConnected) {
+				reject(new Error("COM port is not connected"));
+				return;
+			}
+
+			this.port.write(data, (err) => {
+				if (err) {
+					reject(err);
+					return;
+				}
+				this.port.drain((drainErr) => (drainErr ? reject(drainErr) : resolve()));
+			});
+		});
 	}
 
 	async close() {
+		this.shouldReconnect = false;
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		this._stopHotplugWatch();
+
 		return new Promise((resolve) => {
 			if (this.port && this.isConnected) {
-				this.port.close(() => {
+				const port = this.port;
+				this.port = null;
+				port.close(() => {
 					this.isConnected = false;
 					resolve();
 				});
@@ -100,7 +236,10 @@ class ComPortInterface extends EventEmitter {
 			type: "COM",
 			port: this.config.path,
 			baudRate: this.config.baudRate,
+			dataBits: this.config.dataBits,
 			parity: this.config.parity,
+			stopBits: this.config.stopBits,
+			reconnect: this.config.reconnect,
 			connected: this.isConnected,
 		};
 	}
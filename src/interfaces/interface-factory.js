@@ -1,16 +1,22 @@
 /*
  * Interface Factory Module
- * Creates and configures the appropriate interface (COM or TCP) based on configuration
+ * Creates and configures the appropriate interface (COM, TCP, TCP_SERVER, UDP, REPLAY or SIM) based on configuration,
+ * or several named interfaces at once
  */
 
 const ComPortInterface = require("./comport-interface");
 const TcpInterface = require("./tcp-interface");
+const TcpServerInterface = require("./tcp-server-interface");
+const UdpInterface = require("./udp-interface");
+const ReplayInterface = require("./replay-interface");
+const SimInterface = require("./sim-interface");
+const MultiInterface = require("./multi-interface");
 
 class InterfaceFactory {
 	/**
 	 * Create interface based on configuration
 	 * @param {Object} config - Configuration object
-	 * @returns {ComPortInterface|TcpInterface}
+	 * @returns {ComPortInterface|TcpInterface|TcpServerInterface|UdpInterface|ReplayInterface|SimInterface}
 	 */
 	static createInterface(config) {
 		const mode = (config.mode || "COM").toUpperCase();
@@ -23,6 +29,41 @@ class InterfaceFactory {
 					reconnectDelay: config.tcpReconnectDelay || 5000,
 				});
 
+			case "TCP_SERVER":
+				return new TcpServerInterface({
+					host: config.tcpServerHost || "0.0.0.0",
+					port: config.tcpServerPort || 5000,
+				});
+
+			case "UDP":
+				return new UdpInterface({
+					host: config.udpHost || "0.0.0.0",
+					port: config.udpPort || 5000,
+					multicastGroup: config.udpMulticastGroup || null,
+					multicastInterface: config.udpMulticastInterface || undefined,
+					framing: config.udpFraming || "stream",
+					senderTimeout: config.udpSenderTimeout,
+					maxSenders: config.udpMaxSenders,
+				});
+
+			case "REPLAY":
+				return new ReplayInterface({
+					file: config.replayFile,
+					speed: config.replaySpeed || 1,
+					loop: config.replayLoop || false,
+					startOffset: config.replayStartOffset || 0,
+					baudRate: config.baudRate || 9600,
+				});
+
+			case "SIM":
+				return new SimInterface({
+					// Passed on unchanged, the simulator rejects counts and speeds out of range instead of using the default
+					indoorUnits: config.simIndoorUnits !== undefined ? config.simIndoorUnits : 3,
+					scenario: config.simScenario || null,
+					speed: config.simSpeed !== undefined ? config.simSpeed : 1,
+					seed: config.simSeed,
+				});
+
 			case "COM":
 			case "COMPORT":
 			case "SERIAL":
@@ -32,33 +73,100 @@ class InterfaceFactory {
 					dataBits: config.dataBits || 8,
 					parity: config.parity || "even",
 					stopBits: config.stopBits || 1,
+					reconnect: config.comReconnect,
+					reconnectDelay: config.comReconnectDelay || 1000,
+					maxReconnectDelay: config.comReconnectMaxDelay || 30000,
 				});
 
 			default:
-				throw new Error(`Unknown interface mode: ${mode}. Use 'TCP' or 'COM'.`);
+				throw new Error(`Unknown interface mode: ${mode}. Use 'TCP', 'TCP_SERVER', 'UDP', 'COM', 'REPLAY' or 'SIM'.`);
 		}
 	}
 
 	/**
 	 * Create interface from environment variables
+	 * With INTERFACES (comma-separated names) one interface is created per name, configured by the same
+	 * variables prefixed with the upper-case name (BUS1_INTERFACE_MODE, BUS1_COM_PORT, ...). Variables
+	 * without prefix apply to all of them.
 	 * @param {Object} env - Process environment variables
-	 * @returns {ComPortInterface|TcpInterface}
+	 * @returns {ComPortInterface|TcpInterface|TcpServerInterface|UdpInterface|ReplayInterface|SimInterface|MultiInterface}
 	 */
 	static createFromEnv(env) {
+		if (env.INTERFACES) {
+			return InterfaceFactory.createMultiFromEnv(env);
+		}
+
 		const config = {
 			mode: env.INTERFACE_MODE || "COM",
 			// COM Port config
 			comPort: env.COM_PORT || "COM7",
 			baudRate: parseInt(env.BAUD_RATE || "9600"),
 			parity: env.PARITY || "even",
+			comReconnect: env.COM_RECONNECT !== "false",
+			comReconnectDelay: parseInt(env.COM_RECONNECT_DELAY || "1000"),
+			comReconnectMaxDelay: parseInt(env.COM_RECONNECT_MAX_DELAY || "30000"),
 			// TCP config
 			tcpHost: env.TCP_HOST || "localhost",
 			tcpPort: parseInt(env.TCP_PORT || "5000"),
 			tcpReconnectDelay: parseInt(env.TCP_RECONNECT_DELAY || "5000"),
+			// TCP server config
+			tcpServerHost: env.TCP_SERVER_HOST || "0.0.0.0",
+			tcpServerPort: parseInt(env.TCP_SERVER_PORT || "5000"),
+			// UDP config
+			udpHost: env.UDP_HOST || "0.0.0.0",
+			udpPort: parseInt(env.UDP_PORT || "5000"),
+			udpMulticastGroup: env.UDP_MULTICAST_GROUP || null,
+			udpMulticastInterface: env.UDP_MULTICAST_INTERFACE || undefined,
+			udpFraming: env.UDP_FRAMING || "stream",
+			udpSenderTimeout: parseInt(env.UDP_SENDER_TIMEOUT || "60") * 1000,
+			udpMaxSenders: parseInt(env.UDP_MAX_SENDERS || "64"),
+			// Replay config
+			replayFile: env.REPLAY_FILE,
+			replaySpeed: parseFloat(env.REPLAY_SPEED || "1"),
+			replayLoop: env.REPLAY_LOOP === "true",
+			replayStartOffset: parseFloat(env.REPLAY_START_OFFSET || "0"),
+			// Simulator config
+			simIndoorUnits: parseInt(env.SIM_INDOOR_UNITS || "3"),
+			simScenario: env.SIM_SCENARIO || null,
+			simSpeed: parseFloat(env.SIM_SPEED || "1"),
+			simSeed: env.SIM_SEED ? parseInt(env.SIM_SEED) : undefined,
 		};
 
 		return InterfaceFactory.createInterface(config);
 	}
+
+	/**
+	 * Create the named interfaces listed in INTERFACES
+	 * @param {Object} env - Process environment variables
+	 * @returns {MultiInterface}
+	 */
+	static createMultiFromEnv(env) {
+		const names = env.INTERFACES.split(",")
+			.map((name) => name.trim())
+			.filter((name) => name.length > 0);
+
+		const interfaces = new Map();
+		names.forEach((name) => {
+			if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+				throw new Error(`Invalid interface name: ${name}. Use letters, digits, '-' and '_'.`);
+			}
+			if (interfaces.has(name)) {
+				throw new Error(`Interface ${name} is listed twice`);
+			}
+
+			const prefix = `${name.toUpperCase().replace(/-/g, "_")}_`;
+			const interfaceEnv = { ...env, INTERFACES: "" };
+			Object.keys(env)
+				.filter((key) => key.startsWith(prefix))
+				.forEach((key) => {
+					interfaceEnv[key.slice(prefix.length)] = env[key];
+				});
+
+			interfaces.set(name, InterfaceFactory.createFromEnv(interfaceEnv));
+		});
+
+		return new MultiInterface(interfaces, { transmit: env.TRANSMIT_INTERFACE });
+	}
 }
 
 module.exports = InterfaceFactory;
@@ -0,0 +1,116 @@
+/*
+ * Multi Interface Module
+ * Captures from several named interfaces at once, e.g. two RS-485 buses or an F1/F2 tap and a wired-remote tap
+ *
+ * Every interface keeps its own framing buffers. Events of an interface are passed on with its name as the
+ * last argument, and the buffer methods take that name to pick the interface.
+ */
+
+const EventEmitter = require("events");
+const { captureTime } = require("../packet-decoder");
+
+class MultiInterface extends EventEmitter {
+	/**
+	 * @param {Map<string, Object>} interfaces - Interface name -> interface instance
+	 * @param {Object} options - { transmit: name of the interface packets are sent on (default the first one) }
+	 */
+	constructor(interfaces, options = {}) {
+		super();
+
+		if (interfaces.size === 0) {
+			throw new Error("No interfaces configured");
+		}
+
+		this.interfaces = interfaces;
+		this.transmit = options.transmit || interfaces.keys().next().value;
+		this.isConnected = false;
+
+		if (!this.interfaces.has(this.transmit)) {
+			throw new Error(`Unknown transmit interface: ${this.transmit}. Configured: ${Array.from(this.interfaces.keys()).join(", ")}`);
+		}
+
+		this.interfaces.forEach((instance, name) => this._forwardEvents(instance, name));
+	}
+
+	_forwardEvents(instance, name) {
+		instance.on("connected", (info) => this.emit("connected", { ...info, source: name }));
+		instance.on("data", (data, time, peer = "") => this.emit("data", data, time, peer, name));
+		instance.on("peer-connected", (peer) => this.emit("peer-connected", peer, name));
+		instance.on("peer-disconnected", (peer) => this.emit("peer-disconnected", peer, name));
+		instance.on("disconnected", (reason = "") => this.emit("disconnected", reason, name));
+		instance.on("reconnecting", (delay) => this.emit("reconnecting", delay, name));
+		instance.on("end", (info) => this.emit("end", { ...info, source: name }));
+		instance.on("scenario", (step) => this.emit("scenario", step, name));
+		instance.on("error", (err) => this.emit("error", new Error(`${name}: ${err.message}`)));
+	}
+
+	/**
+	 * Connect all interfaces
+	 * If one of them fails, the ones already connected are closed again
+	 */
+	async connect() {
+		const results = await Promise.allSettled(Array.from(this.interfaces.values()).map((instance) => instance.connect()));
+		const names = Array.from(this.interfaces.keys());
+		const failed = results.findIndex((result) => result.status === "rejected");
+
+		if (failed !== -1) {
+			await this.close();
+			throw new Error(`${names[failed]}: ${results[failed].reason.message}`);
+		}
+
+		this.isConnected = true;
+		this.emit("connected", { interface: "MULTI", interfaces: names, transmit: this.transmit });
+	}
+
+	/**
+	 * Buffered bytes of one interface (and connection)
+	 * @param {string} peer - Connection of a multi-connection interface, "" otherwise
+	 * @param {string} source - Interface name as passed with the "data" event
+	 * @returns {Buffer}
+	 */
+	getBuffer(peer, source) {
+		const instance = this.interfaces.get(source);
+		return instance ? instance.getBuffer(peer) : Buffer.alloc(0);
+	}
+
+	getArrivalTime(offset, peer, source) {
+		const instance = this.interfaces.get(source);
+		return instance ? instance.getArrivalTime(offset, peer) : captureTime();
+	}
+
+	clearBuffer(length, peer, source) {
+		const instance = this.interfaces.get(source);
+		if (instance) {
+			instance.clearBuffer(length, peer);
+		}
+	}
+
+	/**
+	 * Write raw bytes to the transmit interface
+	 * @param {Buffer} data - Bytes to send
+	 */
+	async write(data) {
+		return this.interfaces.get(this.transmit).write(data);
+	}
+
+	async close() {
+		await Promise.all(Array.from(this.interfaces.values()).map((instance) => instance.close()));
+		this.isConnected = false;
+	}
+
+	getInfo() {
+		const interfaces = {};
+		this.interfaces.forEach((instance, name) => {
+			interfaces[name] = instance.getInfo();
+		});
+
+		return {
+			type: "MULTI",
+			interfaces,
+			transmit: this.transmit,
+			connected: this.isConnected,
+		};
+	}
+}
+
+module.exports = MultiInterface;
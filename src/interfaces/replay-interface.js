@@ -0,0 +1,225 @@
+/*
+ * Replay Interface Module
+ * Streams a previously recorded capture as if it came from the bus, keeping the original timing
+ */
+
+const fs = require("fs");
+const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { captureTime, parseTimestamp } = require("../packet-decoder");
+const { isRawRecording, readRawRecording } = require("../raw-recorder");
+
+const RAW_CHUNK_SIZE = 16; // Bytes per chunk when pacing an untimed raw dump
+const BITS_PER_BYTE = 11; // Start bit, 8 data bits, parity and stop bit
+
+class ReplayInterface extends EventEmitter {
+	constructor(config) {
+		super();
+
+		this.config = {
+			file: config.file,
+			speed: config.speed || 1,
+			loop: config.loop || false,
+			startOffset: config.startOffset || 0, // seconds into the recording
+			baudRate: config.baudRate || 9600, // pacing of raw dumps without timing
+		};
+
+		if (!this.config.file) {
+			throw new Error("No replay file given. Set REPLAY_FILE to a packet export (.json) or raw byte recording.");
+		}
+		if (!(this.config.speed > 0)) {
+			throw new Error(`Invalid replay speed: ${config.speed}`);
+		}
+
+		this.chunks = []; // { time, data } - recorded chunks with their original arrival time (epoch ms)
+		this.format = null;
+		this.recordedFrom = null; // interface settings from the header of a raw recording
+		this.isConnected = false;
+		this.buffer = new CaptureBuffer();
+		this.timer = null;
+		this.position = 0;
+		this.startTime = 0; // wall clock time the current pass started at
+		this.firstTime = 0; // recording time the current pass starts from
+		this.passes = 0;
+	}
+
+	async connect() {
+		const recording = loadRecording(this.config.file, this.config.baudRate);
+		this.format = recording.format;
+		this.chunks = recording.chunks;
+		this.recordedFrom = recording.recordedFrom || null;
+
+		if (this.chunks.length === 0) {
+			throw new Error(`Replay file ${this.config.file} contains no data`);
+		}
+
+		const duration = this.chunks[this.chunks.length - 1].time - this.chunks[0].time;
+		if (this.config.startOffset * 1000 > duration) {
+			throw new Error(`Start offset ${this.config.startOffset}s is beyond the end of the recording (${(duration / 1000).toFixed(1)}s)`);
+		}
+
+		this.isConnected = true;
+		this.emit("connected", {
+			interface: "REPLAY",
+			file: this.config.file,
+			format: this.format,
+			recordedFrom: this.recordedFrom,
+			duration,
+			speed: this.config.speed,
+			loop: this.config.loop,
+			startOffset: this.config.startOffset,
+		});
+
+		this._startPass();
+	}
+
+	/**
+	 * Start a pass over the recording at the start offset
+	 * A frame cut off at the end of the previous pass is dropped so it does not merge with the first bytes of this one
+	 */
+	_startPass() {
+		this.buffer.clear();
+		this.passes++;
+
+		const offsetTime = this.chunks[0].time + this.config.startOffset * 1000;
+		this.position = this.chunks.findIndex((chunk) => chunk.time >= offsetTime);
+		this.firstTime = this.chunks[this.position].time;
+		this.startTime = captureTime();
+		this._scheduleNext();
+	}
+
+	_scheduleNext() {
+		if (!this.isConnected) {
+			return;
+		}
+
+		if (this.position >= this.chunks.length) {
+			this.emit("end", { passes: this.passes, loop: this.config.loop });
+			if (this.config.loop) {
+				this._startPass();
+			} else {
+				this.isConnected = false;
+				this.emit("disconnected");
+			}
+			return;
+		}
+
+		// Delays are measured from the start of the pass, so timer lateness does not add up over a long recording
+		const chunk = this.chunks[this.position];
+		const due = this.startTime + (chunk.time - this.firstTime) / this.config.speed;
+		this.timer = setTimeout(() => this._emitChunk(), Math.max(0, due - captureTime()));
+	}
+
+	_emitChunk() {
+		const chunk = this.chunks[this.position++];
+		const time = captureTime();
+		this.buffer.append(chunk.data, time);
+		this.emit("data", chunk.data, time);
+		this._scheduleNext();
+	}
+
+	getBuffer() {
+		return this.buffer.getData();
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer()
+	 * @returns {number} Epoch ms (UTC) at which the chunk holding that byte was replayed
+	 */
+	getArrivalTime(offset) {
+		return this.buffer.getArrivalTime(offset);
+	}
+
+	clearBuffer(length) {
+		this.buffer.consume(length);
+	}
+
+	async write() {
+		throw new Error("Replay interface is read-only");
+	}
+
+	async close() {
+		this.isConnected = false;
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+	}
+
+	getInfo() {
+		return {
+			type: "REPLAY",
+			file: this.config.file,
+			format: this.format,
+			speed: this.config.speed,
+			loop: this.config.loop,
+			startOffset: this.config.startOffset,
+			connected: this.isConnected,
+		};
+	}
+}
+
+/**
+ * Read a recording into timed chunks
+ * Raw recordings (RAW_RECORD) keep every received chunk at its arrival time, including bytes the decoder dropped.
+ * Packet exports (.json) give one chunk per packet at its capture time. Any other file is a raw byte dump
+ * without timing, paced at the serial line rate.
+ * @param {string} filename - Recording file
+ * @param {number} baudRate - Line rate used to pace raw dumps
+ * @returns {Object} { format, chunks: [{ time, data }], recordedFrom } sorted by time
+ */
+function loadRecording(filename, baudRate) {
+	let content;
+	try {
+		content = fs.readFileSync(filename);
+	} catch (error) {
+		throw new Error(`Failed to read replay file: ${error.message}`);
+	}
+
+	if (isRawRecording(content)) {
+		try {
+			const recording = readRawRecording(content);
+			return { format: "recording", chunks: recording.chunks, recordedFrom: recording.header.interface };
+		} catch (error) {
+			throw new Error(`Failed to read raw recording ${filename}: ${error.message}`);
+		}
+	}
+
+	if (content[0] === 0x7b) {
+		// "{" - packet export
+		return { format: "json", chunks: readPacketExport(filename, content) };
+	}
+
+	const chunks = [];
+	const byteTime = (BITS_PER_BYTE * 1000) / baudRate;
+	for (let offset = 0; offset < content.length; offset += RAW_CHUNK_SIZE) {
+		chunks.push({ time: offset * byteTime, data: content.slice(offset, offset + RAW_CHUNK_SIZE) });
+	}
+	return { format: "raw", chunks };
+}
+
+function readPacketExport(filename, content) {
+	let exportData;
+	try {
+		exportData = JSON.parse(content.toString("utf8"));
+	} catch (error) {
+		throw new Error(`Failed to parse replay file ${filename}: ${error.message}`);
+	}
+
+	const packets = exportData.packets || exportData.p;
+	if (!packets) {
+		throw new Error(`Invalid packet file format: ${filename}`);
+	}
+
+	// Same full and minimized attribute names as the view mode loader
+	return packets
+		.map((p) => ({
+			time: p.time !== undefined ? p.time : p.ts !== undefined ? p.ts : parseTimestamp(p.timestamp || p.t),
+			data: Buffer.from(p.rawData || p.rd || []),
+		}))
+		.filter((chunk) => chunk.data.length > 0 && !isNaN(chunk.time))
+		.sort((a, b) => a.time - b.time);
+}
+
+module.exports = ReplayInterface;
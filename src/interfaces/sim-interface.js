@@ -0,0 +1,800 @@
+/*
+ * Simulator Interface Module
+ * Generates the traffic of a NASA bus, so the sniffer can be developed and demonstrated without an AC unit:
+ * an outdoor unit, indoor units, a wired remote and a WiFi kit with polls, responses, notifications and
+ * slowly changing temperatures and modes
+ *
+ * Frames are built with Packet.encode() and carry the CRC of the same crc16() the decoder checks. They are
+ * paced at the serial line rate and handed out in chunks like a USB adapter does. Scenarios script events on
+ * top of the normal traffic: error codes, devices going silent, CRC noise and setting changes.
+ */
+
+const fs = require("fs");
+const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { Packet, PacketAnalyzer, Address, DataType, MessageSet, captureTime } = require("../packet-decoder");
+
+const BITS_PER_BYTE = 11; // Start bit, 8 data bits, parity and stop bit
+const BAUD_RATE = 9600;
+const TICK = 100; // ms between simulation steps, frames are emitted with their bus time within the step
+
+const OUTDOOR = "10.00.00";
+const WIRED_REMOTE = "50.00.00";
+const WIFI_KIT = "62.00.00";
+const BROADCAST = "B0.FF.FF";
+
+const SimMessage = {
+	Power: 0x4000,
+	Mode: 0x4001,
+	ModeReal: 0x4002,
+	FanMode: 0x4006,
+	FanModeReal: 0x4007,
+	Thermo: 0x4028,
+	Humidity: 0x4038,
+	TargetTemp: 0x4201,
+	RoomTemp: 0x4203,
+	EvaIn: 0x4205,
+	EvaOut: 0x4206,
+	AirOut: 0x8204,
+	HighPressure: 0x8206,
+	LowPressure: 0x8208,
+	Discharge: 0x820a,
+	Current: 0x8217,
+	ErrorCode: 0x8235,
+	PowerUse: 0x8413,
+	EnergyTotal: 0x8414,
+	Voltage: 0x24fc,
+};
+
+const Mode = { Auto: 0, Cool: 1, Dry: 2, Fan: 3, Heat: 4, AutoCool: 11, AutoHeat: 14 };
+const Fan = { Auto: 0, Low: 1, Mid: 2, High: 3 };
+
+// Starting settings of the indoor units, repeated when more units are simulated
+const INDOOR_PRESETS = [
+	{ power: 1, mode: Mode.Cool, fan: Fan.Auto, target: 22, room: 25.5 },
+	{ power: 1, mode: Mode.Auto, fan: Fan.Mid, target: 21, room: 19 },
+	{ power: 0, mode: Mode.Heat, fan: Fan.Low, target: 23, room: 21.5 },
+	{ power: 1, mode: Mode.Dry, fan: Fan.Low, target: 24, room: 26 },
+];
+
+const ACTIONS = ["error", "clear-error", "silent", "resume", "noise", "set", "log"];
+
+// Built-in scenarios, SIM_SCENARIO takes one of the names or a JSON file of the same shape
+const SCENARIOS = {
+	error: {
+		description: "the outdoor unit reports an error and the indoor units stop",
+		repeat: 180,
+		steps: [
+			{ at: 30, action: "error", code: 101 },
+			{ at: 90, action: "clear-error" },
+		],
+	},
+	silent: {
+		description: "an indoor unit stops answering for 40s",
+		repeat: 120,
+		steps: [{ at: 20, action: "silent", device: "20.00.01", duration: 40 }],
+	},
+	noise: {
+		description: "20% of the frames are corrupted for 20s",
+		repeat: 60,
+		steps: [{ at: 10, action: "noise", rate: 0.2, duration: 20 }],
+	},
+	demo: {
+		description: "setting changes, CRC noise, an error code and a silent unit",
+		repeat: 240,
+		steps: [
+			{ at: 15, action: "set", device: "20.00.00", message: "0x4201", value: 200 },
+			{ at: 45, action: "set", device: "20.00.02", message: "0x4000", value: 1 },
+			{ at: 60, action: "noise", rate: 0.1, duration: 15 },
+			{ at: 90, action: "error", code: 101 },
+			{ at: 130, action: "clear-error" },
+			{ at: 150, action: "silent", device: "20.00.01", duration: 30 },
+			{ at: 200, action: "set", device: "20.00.02", message: "0x4000", value: 0 },
+		],
+	},
+};
+
+class SimInterface extends EventEmitter {
+	/**
+	 * @param {Object} config - Simulation settings
+	 * @param {number} config.indoorUnits - Number of indoor units, 20.00.00 and up (default 3)
+	 * @param {string} config.scenario - Built-in scenario name or JSON file, none by default
+	 * @param {number} config.speed - How much faster temperatures change than in reality (default 1)
+	 * @param {number} config.seed - Random seed for a reproducible bus, random by default
+	 */
+	constructor(config = {}) {
+		super();
+
+		this.config = {
+			indoorUnits: config.indoorUnits !== undefined ? config.indoorUnits : 3,
+			scenario: config.scenario || null,
+			speed: config.speed !== undefined ? config.speed : 1,
+			seed: config.seed !== undefined && config.seed !== null ? config.seed : Math.floor(Math.random() * 0x7fffffff),
+		};
+
+		if (!Number.isInteger(this.config.indoorUnits) || this.config.indoorUnits < 1 || this.config.indoorUnits > 16) {
+			throw new Error(`Invalid number of simulated indoor units: ${config.indoorUnits}. Use 1 to 16.`);
+		}
+		if (!(this.config.speed > 0)) {
+			throw new Error(`Invalid simulation speed: ${config.speed}. Use a number above 0.`);
+		}
+		if (!Number.isInteger(this.config.seed)) {
+			throw new Error(`Invalid simulation seed: ${config.seed}`);
+		}
+
+		this.random = mulberry32(this.config.seed);
+		this.devices = new Map(); // address -> { address, role, values: Map(messageNumber -> raw value), packetNumber, silentUntil }
+		this.indoorUnits = [];
+		this.scenario = null;
+		this.isConnected = false;
+		this.buffer = new CaptureBuffer();
+		this.timer = null;
+		this.startTime = 0;
+		this.elapsed = 0; // ms since connect
+		this.queue = []; // { data, packet, due } - frames waiting for the bus
+		this.busFreeAt = 0;
+		this.jobs = [];
+		this.noise = null; // { rate, until: ms since connect }
+		this.errorCode = 0;
+		this.stats = { frames: 0, corrupted: 0, garbageBytes: 0 };
+	}
+
+	async connect() {
+		if (this.config.scenario) {
+			this.scenario = loadScenario(this.config.scenario);
+		}
+
+		this._createDevices();
+		if (this.scenario) {
+			validateScenario(this.scenario, this.devices);
+			this.scenario.start = 0;
+			this.scenario.position = 0;
+		}
+		this._createJobs();
+
+		this.startTime = captureTime();
+		this.busFreeAt = this.startTime;
+		this.isConnected = true;
+		this.emit("connected", {
+			interface: "SIM",
+			devices: Array.from(this.devices.values()).map((device) => ({ address: device.address, role: device.role })),
+			scenario: this.scenario ? this.scenario.name : null,
+			speed: this.config.speed,
+			seed: this.config.seed,
+		});
+
+		this.timer = setInterval(() => this._tick(), TICK);
+	}
+
+	_createDevices() {
+		this.devices.clear();
+		this.indoorUnits = [];
+
+		this._addDevice(OUTDOOR, "Outdoor Unit", {
+			[SimMessage.AirOut]: 240,
+			[SimMessage.HighPressure]: 180,
+			[SimMessage.LowPressure]: 170,
+			[SimMessage.Discharge]: 240,
+			[SimMessage.Current]: 0,
+			[SimMessage.ErrorCode]: 0,
+			[SimMessage.PowerUse]: 15,
+			[SimMessage.EnergyTotal]: 1200000 + Math.floor(this.random() * 800000),
+			[SimMessage.Voltage]: 230,
+		});
+		const outdoor = this.devices.get(OUTDOOR);
+		outdoor.watts = 15;
+		outdoor.energy = outdoor.values.get(SimMessage.EnergyTotal);
+
+		for (let index = 0; index < this.config.indoorUnits; index++) {
+			const preset = INDOOR_PRESETS[index % INDOOR_PRESETS.length];
+			const unit = this._addDevice(`20.00.${index.toString(16).toUpperCase().padStart(2, "0")}`, "Indoor Unit", {
+				[SimMessage.Power]: preset.power,
+				[SimMessage.Mode]: preset.mode,
+				[SimMessage.ModeReal]: preset.mode,
+				[SimMessage.FanMode]: preset.fan,
+				[SimMessage.FanModeReal]: preset.fan || Fan.Low,
+				[SimMessage.Thermo]: 0,
+				[SimMessage.TargetTemp]: preset.target * 10,
+				[SimMessage.RoomTemp]: Math.round(preset.room * 10),
+				[SimMessage.EvaIn]: Math.round(preset.room * 10),
+				[SimMessage.EvaOut]: Math.round(preset.room * 10),
+				[SimMessage.Humidity]: 55,
+			});
+			unit.room = preset.room;
+			unit.eva = preset.room;
+			unit.humidity = 55;
+			unit.autoMode = Mode.AutoCool;
+			this.indoorUnits.push(unit);
+		}
+
+		this._addDevice(WIRED_REMOTE, "Wired Remote", {});
+		this._addDevice(WIFI_KIT, "WiFi Kit", {});
+	}
+
+	_addDevice(address, role, values) {
+		const device = {
+			address,
+			role,
+			values: new Map(Object.entries(values).map(([number, value]) => [Number(number), value])),
+			packetNumber: Math.floor(this.random() * 256),
+			silentUntil: 0,
+		};
+		this.devices.set(address, device);
+		return device;
+	}
+
+	/**
+	 * Periodic traffic of the devices, in ms of wall clock time
+	 * Start times are spread so the devices do not all talk at once
+	 */
+	_createJobs() {
+		const outdoor = this.devices.get(OUTDOOR);
+		const remote = this.devices.get(WIRED_REMOTE);
+		const wifi = this.devices.get(WIFI_KIT);
+		let pollIndex = 0;
+		let wifiIndex = 0;
+
+		this.jobs = [
+			{
+				interval: 2000,
+				next: 200,
+				run: () =>
+					this._send(outdoor, BROADCAST, DataType.Notification, [
+						SimMessage.AirOut,
+						SimMessage.HighPressure,
+						SimMessage.LowPressure,
+						SimMessage.Discharge,
+						SimMessage.Current,
+						SimMessage.ErrorCode,
+					]),
+			},
+			{
+				interval: 10000,
+				next: 1100,
+				run: () => this._send(outdoor, BROADCAST, DataType.Notification, [SimMessage.PowerUse, SimMessage.EnergyTotal, SimMessage.Voltage]),
+			},
+			{
+				interval: 1000,
+				next: 500,
+				run: () => {
+					const unit = this.indoorUnits[pollIndex++ % this.indoorUnits.length];
+					this._send(outdoor, unit.address, DataType.Read, [
+						SimMessage.Power,
+						SimMessage.Mode,
+						SimMessage.TargetTemp,
+						SimMessage.RoomTemp,
+						SimMessage.Thermo,
+					]);
+				},
+			},
+			{
+				interval: 3000,
+				next: 800,
+				run: () =>
+					this._send(remote, this.indoorUnits[0].address, DataType.Read, [
+						SimMessage.RoomTemp,
+						SimMessage.TargetTemp,
+						SimMessage.Power,
+						SimMessage.Mode,
+						SimMessage.FanMode,
+					]),
+			},
+			{
+				interval: 10000,
+				next: 2500,
+				run: () => {
+					const unit = this.indoorUnits[wifiIndex++ % this.indoorUnits.length];
+					this._send(wifi, unit.address, DataType.Read, [
+						SimMessage.Power,
+						SimMessage.Mode,
+						SimMessage.FanMode,
+						SimMessage.TargetTemp,
+						SimMessage.RoomTemp,
+					]);
+				},
+			},
+		];
+
+		this.indoorUnits.forEach((unit, index) => {
+			this.jobs.push({
+				interval: 6000,
+				next: 1500 + index * 700,
+				run: () =>
+					this._send(unit, BROADCAST, DataType.Notification, [
+						SimMessage.Power,
+						SimMessage.ModeReal,
+						SimMessage.FanModeReal,
+						SimMessage.Thermo,
+						SimMessage.RoomTemp,
+						SimMessage.EvaIn,
+						SimMessage.EvaOut,
+						SimMessage.Humidity,
+					]),
+			});
+		});
+	}
+
+	_tick() {
+		// Runs from a timer, an exception here would end the whole sniffer
+		try {
+			const now = captureTime();
+			const seconds = (now - this.startTime - this.elapsed) / 1000;
+			this.elapsed = now - this.startTime;
+
+			this._runScenario();
+			this._simulate(seconds * this.config.speed);
+
+			this.jobs.forEach((job) => {
+				if (this.elapsed >= job.next) {
+					job.next += job.interval * (0.95 + this.random() * 0.1);
+					job.run();
+				}
+			});
+
+			this._transmit(now);
+		} catch (error) {
+			this.emit("error", error);
+		}
+	}
+
+	// ==================== Physics ====================
+
+	/**
+	 * Advance the temperatures and loads
+	 * @param {number} dt - Simulated seconds since the last step
+	 */
+	_simulate(dt) {
+		const outdoor = this.devices.get(OUTDOOR);
+		const simTime = (this.elapsed / 1000) * this.config.speed;
+		const outside = 24 + 7 * Math.sin((2 * Math.PI * simTime) / 3600);
+		const blend = (current, goal, rate) => current + (goal - current) * Math.min(1, rate * dt);
+		let running = 0;
+
+		this.indoorUnits.forEach((unit) => {
+			const values = unit.values;
+			const target = values.get(SimMessage.TargetTemp) / 10;
+			const mode = values.get(SimMessage.Mode);
+			const on = values.get(SimMessage.Power) === 1 && this.errorCode === 0;
+
+			// Auto picks cooling or heating from the room temperature, with a band so it does not flip back and forth
+			if (mode === Mode.Auto) {
+				if (unit.room > target + 1) {
+					unit.autoMode = Mode.AutoCool;
+				} else if (unit.room < target - 1) {
+					unit.autoMode = Mode.AutoHeat;
+				}
+			}
+			const modeReal = mode === Mode.Auto ? unit.autoMode : mode;
+			const cooling = modeReal === Mode.Cool || modeReal === Mode.AutoCool || modeReal === Mode.Dry;
+			const heating = modeReal === Mode.Heat || modeReal === Mode.AutoHeat;
+
+			let thermo = values.get(SimMessage.Thermo) === 1;
+			if (!on || (!cooling && !heating)) {
+				thermo = false;
+			} else if (thermo) {
+				thermo = cooling ? unit.room > target - 0.5 : unit.room < target + 0.5;
+			} else {
+				thermo = cooling ? unit.room > target + 0.5 : unit.room < target - 0.5;
+			}
+
+			const drive = thermo ? (cooling ? -0.01 : 0.01) : 0;
+			unit.room += (drive + (outside - unit.room) * 0.0005) * dt + (this.random() - 0.5) * 0.01;
+			unit.eva = blend(unit.eva, thermo ? (cooling ? 8 : 42) : unit.room, 0.1);
+			unit.humidity = blend(unit.humidity, thermo && cooling ? 45 : 60, 0.005);
+			if (thermo) {
+				running++;
+			}
+
+			values.set(SimMessage.ModeReal, modeReal);
+			values.set(
+				SimMessage.FanModeReal,
+				values.get(SimMessage.FanMode) === Fan.Auto ? (thermo ? Fan.High : Fan.Low) : values.get(SimMessage.FanMode),
+			);
+			values.set(SimMessage.Thermo, thermo ? 1 : 0);
+			values.set(SimMessage.RoomTemp, Math.round(unit.room * 10));
+			values.set(SimMessage.EvaIn, Math.round(unit.eva * 10));
+			values.set(SimMessage.EvaOut, Math.round((unit.eva + (thermo ? (cooling ? 2 : -3) : 0)) * 10));
+			values.set(SimMessage.Humidity, Math.round(unit.humidity));
+		});
+
+		outdoor.watts = blend(outdoor.watts, running > 0 ? 350 + 650 * running : 15, 0.05);
+		outdoor.energy += (outdoor.watts * dt) / 3600;
+
+		const values = outdoor.values;
+		values.set(SimMessage.AirOut, Math.round(outside * 10));
+		values.set(SimMessage.Discharge, Math.round(blend(values.get(SimMessage.Discharge) / 10, running > 0 ? 55 + 10 * running : outside, 0.02) * 10));
+		values.set(SimMessage.HighPressure, Math.round(blend(values.get(SimMessage.HighPressure), running > 0 ? 280 : 180, 0.02)));
+		values.set(SimMessage.LowPressure, Math.round(blend(values.get(SimMessage.LowPressure), running > 0 ? 90 : 170, 0.02)));
+		values.set(SimMessage.Current, Math.round((outdoor.watts / 230) * 10));
+		values.set(SimMessage.PowerUse, Math.round(outdoor.watts + (this.random() - 0.5) * 10));
+		values.set(SimMessage.EnergyTotal, Math.floor(outdoor.energy));
+		values.set(SimMessage.Voltage, Math.round(230 + (this.random() - 0.5) * 4));
+		values.set(SimMessage.ErrorCode, this.errorCode);
+	}
+
+	// ==================== Bus ====================
+
+	/**
+	 * Queue a frame from a simulated device
+	 * @param {Object} device - Sending device
+	 * @param {string} destination - Destination address
+	 * @param {number} dataType - DataType value
+	 * @param {number[]} messageNumbers - Messages to include, with the current values of the sender
+	 * @param {Object} options - { packetNumber: for replies, values: message number -> value to send instead, delay: ms }
+	 */
+	_send(device, destination, dataType, messageNumbers, options = {}) {
+		if (this._isSilent(device)) {
+			return;
+		}
+
+		if (options.packetNumber === undefined) {
+			device.packetNumber = (device.packetNumber + 1) & 0xff;
+		}
+
+		const messages = messageNumbers.map((messageNumber) => {
+			let value = 0;
+			if (options.values && options.values.has(messageNumber)) {
+				value = options.values.get(messageNumber);
+			} else if (dataType !== DataType.Read && device.values.has(messageNumber)) {
+				value = device.values.get(messageNumber);
+			}
+			return { messageNumber, value };
+		});
+
+		const packet = Packet.fromObject({
+			sa: device.address,
+			da: destination,
+			command: {
+				packetType: "Normal",
+				dataType,
+				packetNumber: options.packetNumber !== undefined ? options.packetNumber : device.packetNumber,
+			},
+			messages,
+		});
+		this.queue.push({ data: packet.encode(), packet, due: this.startTime + this.elapsed + (options.delay || 0) });
+	}
+
+	/**
+	 * Put the queued frames that are due on the bus
+	 * Each frame starts when the bus is free and takes its length at the line rate. Frames that would still be on
+	 * the wire wait for the next step, so no timestamp is later than the moment it is emitted.
+	 * @param {number} now - Current time (epoch ms)
+	 */
+	_transmit(now) {
+		const byteTime = (BITS_PER_BYTE * 1000) / BAUD_RATE;
+		this.queue.sort((a, b) => a.due - b.due);
+
+		while (this.queue.length > 0 && this.queue[0].due <= now) {
+			const start = Math.max(this.busFreeAt, this.queue[0].due);
+			if (start + this.queue[0].data.length * byteTime > now) {
+				break;
+			}
+			const frame = this.queue.shift();
+			let data = frame.data;
+			let delivered = true;
+
+			if (this.noise && this.elapsed < this.noise.until && this.random() < this.noise.rate) {
+				data = this._corrupt(data);
+				delivered = false;
+			}
+
+			this._emitFrame(data, start, byteTime);
+			this.busFreeAt = start + data.length * byteTime + 3 + this.random() * 10;
+			this.stats.frames++;
+
+			if (delivered) {
+				const packets = frame.packet ? [frame.packet] : PacketAnalyzer.analyzeBuffer(data).packets;
+				packets.forEach((packet) => this._deliver(packet, this.busFreeAt));
+			}
+		}
+	}
+
+	// Hand a frame out in one or two chunks, as a serial adapter delivers what arrived since its last read
+	_emitFrame(data, start, byteTime) {
+		const cut = data.length > 8 && this.random() < 0.3 ? 1 + Math.floor(this.random() * (data.length - 1)) : data.length;
+		[data.slice(0, cut), data.slice(cut)]
+			.filter((chunk) => chunk.length > 0)
+			.forEach((chunk, index) => {
+				const time = Math.round(start + (index === 0 ? cut : data.length) * byteTime);
+				this.buffer.append(chunk, time);
+				this.emit("data", chunk, time);
+			});
+	}
+
+	// Flip a bit in the frame body so the CRC no longer matches, sometimes with line noise in front of it
+	_corrupt(data) {
+		const copy = Buffer.from(data);
+		const index = 3 + Math.floor(this.random() * (copy.length - 6));
+		copy[index] ^= 1 << Math.floor(this.random() * 8);
+		this.stats.corrupted++;
+
+		if (this.random() < 0.5) {
+			const garbage = Buffer.from(Array.from({ length: 1 + Math.floor(this.random() * 4) }, () => Math.floor(this.random() * 256)));
+			this.stats.garbageBytes += garbage.length;
+			return Buffer.concat([garbage, copy]);
+		}
+		return copy;
+	}
+
+	/**
+	 * Let the addressed device react to a frame that was on the bus
+	 * Read is answered with a Response holding the current values, Request and Write change the values and are
+	 * answered with a Response or an Ack. Messages a device does not know are left out of the reply.
+	 * @param {Packet} packet - Frame as it was on the bus
+	 * @param {number} endTime - Time the frame ended (epoch ms)
+	 */
+	_deliver(packet, endTime) {
+		const device = this.devices.get(packet.da.toString());
+		if (!device || device.values.size === 0 || this._isSilent(device)) {
+			return;
+		}
+
+		const dataType = packet.command.dataType;
+		if (dataType !== DataType.Read && dataType !== DataType.Write && dataType !== DataType.Request) {
+			return;
+		}
+
+		const known = packet.messages.filter((message) => device.values.has(message.messageNumber));
+		if (dataType !== DataType.Read) {
+			known.forEach((message) => this._applyValue(device, message.messageNumber, message.value));
+		}
+
+		const reply = dataType === DataType.Write ? (known.length > 0 ? DataType.Ack : DataType.Nack) : DataType.Response;
+		const latency = 15 + this.random() * 40;
+		this._send(
+			device,
+			packet.sa.toString(),
+			reply,
+			known.map((message) => message.messageNumber),
+			{ packetNumber: packet.command.packetNumber, delay: endTime + latency - (this.startTime + this.elapsed) },
+		);
+	}
+
+	_applyValue(device, messageNumber, value) {
+		device.values.set(messageNumber, value);
+		if (messageNumber === SimMessage.RoomTemp) {
+			device.room = value / 10;
+		}
+	}
+
+	_isSilent(device) {
+		return device.silentUntil > this.elapsed;
+	}
+
+	// ==================== Scenarios ====================
+
+	_runScenario() {
+		const scenario = this.scenario;
+		if (!scenario) {
+			return;
+		}
+
+		if (scenario.position >= scenario.steps.length && scenario.repeat > 0 && this.elapsed >= scenario.start + scenario.repeat * 1000) {
+			scenario.start += scenario.repeat * 1000;
+			scenario.position = 0;
+		}
+
+		while (scenario.position < scenario.steps.length && this.elapsed >= scenario.start + scenario.steps[scenario.position].at * 1000) {
+			const step = scenario.steps[scenario.position++];
+			this._runStep(step);
+			this.emit("scenario", { scenario: scenario.name, ...step, text: describeStep(step) });
+		}
+	}
+
+	_runStep(step) {
+		const duration = step.duration ? step.duration * 1000 : Infinity;
+
+		switch (step.action) {
+			case "error":
+				this.errorCode = step.code;
+				break;
+			case "clear-error":
+				this.errorCode = 0;
+				break;
+			case "silent":
+				this.devices.get(step.device).silentUntil = this.elapsed + duration;
+				break;
+			case "resume":
+				this.devices.get(step.device).silentUntil = 0;
+				break;
+			case "noise":
+				this.noise = { rate: step.rate, until: this.elapsed + duration };
+				break;
+			case "set": {
+				// A setting change is sent by the wired remote for its unit and by the WiFi kit for the others
+				const controller = this.devices.get(step.device === this.indoorUnits[0].address ? WIRED_REMOTE : WIFI_KIT);
+				const messageNumber = Number(step.message);
+				this._send(controller, step.device, DataType.Request, [messageNumber], { values: new Map([[messageNumber, step.value]]) });
+				break;
+			}
+		}
+	}
+
+	// ==================== Interface ====================
+
+	getBuffer() {
+		return this.buffer.getData();
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer()
+	 * @returns {number} Epoch ms (UTC) at which the chunk holding that byte was on the simulated bus
+	 */
+	getArrivalTime(offset) {
+		return this.buffer.getArrivalTime(offset);
+	}
+
+	clearBuffer(length) {
+		this.buffer.consume(length);
+	}
+
+	/**
+	 * Put bytes on the simulated bus
+	 * They are received back like on a real RS-485 bus, and frames addressed to a simulated device are answered.
+	 * @param {Buffer} data - Bytes to send
+	 */
+	async write(data) {
+		if (!this.isConnected) {
+			throw new Error("Simulator is not running");
+		}
+		this.queue.push({ data: Buffer.from(data), packet: null, due: captureTime() });
+	}
+
+	async close() {
+		this.isConnected = false;
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+		this.queue = [];
+	}
+
+	getInfo() {
+		return {
+			type: "SIM",
+			indoorUnits: this.config.indoorUnits,
+			scenario: this.scenario ? this.scenario.name : this.config.scenario,
+			speed: this.config.speed,
+			seed: this.config.seed,
+			frames: this.stats.frames,
+			corrupted: this.stats.corrupted,
+			connected: this.isConnected,
+		};
+	}
+}
+
+/**
+ * Load a scenario by built-in name or from a JSON file
+ * @param {string} nameOrFile - Name from SCENARIOS or path of a { description, repeat, steps: [{ at, action, ... }] } file
+ * @returns {Object} Scenario with name, description, repeat (seconds, 0 = run once) and steps sorted by time
+ */
+function loadScenario(nameOrFile) {
+	let scenario = SCENARIOS[nameOrFile];
+	let name = nameOrFile;
+
+	if (!scenario) {
+		let content;
+		try {
+			content = fs.readFileSync(nameOrFile, "utf8");
+		} catch (error) {
+			throw new Error(`Unknown scenario ${nameOrFile}. Use ${Object.keys(SCENARIOS).join(", ")} or a JSON file (${error.message})`);
+		}
+		try {
+			scenario = JSON.parse(content);
+		} catch (error) {
+			throw new Error(`Failed to parse scenario file ${nameOrFile}: ${error.message}`);
+		}
+		name = scenario.name || nameOrFile;
+	}
+
+	if (!Array.isArray(scenario.steps)) {
+		throw new Error(`Scenario ${name} has no steps`);
+	}
+
+	return {
+		name,
+		description: scenario.description || "",
+		repeat: Number(scenario.repeat) || 0,
+		steps: scenario.steps.map((step) => ({ ...step })).sort((a, b) => a.at - b.at),
+	};
+}
+
+/**
+ * Check the steps of a scenario against the simulated devices
+ * Device addresses are normalized in place, so "20.0.1" matches 20.00.01
+ * @param {Object} scenario - Scenario from loadScenario()
+ * @param {Map<string, Object>} devices - Simulated devices by address
+ */
+function validateScenario(scenario, devices) {
+	scenario.steps.forEach((step, index) => {
+		const problem = checkStep(step, devices);
+		if (problem) {
+			throw new Error(`Scenario ${scenario.name}, step ${index + 1}: ${problem}`);
+		}
+	});
+}
+
+// Returns what is wrong with a step, null when it can run
+function checkStep(step, devices) {
+	if (!(step.at >= 0)) {
+		return `invalid time ${step.at}`;
+	}
+	if (!ACTIONS.includes(step.action)) {
+		return `unknown action ${step.action}. Use ${ACTIONS.join(", ")}`;
+	}
+	if (step.duration !== undefined && !(step.duration > 0)) {
+		return `invalid duration ${step.duration}`;
+	}
+
+	if (["silent", "resume", "set"].includes(step.action)) {
+		try {
+			step.device = Address.from(step.device).toString();
+		} catch (error) {
+			return error.message;
+		}
+		if (!devices.has(step.device)) {
+			return `no simulated device ${step.device}`;
+		}
+	}
+
+	switch (step.action) {
+		case "error":
+			return Number.isInteger(step.code) && step.code > 0 && step.code <= 0xffff ? null : `invalid error code ${step.code}`;
+		case "noise":
+			return step.rate > 0 && step.rate <= 1 ? null : `invalid noise rate ${step.rate}, use 0 to 1`;
+		case "set":
+			if (!devices.get(step.device).values.has(Number(step.message))) {
+				return `${step.device} has no message ${step.message}`;
+			}
+			if (!Number.isInteger(step.value)) {
+				return `invalid value ${step.value}, use the raw value`;
+			}
+			// The value has to fit the message type, e.g. 0-255 for enums
+			try {
+				MessageSet.create(Number(step.message), step.value);
+			} catch (error) {
+				return error.message;
+			}
+			return null;
+		default:
+			return null;
+	}
+}
+
+function describeStep(step) {
+	const duration = step.duration ? ` for ${step.duration}s` : "";
+
+	switch (step.action) {
+		case "error":
+			return `Outdoor unit reports error ${step.code}`;
+		case "clear-error":
+			return "Outdoor unit error cleared";
+		case "silent":
+			return `${step.device} goes silent${duration}`;
+		case "resume":
+			return `${step.device} talks again`;
+		case "noise":
+			return `CRC noise on ${Math.round(step.rate * 100)}% of the frames${duration}`;
+		case "set":
+			return `${step.device}: 0x${Number(step.message).toString(16).padStart(4, "0")} set to ${step.value}`;
+		case "log":
+			return step.text || "";
+	}
+}
+
+// Small seeded PRNG, the same seed gives the same bus
+function mulberry32(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+SimInterface.SCENARIOS = SCENARIOS;
+
+module.exports = SimInterface;
@@ -5,6 +5,8 @@
 
 const net = require("net");
 const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { captureTime } = require("../packet-decoder");
 
 class TcpInterface extends EventEmitter {
 	constructor(config) {
@@ -18,7 +20,7 @@ class TcpInterface extends EventEmitter {
 
 		this.client = null;
 		this.isConnected = false;
-		this.buffer = Buffer.alloc(0);
+		this.buffer = new CaptureBuffer();
 		this.reconnectTimer = null;
 		this.shouldReconnect = true;
 	}
@@ -28,6 +30,8 @@ class TcpInterface extends EventEmitter {
 			this.client = new net.Socket();
 
 			this.client.connect(this.config.port, this.config.host, () => {
+				// Bytes of a frame cut off by the disconnect must not be glued to the first bytes after it
+				this.buffer.clear();
 				this.isConnected = true;
 				this.emit("connected", {
 					interface: "TCP",
@@ -38,8 +42,9 @@ class TcpInterface extends EventEmitter {
 			});
 
 			this.client.on("data", (data) => {
-				this.buffer = Buffer.concat([this.buffer, data]);
-				this.emit("data", data);
+				const time = captureTime();
+				this.buffer.append(data, time);
+				this.emit("data", data, time);
 			});
 
 			this.client.on("error", (err) => {
@@ -51,6 +56,7 @@ class TcpInterface extends EventEmitter {
 
 			this.client.on("close", () => {
 				this.isConnected = false;
+				this.buffer.clear();
 				this.emit("disconnected");
 
 				// Auto-reconnect
@@ -75,15 +81,36 @@ class TcpInterface extends EventEmitter {
 	}
 
 	getBuffer() {
-		return this.buffer;
+		return this.buffer.getData();
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer()
+	 * @returns {number} Epoch ms (UTC) at which the chunk holding that byte was received
+	 */
+	getArrivalTime(offset) {
+		return this.buffer.getArrivalTime(offset);
 	}
 
 	clearBuffer(length) {
-		if (length >= this.buffer.length) {
-			this.buffer = Buffer.alloc(0);
-		} else {
-			this.buffer = this.buffer.slice(length);
-		}
+		this.buffer.consume(length);
+	}
+
+	/**
+	 * Write raw bytes to the TCP connection
+	 * @param {Buffer} data - Bytes to send
+	 * @returns {Promise<void>} Resolves once the data has been flushed to the socket
+	 */
+	async write(data) {
+		return new Promise((resolve, reject) => {
+			if (!this.client || !this.isConnected) {
+				reject(new Error("TCP connection is not established"));
+				return;
+			}
+
+			this.client.write(data, (err) => (err ? reject(err) : resolve()));
+		});
 	}
 
 	async close() {
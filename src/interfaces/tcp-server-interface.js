@@ -0,0 +1,149 @@
+/*
+ * TCP Server Interface Module
+ * Listens for inbound connections from bridges that push NASA protocol data, one framing buffer per connection
+ */
+
+const net = require("net");
+const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { captureTime } = require("../packet-decoder");
+
+class TcpServerInterface extends EventEmitter {
+	constructor(config) {
+		super();
+
+		this.config = {
+			host: config.host || "0.0.0.0",
+			port: config.port || 5000,
+		};
+
+		this.server = null;
+		this.isConnected = false; // listening
+		this.peers = new Map(); // "host:port" -> { socket, buffer: CaptureBuffer, connectedAt }
+	}
+
+	async connect() {
+		return new Promise((resolve, reject) => {
+			this.server = net.createServer((socket) => this._handleConnection(socket));
+
+			this.server.on("error", (err) => {
+				this.emit("error", err);
+				if (!this.isConnected) {
+					reject(err);
+				}
+			});
+
+			this.server.on("close", () => {
+				this.isConnected = false;
+				this.emit("disconnected");
+			});
+
+			this.server.listen(this.config.port, this.config.host, () => {
+				this.isConnected = true;
+				this.emit("connected", {
+					interface: "TCP_SERVER",
+					host: this.config.host,
+					port: this.config.port,
+				});
+				resolve();
+			});
+		});
+	}
+
+	_handleConnection(socket) {
+		const peer = `${socket.remoteAddress.replace(/^::ffff:/, "")}:${socket.remotePort}`;
+		this.peers.set(peer, { socket, buffer: new CaptureBuffer(), connectedAt: captureTime() });
+		this.emit("peer-connected", peer);
+
+		socket.on("data", (data) => {
+			const time = captureTime();
+			this.peers.get(peer).buffer.append(data, time);
+			this.emit("data", data, time, peer);
+		});
+
+		// A bridge that drops off only loses its own partial frame
+		socket.on("close", () => {
+			this.peers.delete(peer);
+			this.emit("peer-disconnected", peer);
+		});
+
+		socket.on("error", (err) => {
+			this.emit("error", new Error(`${peer}: ${err.message}`));
+		});
+	}
+
+	/**
+	 * Buffered bytes of one connection
+	 * @param {string} peer - Connection ("host:port") as passed with the "data" event
+	 * @returns {Buffer}
+	 */
+	getBuffer(peer) {
+		const connection = this.peers.get(peer);
+		return connection ? connection.buffer.getData() : Buffer.alloc(0);
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer(peer)
+	 * @param {string} peer - Connection the buffer belongs to
+	 * @returns {number} Epoch ms (UTC) at which the chunk holding that byte was received
+	 */
+	getArrivalTime(offset, peer) {
+		const connection = this.peers.get(peer);
+		return connection ? connection.buffer.getArrivalTime(offset) : captureTime();
+	}
+
+	clearBuffer(length, peer) {
+		const connection = this.peers.get(peer);
+		if (connection) {
+			connection.buffer.consume(length);
+		}
+	}
+
+	/**
+	 * Write raw bytes to the connected bridge
+	 * Refused when several bridges are connected, as it is not known which bus the packet is meant for
+	 * @param {Buffer} data - Bytes to send
+	 * @returns {Promise<void>} Resolves once the data has been flushed to the socket
+	 */
+	async write(data) {
+		return new Promise((resolve, reject) => {
+			if (this.peers.size === 0) {
+				reject(new Error("No bridge is connected"));
+				return;
+			}
+			if (this.peers.size > 1) {
+				reject(new Error(`${this.peers.size} bridges are connected, sending needs exactly one`));
+				return;
+			}
+
+			const [{ socket }] = this.peers.values();
+			socket.write(data, (err) => (err ? reject(err) : resolve()));
+		});
+	}
+
+	async close() {
+		return new Promise((resolve) => {
+			this.peers.forEach(({ socket }) => socket.destroy());
+			this.peers.clear();
+
+			if (this.server && this.isConnected) {
+				this.server.close(() => resolve());
+			} else {
+				resolve();
+			}
+		});
+	}
+
+	getInfo() {
+		return {
+			type: "TCP_SERVER",
+			host: this.config.host,
+			port: this.config.port,
+			peers: Array.from(this.peers.keys()),
+			connected: this.isConnected,
+		};
+	}
+}
+
+module.exports = TcpServerInterface;
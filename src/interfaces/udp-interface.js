@@ -0,0 +1,199 @@
+/*
+ * UDP Interface Module
+ * Receives NASA protocol bytes from gateways that send them as UDP datagrams, optionally on a multicast group
+ */
+
+const dgram = require("dgram");
+const EventEmitter = require("events");
+const CaptureBuffer = require("./capture-buffer");
+const { captureTime } = require("../packet-decoder");
+
+const Framing = {
+	Stream: "stream", // datagrams of a sender are appended to one byte stream, frames may span datagrams
+	Datagram: "datagram", // every datagram holds complete frames, leftover bytes are dropped
+};
+
+class UdpInterface extends EventEmitter {
+	constructor(config) {
+		super();
+
+		this.config = {
+			host: config.host || "0.0.0.0",
+			port: config.port || 5000,
+			multicastGroup: config.multicastGroup || null,
+			multicastInterface: config.multicastInterface || undefined,
+			framing: (config.framing || Framing.Stream).toLowerCase(),
+			senderTimeout: config.senderTimeout !== undefined ? config.senderTimeout : 60000, // ms of silence before a sender is forgotten, 0 = never
+			maxSenders: config.maxSenders !== undefined ? config.maxSenders : 64, // senders tracked at once, the longest silent one is dropped beyond that
+		};
+
+		if (!Object.values(Framing).includes(this.config.framing)) {
+			throw new Error(`Unknown UDP framing: ${config.framing}. Use 'stream' or 'datagram'.`);
+		}
+		if (!(this.config.senderTimeout >= 0)) {
+			throw new Error(`Invalid UDP sender timeout: ${config.senderTimeout}`);
+		}
+		if (!Number.isInteger(this.config.maxSenders) || this.config.maxSenders < 1) {
+			throw new Error(`Invalid maximum number of UDP senders: ${config.maxSenders}`);
+		}
+
+		this.socket = null;
+		this.isConnected = false; // bound
+		this.senders = new Map(); // "host:port" -> { buffer: CaptureBuffer, lastSeen }, least recently heard first
+		this.sweepTimer = null;
+	}
+
+	async connect() {
+		return new Promise((resolve, reject) => {
+			this.socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+
+			this.socket.on("message", (data, remote) => this._handleDatagram(data, remote));
+
+			this.socket.on("error", (err) => {
+				this.emit("error", err);
+				if (!this.isConnected) {
+					reject(err);
+				}
+			});
+
+			this.socket.on("close", () => {
+				this.isConnected = false;
+				this.emit("disconnected");
+			});
+
+			this.socket.bind(this.config.port, this.config.host, () => {
+				try {
+					if (this.config.multicastGroup) {
+						this.socket.addMembership(this.config.multicastGroup, this.config.multicastInterface);
+					}
+				} catch (err) {
+					this.socket.close();
+					reject(new Error(`Failed to join multicast group ${this.config.multicastGroup}: ${err.message}`));
+					return;
+				}
+
+				this.isConnected = true;
+				if (this.config.senderTimeout > 0) {
+					this.sweepTimer = setInterval(() => this._removeIdleSenders(), Math.min(this.config.senderTimeout, 10000));
+				}
+				this.emit("connected", {
+					interface: "UDP",
+					host: this.config.host,
+					port: this.config.port,
+					multicastGroup: this.config.multicastGroup,
+					framing: this.config.framing,
+				});
+				resolve();
+			});
+		});
+	}
+
+	_handleDatagram(data, remote) {
+		const sender = `${remote.address}:${remote.port}`;
+		const time = captureTime();
+
+		let entry = this.senders.get(sender);
+		if (entry) {
+			this.senders.delete(sender); // Re-inserted below, so the map stays ordered by last datagram
+		} else {
+			if (this.senders.size >= this.config.maxSenders) {
+				this._removeSender(this.senders.keys().next().value);
+			}
+			entry = { buffer: new CaptureBuffer(), lastSeen: time };
+			this.emit("peer-connected", sender);
+		}
+		entry.lastSeen = time;
+		this.senders.set(sender, entry);
+		const buffer = entry.buffer;
+
+		// Without streaming a frame cannot continue in the next datagram, what is left of the previous one is dropped
+		if (this.config.framing === Framing.Datagram && buffer.getData().length > 0) {
+			this.emit("error", new Error(`${sender}: dropped ${buffer.getData().length} bytes of an incomplete frame`));
+			buffer.clear();
+		}
+
+		buffer.append(data, time);
+		this.emit("data", data, time, sender);
+	}
+
+	/**
+	 * Forget senders that sent nothing for the sender timeout
+	 * A broadcast source that changes its port, or datagrams sprayed from many ports, would otherwise keep a
+	 * buffer each for the whole capture
+	 */
+	_removeIdleSenders() {
+		const limit = captureTime() - this.config.senderTimeout;
+		for (const [sender, entry] of this.senders) {
+			if (entry.lastSeen > limit) {
+				break; // Ordered by last datagram, the rest are more recent
+			}
+			this._removeSender(sender);
+		}
+	}
+
+	_removeSender(sender) {
+		this.senders.delete(sender);
+		this.emit("peer-disconnected", sender);
+	}
+
+	/**
+	 * Buffered bytes of one sender
+	 * @param {string} sender - Sender ("host:port") as passed with the "data" event
+	 * @returns {Buffer}
+	 */
+	getBuffer(sender) {
+		const entry = this.senders.get(sender);
+		return entry ? entry.buffer.getData() : Buffer.alloc(0);
+	}
+
+	/**
+	 * Arrival time of a buffered byte
+	 * @param {number} offset - Offset into getBuffer(sender)
+	 * @param {string} sender - Sender the buffer belongs to
+	 * @returns {number} Epoch ms (UTC) at which the datagram holding that byte was received
+	 */
+	getArrivalTime(offset, sender) {
+		const entry = this.senders.get(sender);
+		return entry ? entry.buffer.getArrivalTime(offset) : captureTime();
+	}
+
+	clearBuffer(length, sender) {
+		const entry = this.senders.get(sender);
+		if (entry) {
+			entry.buffer.consume(length);
+		}
+	}
+
+	async write() {
+		throw new Error("UDP interface is receive-only");
+	}
+
+	async close() {
+		return new Promise((resolve) => {
+			if (this.sweepTimer) {
+				clearInterval(this.sweepTimer);
+				this.sweepTimer = null;
+			}
+			this.senders.clear();
+			if (this.socket && this.isConnected) {
+				this.socket.close(() => resolve());
+			} else {
+				resolve();
+			}
+		});
+	}
+
+	getInfo() {
+		return {
+			type: "UDP",
+			host: this.config.host,
+			port: this.config.port,
+			multicastGroup: this.config.multicastGroup,
+			framing: this.config.framing,
+			senders: this.senders.size,
+			connected: this.isConnected,
+		};
+	}
+}
+
+module.exports = UdpInterface;
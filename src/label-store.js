@@ -0,0 +1,121 @@
+/*
+ * Label Store Module
+ * User-defined names for message numbers and device addresses, kept in an overlay file next to the catalog
+ */
+
+const fs = require("fs");
+const EventEmitter = require("events");
+
+const DEVICE_ADDRESS_PATTERN = /^[0-9A-F]{2}(\.[0-9A-F]{2}\.[0-9A-F]{2})?$/; // NASA "20.00.02" or non-NASA "C8"
+
+class LabelStore extends EventEmitter {
+	constructor() {
+		super();
+
+		this.filename = null;
+		this.messages = {}; // "0x4000" -> label
+		this.devices = {}; // "20.00.02" -> label
+	}
+
+	/**
+	 * Load labels from a JSON file, which becomes the file saved to on changes
+	 * A missing file is not an error, it is created on the first change
+	 * @param {string} filename - Path to labels file - { messages: { "0x4000": "..." }, devices: { "20.00.02": "..." } }
+	 * @returns {number} Number of labels loaded
+	 */
+	loadFile(filename) {
+		this.filename = filename;
+		if (!fs.existsSync(filename)) {
+			return 0;
+		}
+
+		try {
+			const content = JSON.parse(fs.readFileSync(filename, "utf8"));
+			this.messages = {};
+			this.devices = {};
+			Object.entries(content.messages || {}).forEach(([key, label]) => this._setMessage(key, label));
+			Object.entries(content.devices || {}).forEach(([key, label]) => this._setDevice(key, label));
+		} catch (error) {
+			throw new Error(`Failed to load labels ${filename}: ${error.message}`);
+		}
+
+		return Object.keys(this.messages).length + Object.keys(this.devices).length;
+	}
+
+	save() {
+		if (this.filename) {
+			fs.writeFileSync(this.filename, JSON.stringify(this.toJSON(), null, "\t") + "\n", "utf8");
+		}
+	}
+
+	/**
+	 * Set or remove (empty label) the label of a message number, save the file and emit "change"
+	 * @param {number|string} messageNumber - Message number, e.g. 0x4000 or "0x4000"
+	 * @param {string} label - New label, empty to remove
+	 */
+	setMessageLabel(messageNumber, label) {
+		this._setMessage(messageNumber, label);
+		this.save();
+		this.emit("change", this.toJSON());
+	}
+
+	/**
+	 * Set or remove (empty label) the label of a device address, save the file and emit "change"
+	 * @param {string} address - Address string, e.g. "20.00.02" or "C8"
+	 * @param {string} label - New label, empty to remove
+	 */
+	setDeviceLabel(address, label) {
+		this._setDevice(address, label);
+		this.save();
+		this.emit("change", this.toJSON());
+	}
+
+	getMessageLabel(messageNumber) {
+		return this.messages[formatMessageKey(messageNumber)] || null;
+	}
+
+	getDeviceLabel(address) {
+		return this.devices[String(address).toUpperCase()] || null;
+	}
+
+	_setMessage(messageNumber, label) {
+		const number = typeof messageNumber === "string" ? Number(messageNumber) : messageNumber;
+		if (!Number.isInteger(number) || number < 0 || number > 0xffff) {
+			throw new Error(`Invalid message number: ${messageNumber}`);
+		}
+		setLabel(this.messages, formatMessageKey(number), label);
+	}
+
+	_setDevice(address, label) {
+		const key = String(address).trim().toUpperCase();
+		if (!DEVICE_ADDRESS_PATTERN.test(key)) {
+			throw new Error(`Invalid device address: ${address}`);
+		}
+		setLabel(this.devices, key, label);
+	}
+
+	toJSON() {
+		return { messages: { ...this.messages }, devices: { ...this.devices } };
+	}
+}
+
+function formatMessageKey(messageNumber) {
+	return `0x${Number(messageNumber).toString(16).padStart(4, "0")}`;
+}
+
+function setLabel(table, key, label) {
+	const text = (label || "").trim();
+	if (text) {
+		table[key] = text;
+	} else {
+		delete table[key];
+	}
+}
+
+// Shared label store, loaded from LABELS_FILE at startup
+const labels = new LabelStore();
+
+module.exports = {
+	LabelStore,
+	labels,
+};
@@ -5,7 +5,13 @@
 
 const fs = require("fs");
 const path = require("path");
-const { getCurrentTimestamp, PacketTypeName, DataTypeName, MessageNumberNames, MessageSetTypeName, bufferToHex } = require("./packet-decoder");
+const { getCurrentTimestamp, formatTimestamp, PacketTypeName, DataTypeName, MessageSetTypeName, Protocol, bufferToHex } = require("./packet-decoder");
+const CorrelationEngine = require("./correlation-engine");
+const DeviceInventory = require("./device-inventory");
+const MessageDiscovery = require("./message-discovery");
+const DeviceStateStore = require("./device-state-store");
+const DecoderDiagnostics = require("./decoder-diagnostics");
+const { packetsToPcapng } = require("./pcapng-writer");
 
 class Logger {
 	constructor(outputDir = "./nasa_logs", options = {}) {
@@ -13,13 +19,30 @@ class Logger {
 		this.options = {
 			consoleLog: options.consoleLog !== false, // Default: true
 			fileLog: options.fileLog !== false, // Default: true
-			format: options.format || "compact", // 'compact', 'verbose', or 'none'
+			format: options.format || "compact", // 'compact', 'verbose', 'changes', 'changes-verbose', or 'none'
+			heartbeatInterval: options.heartbeatInterval !== undefined ? options.heartbeatInterval : 60000, // ms, change-only formats
+			captureInterface: options.captureInterface || { name: "bus", description: "" }, // PCAPNG interface name, description and { name: description } of named interfaces
+			localAddresses: options.localAddresses || [], // PCAPNG: packets from these addresses are outbound
+			interfaces: options.interfaces || [], // Only log packets of these named interfaces (empty = all), statistics and exports keep everything
 		};
 
 		this.logStream = null;
 		this.startTime = new Date();
 		this.packetGroups = new Map(); // For report generation
 		this.totalPackets = 0;
+		this.protocolCounts = {}; // Protocol -> packet count
+		this.interfaceCounts = {}; // Interface name -> packet count, when several interfaces are captured
+		this.correlation = new CorrelationEngine(); // Request/response pairing and latency statistics
+		this.inventory = new DeviceInventory(); // Every address seen on the bus
+		this.state = new DeviceStateStore(); // Latest value of every message per device
+		this.diagnostics = new DecoderDiagnostics(); // Decoder error counters per category
+		this.discovery = new MessageDiscovery(); // Profiles of message numbers missing from the catalog
+		this.gaps = []; // { interface, start, end, reason } - times the capture interface was disconnected
+
+		// Change-only logging: last value per "source|messageNumber" and counters since the last heartbeat
+		this.lastValues = new Map();
+		this.heartbeat = { packets: 0, written: 0 };
+		this.heartbeatTimer = null;
 
 		// If format is 'none', disable file logging
 		if (this.options.format === "none") {
@@ -40,37 +63,121 @@ class Logger {
 			this.logStream = fs.createWriteStream(logPath, { flags: "a" });
 			console.log(`Logging to: ${logPath}`);
 		}
+
+		if (this._isChangeFormat() && this.options.heartbeatInterval > 0) {
+			this.heartbeatTimer = setInterval(() => this._writeHeartbeat(), this.options.heartbeatInterval);
+			this.heartbeatTimer.unref();
+		}
 	}
 
 	logPacket(packet) {
 		this.totalPackets++;
+		this.protocolCounts[packet.protocol] = (this.protocolCounts[packet.protocol] || 0) + 1;
+		if (packet.interface) {
+			this.interfaceCounts[packet.interface] = (this.interfaceCounts[packet.interface] || 0) + 1;
+		}
 
 		// Always maintain packet groups for report generation
 		this._addToGroups(packet);
+		this.correlation.process(packet);
+		this.inventory.process(packet);
+		this.state.process(packet);
+		this.discovery.process(packet);
+
+		if (!this._isLoggedInterface(packet.interface)) {
+			return;
+		}
+
+		// Change-only formats skip packets that repeat the last values of their source
+		if (this._isChangeFormat()) {
+			this.heartbeat.packets++;
+			if (!this._trackChanges(packet)) {
+				return;
+			}
+			this.heartbeat.written++;
+		}
+
+		// Verbose formats use the full formatter, everything else the compact one (default)
+		const verbose = this.options.format === "verbose" || this.options.format === "changes-verbose";
+		const output = verbose ? this._formatPacketVerbose(packet, true) : this._formatPacketCompact(packet);
 
 		// Console logging
 		if (this.options.consoleLog) {
-			if (this.options.format === "verbose") {
-				console.log(this._formatPacketVerbose(packet, true));
-			} else {
-				// Compact format (default)
-				console.log(this._formatPacketCompact(packet));
-			}
+			console.log(output);
 		}
 
 		// File logging based on format
 		if (this.options.fileLog && this.logStream) {
-			if (this.options.format === "verbose") {
-				this.logStream.write(this._formatPacketVerbose(packet, true) + "\n");
-			} else {
-				// Compact format (default)
-				this.logStream.write(this._formatPacketCompact(packet) + "\n");
+			this.logStream.write(output + "\n");
+		}
+	}
+
+	_isLoggedInterface(name) {
+		return this.options.interfaces.length === 0 || !name || this.options.interfaces.includes(name);
+	}
+
+	_isChangeFormat() {
+		return this.options.format === "changes" || this.options.format === "changes-verbose";
+	}
+
+	/**
+	 * Remember the message values of a packet
+	 * @param {Packet} packet - Decoded packet
+	 * @returns {boolean} True if any (source, message number) value is new or differs from the last one seen
+	 */
+	_trackChanges(packet) {
+		const source = packet.interface ? `${packet.interface}:${packet.sa.toString()}` : packet.sa.toString();
+		let changed = false;
+
+		packet.messages.forEach((message) => {
+			const key = `${source}|${message.messageNumber}`;
+			const value = message.structure ? bufferToHex(message.structure) : message.value;
+			if (this.lastValues.get(key) !== value) {
+				this.lastValues.set(key, value);
+				changed = true;
 			}
+		});
+
+		return changed;
+	}
+
+	_writeHeartbeat() {
+		const sources = new Set(Array.from(this.lastValues.keys()).map((key) => key.split("|")[0]));
+		const line =
+			`[${getCurrentTimestamp()}] HEARTBEAT: ${this.heartbeat.packets} packets in last ${Math.round(this.options.heartbeatInterval / 1000)}s ` +
+			`(${this.heartbeat.written} written, ${this.heartbeat.packets - this.heartbeat.written} unchanged) | ` +
+			`${this.lastValues.size} values tracked from ${sources.size} sources | Total: ${this.totalPackets}`;
+
+		this.heartbeat = { packets: 0, written: 0 };
+
+		if (this.options.consoleLog) {
+			console.log(line);
+		}
+		if (this.options.fileLog && this.logStream) {
+			this.logStream.write(line + "\n");
 		}
 	}
 
+	/**
+	 * Log an error
+	 * @param {string|Object} error - Message, or a decoder error record from PacketAnalyzer.analyzeBuffer()
+	 * @param {string} rawData - Optional raw data to print with the message
+	 */
 	logError(error, rawData = null) {
-		const errorMsg = `[${getCurrentTimestamp()}] ERROR: ${error}`;
+		let timestamp = getCurrentTimestamp();
+
+		// Decoder error records are counted and printed with their bytes and capture time
+		if (typeof error === "object") {
+			const record = this.diagnostics.record(error);
+			if (!this._isLoggedInterface(record.interface)) {
+				return;
+			}
+			error = `${record.message} [${record.category}]${record.peer ? ` from ${record.peer}` : ""}${record.interface ? ` on ${record.interface}` : ""}`;
+			rawData = rawData || record.hex || null;
+			timestamp = record.timestamp || timestamp;
+		}
+
+		const errorMsg = `[${timestamp}] ERROR: ${error}`;
 
 		if (this.options.consoleLog) {
 			console.error(errorMsg);
@@ -87,6 +194,38 @@ class Logger {
 		}
 	}
 
+	/**
+	 * Record the start of a capture gap, the interface was lost and is being reconnected
+	 * @param {Object} gap - { interface: name when several are captured, start: epoch ms, reason }
+	 * @returns {Object} The gap, to be passed to endGap() once the interface is back
+	 */
+	startGap(gap) {
+		const entry = { interface: gap.interface || "", start: gap.start, end: null, reason: gap.reason || "" };
+		this.gaps.push(entry);
+		this._writeGapLine(
+			entry,
+			`GAP: capture interrupted${entry.interface ? ` on ${entry.interface}` : ""}${entry.reason ? ` (${entry.reason})` : ""}`,
+		);
+		return entry;
+	}
+
+	/**
+	 * Record the end of a capture gap
+	 * @param {Object} gap - Gap returned by startGap()
+	 * @param {number} end - Epoch ms at which the interface was back
+	 */
+	endGap(gap, end) {
+		gap.end = end;
+		this._writeGapLine(gap, `GAP: capture resumed${gap.interface ? ` on ${gap.interface}` : ""} after ${formatDuration(end - gap.start)}`);
+	}
+
+	// Gap lines only go to the log file, the sniffer prints the connection state on the console
+	_writeGapLine(gap, text) {
+		if (this.options.fileLog && this.logStream && this._isLoggedInterface(gap.interface)) {
+			this.logStream.write(`[${formatTimestamp(gap.end || gap.start)}] ${text}\n`);
+		}
+	}
+
 	_addToGroups(packet) {
 		const signature = packet.getSignature();
 
@@ -132,6 +271,7 @@ class Logger {
 		output.push("═══════════════════════════════════════════════════════════════════════");
 		output.push(`Generated: ${getCurrentTimestamp()}`);
 		output.push(`Total Packets: ${this.totalPackets}`);
+		this.gaps.forEach((gap) => output.push(`Capture Gap: ${describeGap(gap)}`));
 		output.push("═══════════════════════════════════════════════════════════════════════");
 		output.push("");
 
@@ -161,27 +301,33 @@ class Logger {
 			filename = path.join(this.outputDir, `nasa_packets_${timestamp}.json`);
 		}
 
-		// Collect all packets from groups in chronological order
-		const allPackets = [];
-		const sortedGroups = Array.from(this.packetGroups.values());
-		sortedGroups.forEach((group) => {
-			allPackets.push(...group.allPackets);
-		});
-
-		// Sort by timestamp
-		allPackets.sort((a, b) => (a.timestamp > b.timestamp ? 1 : -1));
+		const allPackets = this._getPacketsInOrder();
 
 		// Convert to optimized format with minimized attribute names
-		// Key mapping: t=timestamp, s=source, sr=sourceReadable, d=destination, dr=destinationReadable,
+		// Key mapping: ts=time (capture time of the first byte, ms since the Unix epoch, UTC, with sub-millisecond fraction),
+		// t=timestamp (same time as a UTC "YYYY-MM-DD HH:MM:SS.ffffff" string), s=source, sr=sourceReadable, d=destination, dr=destinationReadable,
 		// pt=packetType, ptn=packetTypeName, dt=dataType, dtn=dataTypeName, pn=packetNumber,
 		// pv=protocolVersion, rc=retryCount, m=messages, mn=messageNumber, mnh=messageNumberHex,
-		// mt=type, mtn=typeName, v=value, rv=readableValue, n=name, rd=rawData, rdh=rawDataHex
+		// mt=type, mtn=typeName, v=value, sv=scaledValue, u=unit, rv=readableValue, n=name, st=structureHex,
+		// f=fields (structure fields, each with n=name, v=value, rv=readableValue), rd=rawData, rdh=rawDataHex,
+		// i=id, pi=pairId (matching request/response), l=latency (ms), inv=device inventory, dg=decoder diagnostics,
+		// pr=protocol ("NASA" or "non-NASA"), cc=commandCode (non-NASA only), pe=peer (TCP_SERVER bridge "host:port"),
+		// if=interface (name of the capture interface when several are configured),
+		// g=capture gaps while the interface was disconnected (ts=start, te=end or null, r=reason, if=interface)
 		const exportData = {
 			v: "1.0", // version
 			e: getCurrentTimestamp(), // exportedAt
 			tp: this.totalPackets, // totalPackets
 			p: allPackets.map((packet) => ({
+				i: packet.id,
+				pi: packet.pairId,
+				l: packet.latency,
+				ts: packet.time,
 				t: packet.timestamp,
+				pr: packet.protocol,
+				pe: packet.peer,
+				if: packet.interface,
+				cc: packet.protocol === Protocol.NonNasa ? packet.command.code : undefined,
 				s: packet.sa.toString(),
 				sr: packet.sa.toReadableString(),
 				d: packet.da.toString(),
@@ -199,12 +345,21 @@ class Logger {
 					mt: msg.type,
 					mtn: MessageSetTypeName[msg.type],
 					v: msg.value,
+					sv: msg.getScaledValue(),
+					u: msg.getUnit(),
 					rv: msg.getReadableValue(),
-					n: MessageNumberNames[msg.messageNumber] || "UNKNOWN",
+					n: msg.getName() || "UNKNOWN",
+					...(msg.structure && {
+						st: bufferToHex(msg.structure, " "),
+						f: (msg.fields || []).map((field) => ({ n: field.name, v: field.value, rv: field.readableValue })),
+					}),
 				})),
 				rd: Array.from(packet.rawData),
 				rdh: bufferToHex(packet.rawData, " "),
 			})),
+			g: this.gaps.map((gap) => ({ ts: gap.start, te: gap.end, r: gap.reason || undefined, if: gap.interface || undefined })),
+			inv: this.inventory.toJSON(),
+			dg: this.diagnostics.toJSON(),
 		};
 
 		fs.writeFileSync(filename, JSON.stringify(exportData), "utf8");
@@ -215,6 +370,48 @@ class Logger {
 		return filename;
 	}
 
+	/**
+	 * Export packets to a PCAPNG file for Wireshark
+	 * @param {string} filename - Optional filename for export
+	 * @returns {string} Path to exported file
+	 */
+	exportPcapng(filename = null) {
+		if (!filename) {
+			const timestamp = new Date().toISOString().replace(/:/g, "-").split(".")[0];
+			filename = path.join(this.outputDir, `nasa_packets_${timestamp}.pcapng`);
+		}
+
+		fs.writeFileSync(filename, this.buildPcapng());
+
+		console.log(`\n✓ PCAPNG exported: ${filename}`);
+		console.log(`  Total packets: ${this.totalPackets}`);
+		console.log(`  File size: ${(fs.statSync(filename).size / 1024).toFixed(2)} KB\n`);
+		return filename;
+	}
+
+	/**
+	 * Build PCAPNG content of all captured packets
+	 * @returns {Buffer} PCAPNG file content
+	 */
+	buildPcapng() {
+		return packetsToPcapng(this._getPacketsInOrder(), {
+			interfaceName: this.options.captureInterface.name,
+			interfaceDescription: this.options.captureInterface.description,
+			interfaceDescriptions: this.options.captureInterface.interfaces,
+			localAddresses: this.options.localAddresses,
+			gaps: this.gaps,
+		});
+	}
+
+	// All packets from the groups, sorted by capture time
+	_getPacketsInOrder() {
+		const allPackets = [];
+		this.packetGroups.forEach((group) => {
+			allPackets.push(...group.allPackets);
+		});
+		return allPackets.sort((a, b) => a.time - b.time);
+	}
+
 	_generateReport() {
 		let report = [];
 
@@ -263,14 +460,168 @@ class Logger {
 			report.push("─".repeat(75));
 		});
 
+		report.push(...this._generateInventoryReport());
+		report.push(...this._generateDiscoveryReport());
+		report.push(...this._generateDiagnosticsReport());
+		report.push(...this._generateCorrelationReport());
+		report.push(...this._generateGapReport());
+
 		return report.join("\n");
 	}
 
+	_generateInventoryReport() {
+		const report = [];
+		const inventory = this.inventory.toJSON();
+
+		report.push("");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push("                    DEVICE INVENTORY");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+
+		inventory.devices.forEach((device) => {
+			report.push(`${device.readable}${device.interface ? ` on ${device.interface}` : ""}${device.broadcast ? " [broadcast]" : ""}`);
+			report.push(`  First Seen: ${device.firstSeen} | Last Seen: ${device.lastSeen}`);
+			report.push(`  Sent: ${device.packetsSent} | Received: ${device.packetsReceived} | Data Types: ${device.dataTypes.join(", ") || "-"}`);
+			report.push(`  Messages (${device.messages.length}): ${device.messages.join(", ") || "-"}`);
+		});
+
+		report.push("");
+		report.push("Links:");
+		inventory.links.forEach((link) => {
+			report.push(`  ${link.source} → ${link.destination}: ${link.count} packets (${link.dataTypes.join(", ")})`);
+		});
+
+		return report;
+	}
+
+	_generateDiscoveryReport() {
+		const report = [];
+		const messages = this.discovery.getMessages();
+
+		report.push("");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push("                    UNKNOWN MESSAGES");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push(`Unknown Message Numbers: ${messages.length}`);
+
+		messages.forEach((message) => {
+			const frequency = message.perMinute !== null ? `, ${message.perMinute.toFixed(1)}/min` : "";
+			const range = message.min !== null ? ` | Range: ${message.min} .. ${message.max}` : "";
+			const changeRate = message.changesPerMinute !== null ? ` (${message.changesPerMinute.toFixed(2)}/min)` : "";
+			const distinct = `${message.distinctCount}${message.distinctOverflow ? "+" : ""}`;
+			const values = message.distinctValues
+				.slice(0, 8)
+				.map((entry) => `${entry.value} (${entry.count})`)
+				.join(", ");
+
+			report.push("");
+			report.push(`${message.messageNumber} (${message.type}) - ${message.count} times${frequency}`);
+			report.push(`  Senders: ${message.senders.map((sender) => `${sender.name} (${sender.count})`).join(", ")}`);
+			report.push(`  Data Types: ${message.dataTypes.join(", ")}${range}`);
+			report.push(`  Changes: ${message.changes} of ${message.updates} values${changeRate} | Distinct: ${distinct} - ${values || "-"}`);
+			message.coChanges.forEach((coChange) => {
+				report.push(
+					`  Changes with: ${coChange.name} [${coChange.messageNumber}] on ${coChange.deviceName} - ${coChange.count}x (${Math.round(coChange.ratio * 100)}%)`,
+				);
+			});
+		});
+
+		return report;
+	}
+
+	_generateDiagnosticsReport() {
+		const report = [];
+		const diagnostics = this.diagnostics.toJSON();
+
+		report.push("");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push("                    DECODER DIAGNOSTICS");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push(`Total Errors: ${diagnostics.total}`);
+
+		diagnostics.counters.forEach((counter) => {
+			report.push(`  ${counter.category.padEnd(16)} ${counter.count} errors, ${counter.bytes} bytes`);
+		});
+
+		if (diagnostics.records.length > 0) {
+			report.push("");
+			report.push(`Recent Errors (last ${diagnostics.records.length}):`);
+			diagnostics.records.forEach((record) => {
+				report.push(`  [${record.timestamp}] ${record.category}: ${record.message}`);
+				report.push(`    Bytes (${record.length}): ${record.hex}`);
+			});
+		}
+
+		return report;
+	}
+
+	_generateGapReport() {
+		const report = [];
+
+		report.push("");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push("                    CAPTURE GAPS");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push(`Total Gaps: ${this.gaps.length}`);
+		this.gaps.forEach((gap) => report.push(`  ${describeGap(gap)}`));
+
+		return report;
+	}
+
+	_generateCorrelationReport() {
+		const report = [];
+		this.correlation.expire(Date.now());
+		const stats = this.correlation.getStats();
+
+		report.push("");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push("                    REQUEST/RESPONSE CORRELATION");
+		report.push("═══════════════════════════════════════════════════════════════════════");
+		report.push(`Matched Pairs: ${stats.pairs}`);
+		report.push(`Unanswered Requests: ${stats.unanswered}`);
+		report.push(`Pending Requests: ${stats.pending}`);
+		report.push("");
+		report.push("Response Times per Device (ms):");
+
+		const deviceStats = this.correlation.getDeviceStats();
+		if (deviceStats.length === 0) {
+			report.push("  (no request/response pairs seen)");
+		}
+		deviceStats.forEach((device) => {
+			report.push(
+				`  ${device.device.padEnd(32)} count=${device.count} min=${device.min} avg=${device.avg.toFixed(1)} p95=${device.p95} max=${device.max}`,
+			);
+		});
+
+		report.push("");
+		report.push("Unanswered Requests:");
+		const unanswered = this.correlation.getUnanswered();
+		if (unanswered.length === 0) {
+			report.push("  (none)");
+		}
+		unanswered.forEach((request) => {
+			const retries = request.retries > 0 ? ` (${request.retries} retries)` : "";
+			report.push(
+				`  [${request.timestamp}] ${request.source} → ${request.destination} ${request.dataType} Pkt#: ${request.packetNumber}${retries} | ${request.messages.join(", ")}`,
+			);
+		});
+
+		return report;
+	}
+
 	getStats() {
 		return {
 			totalPackets: this.totalPackets,
 			uniqueTypes: this.packetGroups.size,
 			runtime: Math.floor((new Date() - this.startTime) / 1000),
+			protocols: this.protocolCounts,
+			interfaces: this.interfaceCounts,
+			correlation: this.correlation.getStats(),
+			devices: this.inventory.getDevices(),
+			decoderErrors: this.diagnostics.getCounters(),
+			unknownMessages: this.discovery.messages.size,
+			gaps: this.gaps.length,
+			gapTime: this.gaps.reduce((sum, gap) => sum + ((gap.end || Date.now()) - gap.start), 0),
 		};
 	}
 
@@ -282,6 +633,40 @@ class Logger {
 		console.log(`Total Packets Captured: ${stats.totalPackets}`);
 		console.log(`Unique Packet Types: ${stats.uniqueTypes}`);
 		console.log(`Runtime: ${stats.runtime}s`);
+		console.log(
+			`Protocols: ${
+				Object.entries(stats.protocols)
+					.map(([protocol, count]) => `${protocol} ${count}`)
+					.join(", ") || "-"
+			}`,
+		);
+		if (Object.keys(stats.interfaces).length > 0) {
+			console.log(
+				`Interfaces: ${Object.entries(stats.interfaces)
+					.map(([name, count]) => `${name} ${count}`)
+					.join(", ")}`,
+			);
+		}
+		console.log(
+			`Request/Response Pairs: ${stats.correlation.pairs} (unanswered: ${stats.correlation.unanswered}, pending: ${stats.correlation.pending})`,
+		);
+		this.correlation.getDeviceStats().forEach((device) => {
+			console.log(`  ${device.device}: ${device.count} responses, avg ${device.avg.toFixed(1)}ms, max ${device.max}ms`);
+		});
+		console.log(`Decoder Errors: ${this.diagnostics.total}`);
+		stats.decoderErrors.forEach((counter) => {
+			console.log(`  ${counter.category.padEnd(16)} ${counter.count} errors, ${counter.bytes} bytes`);
+		});
+		if (stats.gaps > 0) {
+			console.log(`Capture Gaps: ${stats.gaps} (${formatDuration(stats.gapTime)} disconnected)`);
+		}
+		console.log(`Unknown Message Numbers: ${stats.unknownMessages}`);
+		console.log(`Devices Seen: ${stats.devices.length}`);
+		stats.devices.forEach((device) => {
+			console.log(
+				`  ${(device.interface ? `${device.readable} on ${device.interface}` : device.readable).padEnd(32)} sent=${device.packetsSent} received=${device.packetsReceived} messages=${device.messages.length} last=${device.lastSeen}`,
+			);
+		});
 		console.log(`${"═".repeat(75)}\n`);
 	}
 
@@ -296,20 +681,39 @@ class Logger {
 
 		output.push("┌─────────────────────────────────────────────────────────────────");
 		output.push(`│ Timestamp: ${packet.timestamp}`);
+		if (packet.interface) {
+			output.push(`│ Interface: ${packet.interface}`);
+		}
+		if (packet.peer) {
+			output.push(`│ Peer:      ${packet.peer}`);
+		}
 		output.push("├─────────────────────────────────────────────────────────────────");
 		output.push(`│ Source:      ${packet.sa.toReadableString()}`);
 		output.push(`│ Destination: ${packet.da.toReadableString()}`);
 		output.push("├─────────────────────────────────────────────────────────────────");
-		output.push(`│ Packet Type: ${PacketTypeName[packet.command.packetType] || "Unknown"}`);
-		output.push(`│ Data Type:   ${DataTypeName[packet.command.dataType] || "Unknown"}`);
-		output.push(`│ Packet #:    ${packet.command.packetNumber}`);
-		output.push(`│ Protocol:    v${packet.command.protocolVersion}`);
-		output.push(`│ Retry Count: ${packet.command.retryCount}`);
+		if (packet.protocol === Protocol.NonNasa) {
+			output.push(`│ Protocol:    ${packet.protocol}`);
+			output.push(`│ Command:     ${packet.getCommandName()} (0x${packet.command.code.toString(16).padStart(2, "0")})`);
+		} else {
+			output.push(`│ Packet Type: ${PacketTypeName[packet.command.packetType] || "Unknown"}`);
+			output.push(`│ Data Type:   ${DataTypeName[packet.command.dataType] || "Unknown"}`);
+			output.push(`│ Packet #:    ${packet.command.packetNumber}`);
+			output.push(`│ Protocol:    ${packet.protocol} v${packet.command.protocolVersion}`);
+			output.push(`│ Retry Count: ${packet.command.retryCount}`);
+		}
 		output.push("├─────────────────────────────────────────────────────────────────");
 		output.push(`│ Messages (${packet.messages.length}):`);
 
 		for (let i = 0; i < packet.messages.length; i++) {
-			output.push(`│   ${i + 1}. ${packet.messages[i].toString()}`);
+			const message = packet.messages[i];
+			output.push(`│   ${i + 1}. ${message.toString()}`);
+
+			// Structures are listed field by field
+			if (message.fields) {
+				message.fields.forEach((field) => {
+					output.push(`│        ${field.name} = ${field.readableValue}`);
+				});
+			}
 		}
 
 		if (includeRaw) {
@@ -337,7 +741,7 @@ class Logger {
 		// Compact multi-line format with all packet information
 		const msgDetails = packet.messages
 			.map((m) => {
-				const name = MessageNumberNames[m.messageNumber] || `0x${m.messageNumber.toString(16)}`;
+				const name = m.getName() || `0x${m.messageNumber.toString(16)}`;
 				const value = m.getReadableValue();
 				return `${name}=${value}`;
 			})
@@ -348,12 +752,17 @@ class Logger {
 
 		// Build compact multi-line output
 		const lines = [];
-		lines.push(`[${packet.timestamp}] ${packet.sa.toReadableString()} → ${packet.da.toReadableString()}`);
-		lines.push(
-			`  Type: ${PacketTypeName[packet.command.packetType]} | Data: ${DataTypeName[packet.command.dataType]} | Pkt#: ${
-				packet.command.packetNumber
-			} | Proto: v${packet.command.protocolVersion} | Retry: ${packet.command.retryCount}`,
-		);
+		const origin = `${packet.peer ? ` via ${packet.peer}` : ""}${packet.interface ? ` on ${packet.interface}` : ""}`;
+		lines.push(`[${packet.timestamp}] ${packet.sa.toReadableString()} → ${packet.da.toReadableString()}${origin}`);
+		if (packet.protocol === Protocol.NonNasa) {
+			lines.push(`  Proto: ${packet.protocol} | Cmd: ${packet.getCommandName()}`);
+		} else {
+			lines.push(
+				`  Type: ${PacketTypeName[packet.command.packetType]} | Data: ${DataTypeName[packet.command.dataType]} | Pkt#: ${
+					packet.command.packetNumber
+				} | Proto: ${packet.protocol} v${packet.command.protocolVersion} | Retry: ${packet.command.retryCount}`,
+			);
+		}
 		lines.push(`  Msgs: ${packet.messages.length} | ${msgDetails}`);
 		lines.push(`  Raw: ${rawHex}`);
 
@@ -361,10 +770,30 @@ class Logger {
 	}
 
 	close() {
+		if (this.heartbeatTimer) {
+			clearInterval(this.heartbeatTimer);
+			this.heartbeatTimer = null;
+		}
 		if (this.logStream) {
 			this.logStream.end();
 		}
 	}
 }
 
+// e.g. "12.3s" or "4m 05s"
+function formatDuration(ms) {
+	const seconds = ms / 1000;
+	if (seconds < 60) {
+		return `${seconds.toFixed(1)}s`;
+	}
+	return `${Math.floor(seconds / 60)}m ${String(Math.floor(seconds % 60)).padStart(2, "0")}s`;
+}
+
+// e.g. "bus1 2025-11-14 10:00:00.000000 UTC - 2025-11-14 10:00:12.300000 UTC (12.3s, device removed)"
+function describeGap(gap) {
+	const end = gap.end ? `${formatTimestamp(gap.end)} UTC` : "still disconnected";
+	const details = [gap.end ? formatDuration(gap.end - gap.start) : null, gap.reason].filter((detail) => detail).join(", ");
+	return `${gap.interface ? `${gap.interface} ` : ""}${formatTimestamp(gap.start)} UTC - ${end}${details ? ` (${details})` : ""}`;
+}
+
 module.exports = Logger;
@@ -0,0 +1,165 @@
+/*
+ * Message Catalog Module
+ * Loads NASA message definitions (name, unit, scale, signedness, enum labels) from JSON files
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, "data", "nasa-messages.json");
+
+class MessageCatalog {
+	constructor() {
+		this.definitions = new Map();
+		// Plain number -> name lookup, kept in sync with the definitions so it can be shared by reference
+		this.names = {};
+	}
+
+	/**
+	 * Load message definitions from a JSON file
+	 * Definitions from later files override (and extend) earlier ones
+	 * @param {string} filename - Path to catalog file
+	 * @returns {number} Number of definitions loaded from the file
+	 */
+	loadFile(filename) {
+		try {
+			const content = JSON.parse(fs.readFileSync(filename, "utf8"));
+			return this.loadDefinitions(content);
+		} catch (error) {
+			throw new Error(`Failed to load message catalog ${filename}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Load message definitions from a parsed catalog object
+	 * @param {Object} catalog - { messages: { "0x4000": { name, unit, scale, signed, enum } } }
+	 * @returns {number} Number of definitions loaded
+	 */
+	loadDefinitions(catalog) {
+		const messages = (catalog && catalog.messages) || {};
+		let count = 0;
+
+		Object.entries(messages).forEach(([key, definition]) => {
+			const messageNumber = Number(key);
+			if (!Number.isInteger(messageNumber) || messageNumber < 0 || messageNumber > 0xffff) {
+				throw new Error(`Invalid message number: ${key}`);
+			}
+
+			const merged = Object.assign({}, this.definitions.get(messageNumber), definition);
+			this.definitions.set(messageNumber, merged);
+
+			if (merged.name) {
+				this.names[messageNumber] = merged.name;
+			}
+			count++;
+		});
+
+		return count;
+	}
+
+	get(messageNumber) {
+		return this.definitions.get(messageNumber) || null;
+	}
+
+	getName(messageNumber) {
+		const definition = this.definitions.get(messageNumber);
+		return definition && definition.name ? definition.name : null;
+	}
+
+	getUnit(messageNumber) {
+		const definition = this.definitions.get(messageNumber);
+		return definition && definition.unit ? definition.unit : "";
+	}
+
+	/**
+	 * Interpret a raw unsigned value according to the signedness of the message
+	 * @param {number} messageNumber - Message number
+	 * @param {number} value - Raw unsigned value
+	 * @param {number} byteLength - Size of the value on the wire
+	 * @returns {number} Signed or unsigned value
+	 */
+	applySignedness(messageNumber, value, byteLength) {
+		const definition = this.definitions.get(messageNumber);
+		if (!definition || !definition.signed) {
+			return value;
+		}
+
+		const bits = byteLength * 8;
+		const signBit = 2 ** (bits - 1);
+		return value >= signBit ? value - 2 ** bits : value;
+	}
+
+	/**
+	 * Apply the scale factor of the message to a value
+	 * @param {number} messageNumber - Message number
+	 * @param {number} value - Decoded value
+	 * @returns {number} Value in the unit of the message
+	 */
+	getScaledValue(messageNumber, value) {
+		const definition = this.definitions.get(messageNumber);
+		if (!definition || definition.scale === undefined) {
+			return value;
+		}
+		// Round away floating point noise (e.g. 3 * 0.1) to the precision of the scale
+		return Number((value * definition.scale).toFixed(getDecimals(definition.scale)));
+	}
+
+	/**
+	 * Format a value for display using enum labels, scale and unit
+	 * @param {number} messageNumber - Message number
+	 * @param {number} value - Decoded value
+	 * @returns {string} Human-readable value
+	 */
+	formatValue(messageNumber, value) {
+		return formatDefinedValue(this.definitions.get(messageNumber), value);
+	}
+}
+
+/**
+ * Format a value using enum labels, scale and unit of a definition
+ * Shared with structure field definitions, which use the same properties
+ * @param {Object|null} definition - { unit, scale, enum }
+ * @param {number} value - Decoded value
+ * @returns {string} Human-readable value
+ */
+function formatDefinedValue(definition, value) {
+	if (!definition) {
+		return value.toString();
+	}
+
+	if (definition.enum) {
+		const label = definition.enum[value];
+		return label !== undefined ? label : `Unknown(${value})`;
+	}
+
+	let text;
+	if (definition.scale !== undefined) {
+		text = (value * definition.scale).toFixed(getDecimals(definition.scale));
+	} else {
+		text = value.toString();
+	}
+
+	if (definition.unit) {
+		// Degree and percent signs stick to the number, other units are separated
+		const separator = /^[°%]/.test(definition.unit) ? "" : " ";
+		text += `${separator}${definition.unit}`;
+	}
+
+	return text;
+}
+
+function getDecimals(scale) {
+	const fraction = scale.toString().split(".")[1];
+	return fraction ? fraction.length : 0;
+}
+
+// Shared catalog instance, pre-loaded with the bundled definitions
+const catalog = new MessageCatalog();
+catalog.loadFile(DEFAULT_CATALOG_FILE);
+
+module.exports = {
+	MessageCatalog,
+	catalog,
+	formatDefinedValue,
+	DEFAULT_CATALOG_FILE,
+};
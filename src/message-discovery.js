@@ -0,0 +1,236 @@
+/*
+ * Message Discovery Module
+ * Profiles message numbers missing from the catalog to help reverse-engineer them from captures
+ */
+
+const { DataTypeName, MessageSetTypeName, Protocol, bufferToHex } = require("./packet-decoder");
+const DeviceStateStore = require("./device-state-store");
+const { labels } = require("./label-store");
+
+class MessageDiscovery {
+	constructor(options = {}) {
+		this.options = {
+			maxDistinct: options.maxDistinct || 32, // Distinct values kept per unknown message
+			coChangeWindow: options.coChangeWindow || 2000, // ms between two changes that count as changing together
+			maxCoChanges: options.maxCoChanges || 5, // Co-changing known messages reported per unknown message
+		};
+
+		this.messages = new Map(); // Message number -> unknown message profile
+		this.lastValues = new Map(); // "owner|messageNumber" -> last value, for known and unknown messages
+		this.recentKnown = []; // Recent known message changes - { time, key, owner, message, messageNumber, linked }
+		this.recentUnknown = []; // Recent unknown message changes - { time, profile, linked }
+		this.knownChanges = new Map(); // "device|messageNumber" -> number of changes of a known message
+	}
+
+	/**
+	 * Feed a packet into the discovery
+	 * @param {Packet} packet - Decoded packet
+	 */
+	process(packet) {
+		const owner = DeviceStateStore.getValueOwner(packet);
+		const time = packet.time;
+		this._expire(time);
+
+		packet.messages.forEach((message) => {
+			// User labels do not count, labelled messages are usually the ones still being investigated
+			const unknown = !message.getCatalogName();
+			const profile = unknown ? this._getProfile(message, packet) : null;
+
+			if (profile) {
+				profile.count++;
+				profile.lastSeen = packet.timestamp;
+				profile.lastTime = time;
+				const sender = packet.sa.toString();
+				if (!profile.senders.has(sender)) {
+					profile.senders.set(sender, { address: packet.sa, count: 0 });
+				}
+				profile.senders.get(sender).count++;
+				profile.dataTypes.add(DataTypeName[packet.command.dataType] || "Unknown");
+			}
+
+			// Read, Ack and Nack carry placeholder values
+			if (!owner) {
+				return;
+			}
+
+			const value = message.structure ? bufferToHex(message.structure, " ") : message.value;
+			const key = `${owner.toString()}|${message.messageNumber}`;
+			const changed = this.lastValues.has(key) && this.lastValues.get(key) !== value;
+			this.lastValues.set(key, value);
+
+			if (profile) {
+				this._recordValue(profile, value);
+				if (changed) {
+					profile.changes++;
+					this._linkUnknownChange(profile, time);
+				}
+			} else if (changed) {
+				const messageNumber = `0x${message.messageNumber.toString(16).padStart(4, "0")}`;
+				this._linkKnownChange({
+					time,
+					key: `${owner.toString()}|${messageNumber}`,
+					owner,
+					message,
+					messageNumber,
+					linked: new Set(),
+				});
+			}
+		});
+	}
+
+	_getProfile(message, packet) {
+		if (!this.messages.has(message.messageNumber)) {
+			this.messages.set(message.messageNumber, {
+				messageNumber: `0x${message.messageNumber.toString(16).padStart(4, "0")}`,
+				protocol: packet.protocol,
+				type: MessageSetTypeName[message.type] || "Unknown",
+				count: 0,
+				firstSeen: packet.timestamp,
+				lastSeen: packet.timestamp,
+				firstTime: packet.time,
+				lastTime: packet.time,
+				senders: new Map(),
+				dataTypes: new Set(),
+				updates: 0,
+				changes: 0,
+				min: null,
+				max: null,
+				distinct: new Map(), // Value -> count, capped at maxDistinct
+				distinctOverflow: false,
+				coChanges: new Map(), // "device|messageNumber" -> { owner, message, messageNumber, unknownMatches, knownMatches }
+			});
+		}
+		return this.messages.get(message.messageNumber);
+	}
+
+	_recordValue(profile, value) {
+		profile.updates++;
+
+		if (typeof value === "number") {
+			profile.min = profile.min === null ? value : Math.min(profile.min, value);
+			profile.max = profile.max === null ? value : Math.max(profile.max, value);
+		}
+
+		if (profile.distinct.has(value)) {
+			profile.distinct.set(value, profile.distinct.get(value) + 1);
+		} else if (profile.distinct.size < this.options.maxDistinct) {
+			profile.distinct.set(value, 1);
+		} else {
+			profile.distinctOverflow = true;
+		}
+	}
+
+	// Changes within the window of each other are paired by whichever of the two came last
+	_linkUnknownChange(profile, time) {
+		const unknownChange = { time, profile, linked: new Set() };
+		this.recentKnown.forEach((knownChange) => this._pairChanges(unknownChange, knownChange));
+		this.recentUnknown.push(unknownChange);
+	}
+
+	_linkKnownChange(knownChange) {
+		this.knownChanges.set(knownChange.key, (this.knownChanges.get(knownChange.key) || 0) + 1);
+		this.recentUnknown.forEach((unknownChange) => this._pairChanges(unknownChange, knownChange));
+		this.recentKnown.push(knownChange);
+	}
+
+	// Each change is matched at most once per message on the other side, so a message that changes all the time
+	// does not look related to everything that changes now and then
+	_pairChanges(unknownChange, knownChange) {
+		const profile = unknownChange.profile;
+		if (!profile.coChanges.has(knownChange.key)) {
+			profile.coChanges.set(knownChange.key, {
+				owner: knownChange.owner,
+				message: knownChange.message,
+				messageNumber: knownChange.messageNumber,
+				unknownMatches: 0,
+				knownMatches: 0,
+			});
+		}
+
+		const coChange = profile.coChanges.get(knownChange.key);
+		if (!unknownChange.linked.has(knownChange.key)) {
+			unknownChange.linked.add(knownChange.key);
+			coChange.unknownMatches++;
+		}
+		if (!knownChange.linked.has(profile.messageNumber)) {
+			knownChange.linked.add(profile.messageNumber);
+			coChange.knownMatches++;
+		}
+	}
+
+	/**
+	 * Score how closely a known message changes together with an unknown one
+	 * 1 means every change of either message came with a change of the other
+	 * @param {Object} profile - Unknown message profile
+	 * @param {string} key - "device|messageNumber" of the known message
+	 * @param {Object} coChange - Matches counted by _pairChanges()
+	 * @returns {Object} - { device, deviceName, messageNumber, name, count, knownChanges, ratio }
+	 */
+	_scoreCoChange(profile, key, coChange) {
+		const knownChanges = this.knownChanges.get(key) || 0;
+		const count = Math.min(coChange.unknownMatches, coChange.knownMatches);
+		// Names are resolved here so label changes show up without reprocessing
+		return {
+			device: coChange.owner.toString(),
+			deviceName: coChange.owner.toReadableString(),
+			messageNumber: coChange.messageNumber,
+			name: coChange.message.getName(),
+			count,
+			knownChanges,
+			ratio: count / Math.max(profile.changes, knownChanges, 1),
+		};
+	}
+
+	_expire(now) {
+		const limit = now - this.options.coChangeWindow;
+		this.recentKnown = this.recentKnown.filter((change) => change.time >= limit);
+		this.recentUnknown = this.recentUnknown.filter((change) => change.time >= limit);
+	}
+
+	/**
+	 * Profiles of all unknown message numbers seen, most frequent first
+	 * @returns {Object[]} - [{ messageNumber, label, protocol, type, count, perMinute, firstSeen, lastSeen, senders, dataTypes,
+	 *                        updates, changes, changesPerMinute, min, max, distinctCount, distinctOverflow, distinctValues, coChanges }]
+	 */
+	getMessages() {
+		return Array.from(this.messages.values())
+			.map((profile) => {
+				const minutes = (profile.lastTime - profile.firstTime) / 60000;
+				return {
+					messageNumber: profile.messageNumber,
+					label: profile.protocol === Protocol.Nasa ? labels.getMessageLabel(profile.messageNumber) : null,
+					protocol: profile.protocol,
+					type: profile.type,
+					count: profile.count,
+					perMinute: minutes > 0 ? profile.count / minutes : null,
+					firstSeen: profile.firstSeen,
+					lastSeen: profile.lastSeen,
+					senders: Array.from(profile.senders.values())
+						.map((sender) => ({ address: sender.address.toString(), name: sender.address.toReadableString(), count: sender.count }))
+						.sort((a, b) => b.count - a.count),
+					dataTypes: Array.from(profile.dataTypes).sort(),
+					updates: profile.updates,
+					changes: profile.changes,
+					changesPerMinute: minutes > 0 ? profile.changes / minutes : null,
+					min: profile.min,
+					max: profile.max,
+					distinctCount: profile.distinct.size,
+					distinctOverflow: profile.distinctOverflow,
+					distinctValues: Array.from(profile.distinct.entries())
+						.map(([value, count]) => ({ value, count }))
+						.sort((a, b) => b.count - a.count),
+					coChanges: Array.from(profile.coChanges.entries())
+						.map(([key, coChange]) => this._scoreCoChange(profile, key, coChange))
+						.sort((a, b) => b.ratio - a.ratio || b.count - a.count)
+						.slice(0, this.options.maxCoChanges),
+				};
+			})
+			.sort((a, b) => b.count - a.count);
+	}
+
+	toJSON() {
+		return { messages: this.getMessages() };
+	}
+}
+
+module.exports = MessageDiscovery;
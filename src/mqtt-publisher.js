@@ -0,0 +1,264 @@
+/*
+ * MQTT Publisher Module
+ * Publishes decoded values to an MQTT broker, one retained topic per device and message,
+ * with optional Home Assistant discovery
+ */
+
+const EventEmitter = require("events");
+const DeviceStateStore = require("./device-state-store");
+
+// Home Assistant device classes for the units used in the catalog
+const DEVICE_CLASSES = {
+	"°C": "temperature",
+	W: "power",
+	kW: "power",
+	Wh: "energy",
+	kWh: "energy",
+	V: "voltage",
+	A: "current",
+	Hz: "frequency",
+};
+
+class MqttPublisher extends EventEmitter {
+	/**
+	 * @param {Object} options - Broker and topic settings
+	 * @param {string} options.url - Broker URL, e.g. "mqtt://localhost:1883"
+	 * @param {string} options.topicPrefix - Prefix of all topics (default "nasa")
+	 * @param {boolean} options.retain - Publish values retained (default true)
+	 * @param {number} options.minInterval - Minimum ms between two publishes of the same topic (default 1000)
+	 * @param {boolean} options.homeAssistant - Publish Home Assistant discovery config (default false)
+	 * @param {string} options.discoveryPrefix - Home Assistant discovery prefix (default "homeassistant")
+	 * @param {number} options.reconnectDelay - ms between reconnect attempts (default 5000)
+	 * @param {Function} options.connect - Client factory with the signature of mqtt.connect(url, options) (default mqtt.connect)
+	 */
+	constructor(options = {}) {
+		super();
+
+		this.options = {
+			url: options.url,
+			username: options.username || undefined,
+			password: options.password || undefined,
+			clientId: options.clientId || `nasa-sniffer-${Math.random().toString(16).slice(2, 10)}`,
+			topicPrefix: options.topicPrefix || "nasa",
+			retain: options.retain !== false,
+			minInterval: options.minInterval !== undefined ? options.minInterval : 1000,
+			homeAssistant: options.homeAssistant || false,
+			discoveryPrefix: options.discoveryPrefix || "homeassistant",
+			reconnectDelay: options.reconnectDelay || 5000,
+		};
+
+		if (!this.options.url) {
+			throw new Error("No MQTT broker URL given");
+		}
+
+		this.connectClient = options.connect || ((url, clientOptions) => require("mqtt").connect(url, clientOptions));
+		this.client = null;
+		this.isConnected = false;
+		this.topics = new Map(); // state topic -> { payload, lastPublish, timer, published }
+		this.discovery = new Map(); // discovery topic -> config, republished on every connect
+		this.published = 0;
+		this.dropped = 0; // Updates replaced by a newer value before they were published
+	}
+
+	get availabilityTopic() {
+		return `${this.options.topicPrefix}/status`;
+	}
+
+	/**
+	 * Connect to the broker
+	 * Capture does not wait for the broker. The client reconnects on its own and the latest value
+	 * of every topic is published once it is back.
+	 */
+	connect() {
+		this.client = this.connectClient(this.options.url, {
+			clientId: this.options.clientId,
+			username: this.options.username,
+			password: this.options.password,
+			reconnectPeriod: this.options.reconnectDelay,
+			queueQoSZero: false, // values are kept per topic while offline instead
+			will: { topic: this.availabilityTopic, payload: "offline", retain: true, qos: 1 },
+		});
+
+		this.client.on("connect", () => {
+			this.isConnected = true;
+			this.client.publish(this.availabilityTopic, "online", { retain: true, qos: 1 });
+			this.discovery.forEach((config, topic) => this.client.publish(topic, JSON.stringify(config), { retain: true }));
+			this.topics.forEach((state, topic) => {
+				if (!state.published && !state.timer) {
+					this._publishState(topic, state);
+				}
+			});
+			this.emit("connected", { url: this.options.url });
+		});
+
+		this.client.on("reconnect", () => {
+			this.emit("reconnecting");
+		});
+
+		this.client.on("offline", () => {
+			if (this.isConnected) {
+				this.isConnected = false;
+				this.emit("disconnected");
+			}
+		});
+
+		this.client.on("error", (err) => {
+			this.emit("error", err);
+		});
+	}
+
+	/**
+	 * Publish the values of a packet
+	 * Values belong to the sender of notifications and responses, or the destination of writes and requests.
+	 * With several capture interfaces the interface name is part of the topic, the same address on two buses
+	 * is two devices.
+	 * @param {Packet|NonNasaPacket} packet - Decoded packet
+	 */
+	publishPacket(packet) {
+		const owner = DeviceStateStore.getValueOwner(packet);
+		if (!owner) {
+			return;
+		}
+
+		const device = packet.interface ? `${packet.interface}/${owner.toString()}` : owner.toString();
+		packet.messages.forEach((message) => {
+			const topic = `${this.options.topicPrefix}/${device}/${getTopicName(message)}`;
+			const payload = {
+				value: getValue(message),
+				unit: message.getUnit() || undefined,
+				readable: message.getReadableValue(),
+				raw: message.structure ? undefined : message.value,
+				time: packet.timestamp,
+			};
+
+			if (this.options.homeAssistant && !message.structure) {
+				this._addDiscovery(owner, packet.interface, message, topic);
+			}
+			this._queueState(topic, payload);
+		});
+	}
+
+	// Rate limit per topic: a value that arrives too soon is held back and only the newest one is published
+	_queueState(topic, payload) {
+		let state = this.topics.get(topic);
+		if (!state) {
+			state = { payload: null, lastPublish: 0, timer: null, published: true };
+			this.topics.set(topic, state);
+		}
+
+		if (!state.published) {
+			this.dropped++;
+		}
+		state.payload = payload;
+		state.published = false;
+
+		if (state.timer || !this.isConnected) {
+			return;
+		}
+
+		const wait = state.lastPublish + this.options.minInterval - Date.now();
+		if (wait > 0) {
+			state.timer = setTimeout(() => {
+				state.timer = null;
+				if (this.isConnected) {
+					this._publishState(topic, state);
+				}
+			}, wait);
+		} else {
+			this._publishState(topic, state);
+		}
+	}
+
+	_publishState(topic, state) {
+		this.client.publish(topic, JSON.stringify(state.payload), { retain: this.options.retain });
+		state.lastPublish = Date.now();
+		state.published = true;
+		this.published++;
+	}
+
+	_addDiscovery(owner, source, message, stateTopic) {
+		const deviceId = `nasa_${toObjectId(source ? `${source}_${owner.toString()}` : owner.toString())}`;
+		const deviceName = source ? `${owner.toReadableString()} on ${source}` : owner.toReadableString();
+		const objectId = toObjectId(`${message.getCatalogName() || "0x" + message.messageNumber.toString(16).padStart(4, "0")}`);
+		const topic = `${this.options.discoveryPrefix}/sensor/${deviceId}/${objectId}/config`;
+		const name = message.getName() || `0x${message.messageNumber.toString(16).padStart(4, "0")}`;
+		const unit = message.getUnit();
+		const numeric = typeof getValue(message) === "number";
+
+		// Labels can rename an entity later, the config is published again when its name changes
+		const existing = this.discovery.get(topic);
+		if (existing && existing.name === name && existing.device.name === deviceName) {
+			return;
+		}
+
+		const config = {
+			name,
+			unique_id: `${deviceId}_${objectId}`,
+			state_topic: stateTopic,
+			value_template: "{{ value_json.value }}",
+			availability_topic: this.availabilityTopic,
+			...(unit && numeric && { unit_of_measurement: unit }),
+			...(numeric && { state_class: DEVICE_CLASSES[unit] === "energy" ? "total_increasing" : "measurement" }),
+			...(DEVICE_CLASSES[unit] && numeric && { device_class: DEVICE_CLASSES[unit] }),
+			device: {
+				identifiers: [deviceId],
+				name: deviceName,
+				manufacturer: "Samsung",
+				model: owner.getClassName(),
+			},
+		};
+
+		this.discovery.set(topic, config);
+		if (this.isConnected) {
+			this.client.publish(topic, JSON.stringify(config), { retain: true });
+		}
+	}
+
+	getInfo() {
+		return {
+			url: this.options.url,
+			connected: this.isConnected,
+			topics: this.topics.size,
+			published: this.published,
+			dropped: this.dropped,
+		};
+	}
+
+	/**
+	 * Publish the offline status and disconnect
+	 */
+	async close() {
+		this.topics.forEach((state) => clearTimeout(state.timer));
+		if (!this.client) {
+			return;
+		}
+
+		if (this.isConnected) {
+			await new Promise((resolve) => this.client.publish(this.availabilityTopic, "offline", { retain: true, qos: 1 }, resolve));
+		}
+		await new Promise((resolve) => this.client.end(false, {}, resolve));
+		this.isConnected = false;
+	}
+}
+
+// Catalog name of the message (stable when labels change), or its number for unknown messages
+function getTopicName(message) {
+	const name = message.getCatalogName() || `0x${message.messageNumber.toString(16).padStart(4, "0")}`;
+	return name.replace(/[+#/\s]/g, "_");
+}
+
+// Scaled number, or the text for enums and structures
+function getValue(message) {
+	const scaled = message.getScaledValue();
+	const readable = message.getReadableValue();
+	if (typeof scaled !== "number" || isNaN(parseFloat(readable))) {
+		return readable;
+	}
+	return scaled;
+}
+
+function toObjectId(text) {
+	return text.toLowerCase().replace(/[^a-z0-9_-]/g, "_");
+}
+
+module.exports = MqttPublisher;
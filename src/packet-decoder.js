@@ -3,10 +3,23 @@
  * Handles decoding and parsing of NASA protocol packets
  */
 
+const { catalog, formatDefinedValue } = require("./message-catalog");
+const { decodeStructure } = require("./structure-decoders");
+const { labels } = require("./label-store");
+
 // ==================== Constants ====================
 
 const NASA_START_BYTE = 0x32;
 const NASA_END_BYTE = 0x34;
+const NASA_MIN_FRAME_SIZE = 16; // Total frame length in bytes, start and end byte included
+const NASA_MAX_FRAME_SIZE = 1500;
+const NON_NASA_FRAME_SIZE = 14; // Legacy protocol frames have a fixed length
+
+// Protocols recognized on the bus
+const Protocol = {
+	Nasa: "NASA",
+	NonNasa: "non-NASA",
+};
 
 // Address Classes
 const AddressClass = {
@@ -124,34 +137,20 @@ const MessageSetTypeName = {
 	3: "Structure",
 };
 
-// Message Numbers with names
-const MessageNumberNames = {
-	0x4000: "ENUM_in_operation_power",
-	0x4001: "ENUM_in_operation_mode",
-	0x4006: "ENUM_in_fan_mode",
-	0x4007: "ENUM_in_fan_mode_real",
-	0x4011: "ENUM_in_louver_hl_swing",
-	0x4038: "ENUM_in_state_humidity_percent",
-	0x4060: "ENUM_in_alt_mode",
-	0x4065: "ENUM_in_water_heater_power",
-	0x4066: "ENUM_in_water_heater_mode",
-	0x407e: "ENUM_in_louver_lr_swing",
-	0x4111: "ENUM_in_operation_automatic_cleaning",
-	0x4201: "VAR_in_temp_target_f",
-	0x4203: "VAR_in_temp_room_f",
-	0x4205: "VAR_in_temp_eva_in_f",
-	0x4206: "VAR_in_temp_eva_out_f",
-	0x4235: "VAR_in_temp_water_heater_target_f",
-	0x4237: "VAR_in_temp_water_tank_f",
-	0x4247: "VAR_in_temp_water_outlet_target_f",
-	0x8204: "VAR_out_sensor_airout",
-	0x8217: "VAR_OUT_SENSOR_CT1",
-	0x8235: "VAR_out_error_code",
-	0x8413: "LVAR_OUT_CONTROL_WATTMETER_1W_1MIN_SUM",
-	0x8414: "LVAR_OUT_CONTROL_WATTMETER_ALL_UNIT_ACCUM",
-	0x24fc: "LVAR_NM_OUT_SENSOR_VOLTAGE",
+// Decoder error categories, used for diagnostics counters
+const DecodeErrorCategory = {
+	SkippedBytes: "skipped_bytes",
+	InvalidStart: "invalid_start",
+	InvalidSize: "invalid_size",
+	SizeMismatch: "size_mismatch",
+	BadEndByte: "bad_end_byte",
+	CrcError: "crc_error",
+	MessageError: "message_error",
 };
 
+// Message Numbers with names, backed by the message catalog
+const MessageNumberNames = catalog.names;
+
 // ==================== Utility Functions ====================
 
 function crc16(data, startIndex, length) {
@@ -177,9 +176,62 @@ function bufferToHex(buffer, spacer = " ") {
 	return Array.from(buffer).map(byteToHex).join(spacer);
 }
 
+/**
+ * Current capture time from the monotonic high-resolution clock
+ * @returns {number} Milliseconds since the Unix epoch (UTC), with sub-millisecond fraction
+ */
+function captureTime() {
+	return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Format a capture time as a UTC timestamp string with microseconds
+ * @param {number} time - Milliseconds since the Unix epoch
+ * @returns {string} "YYYY-MM-DD HH:MM:SS.ffffff" (UTC)
+ */
+function formatTimestamp(time) {
+	const micros = Math.round(time * 1000);
+	const fraction = (micros % 1000).toString().padStart(3, "0");
+	return new Date(Math.floor(micros / 1000)).toISOString().replace("T", " ").substring(0, 23) + fraction;
+}
+
+/**
+ * Parse a UTC timestamp string written by formatTimestamp() (or the older millisecond format)
+ * @param {string} timestamp - "YYYY-MM-DD HH:MM:SS.fff[fff]"
+ * @returns {number} Milliseconds since the Unix epoch, NaN if not a timestamp
+ */
+function parseTimestamp(timestamp) {
+	const match = /^(.+?)(?:\.(\d{1,6}))?$/.exec(timestamp || "");
+	if (!match) {
+		return NaN;
+	}
+	const fraction = (match[2] || "").padEnd(6, "0");
+	return Date.parse(`${match[1].replace(" ", "T")}Z`) + Number(fraction) / 1000;
+}
+
 function getCurrentTimestamp() {
-	const now = new Date();
-	return now.toISOString().replace("T", " ").substring(0, 23);
+	return formatTimestamp(captureTime());
+}
+
+/**
+ * Resolve a numeric field given as a number or as a name from an enum table
+ * @param {number|string|undefined} value - Value or name (e.g. "Read")
+ * @param {Object} names - Name -> number table
+ * @param {number} defaultValue - Value used when undefined
+ * @param {string} label - Field label for error messages
+ * @param {number} max - Largest allowed value
+ * @returns {number}
+ */
+function parseEnumValue(value, names, defaultValue, label, max) {
+	if (value === undefined || value === null) {
+		return defaultValue;
+	}
+
+	const number = typeof value === "string" && names[value] !== undefined ? names[value] : Number(value);
+	if (!Number.isInteger(number) || number < 0 || number > max) {
+		throw new Error(`Invalid ${label}: ${value}`);
+	}
+	return number;
 }
 
 // ==================== Address Class ====================
@@ -206,9 +258,42 @@ class Address {
 		return `${byteToHex(this.klass)}.${byteToHex(this.channel)}.${byteToHex(this.address)}`;
 	}
 
+	getClassName() {
+		return AddressClassName[this.klass] || "Unknown";
+	}
+
+	/**
+	 * Readable name, the user label (see label-store.js) replaces the class name
+	 * @returns {string} e.g. "Indoor(20.00.02)" or "bedroom(20.00.02)"
+	 */
 	toReadableString() {
-		const className = AddressClassName[this.klass] || "Unknown";
-		return `${className}(${this.toString()})`;
+		return `${labels.getDeviceLabel(this.toString()) || this.getClassName()}(${this.toString()})`;
+	}
+
+	/**
+	 * Create an address from "20.00.01" notation, an { klass, channel, address } object or an Address
+	 * @param {string|Object|Address} value - Address description
+	 * @returns {Address}
+	 */
+	static from(value) {
+		if (value instanceof Address) {
+			return new Address(value.klass, value.channel, value.address);
+		}
+
+		let parts;
+		if (typeof value === "string") {
+			parts = value.split(".").map((part) => parseInt(part, 16));
+		} else if (value && typeof value === "object") {
+			parts = [value.klass, value.channel, value.address];
+		} else {
+			parts = [];
+		}
+
+		if (parts.length !== 3 || parts.some((part) => !Number.isInteger(part) || part < 0 || part > 0xff)) {
+			throw new Error(`Invalid address: ${JSON.stringify(value)}`);
+		}
+
+		return new Address(parts[0], parts[1], parts[2]);
 	}
 }
 
@@ -222,6 +307,7 @@ class Command {
 		this.packetType = PacketType.StandBy;
 		this.dataType = DataType.Undefined;
 		this.packetNumber = 0;
+		this.reserved = 0; // Unused low bits of the first byte, kept for byte-exact re-encoding
 		this.size = 3;
 	}
 
@@ -229,13 +315,14 @@ class Command {
 		this.packetInformation = (data[index] & 0x80) >> 7 === 1;
 		this.protocolVersion = (data[index] & 0x60) >> 5;
 		this.retryCount = (data[index] & 0x18) >> 3;
+		this.reserved = data[index] & 0x07;
 		this.packetType = (data[index + 1] & 0xf0) >> 4;
 		this.dataType = data[index + 1] & 0x0f;
 		this.packetNumber = data[index + 2];
 	}
 
 	encode() {
-		const byte1 = ((this.packetInformation ? 1 : 0) << 7) + (this.protocolVersion << 5) + (this.retryCount << 3);
+		const byte1 = ((this.packetInformation ? 1 : 0) << 7) + (this.protocolVersion << 5) + (this.retryCount << 3) + this.reserved;
 		const byte2 = (this.packetType << 4) + this.dataType;
 		return [byte1, byte2, this.packetNumber];
 	}
@@ -248,7 +335,9 @@ class MessageSet {
 		this.messageNumber = messageNumber;
 		this.type = (messageNumber & 0x0600) >> 9;
 		this.value = 0;
-		this.structure = null;
+		this.structure = null; // Raw structure payload (Buffer), Structure type only
+		this.fields = null; // Decoded structure fields [{ name, value, readableValue }]
+		this.structureError = null;
 		this.size = 2;
 	}
 
@@ -258,63 +347,144 @@ class MessageSet {
 
 		switch (set.type) {
 			case MessageSetType.Enum:
-				set.value = data[index + 2];
+				set.value = catalog.applySignedness(messageNumber, data[index + 2], 1);
 				set.size = 3;
 				break;
 
 			case MessageSetType.Variable:
-				set.value = (data[index + 2] << 8) | data[index + 3];
+				set.value = catalog.applySignedness(messageNumber, (data[index + 2] << 8) | data[index + 3], 2);
 				set.size = 4;
 				break;
 
 			case MessageSetType.LongVariable:
-				set.value = (data[index + 2] << 24) | (data[index + 3] << 16) | (data[index + 4] << 8) | data[index + 5];
+				set.value = catalog.applySignedness(
+					messageNumber,
+					((data[index + 2] << 24) | (data[index + 3] << 16) | (data[index + 4] << 8) | data[index + 5]) >>> 0,
+					4,
+				);
 				set.size = 6;
 				break;
 
-			case MessageSetType.Structure:
+			case MessageSetType.Structure: {
+				// A structure has no length of its own, it fills the message area up to the CRC
 				set.size = data.length - index - 3;
+				set.value = null;
+				set.structure = Buffer.from(data.slice(index + 2, index + set.size));
+
+				const definition = catalog.get(messageNumber);
+				try {
+					set.fields = decodeStructure(set.structure, definition && definition.structure);
+				} catch (error) {
+					set.structureError = error.message;
+				}
 				break;
+			}
 		}
 
 		return set;
 	}
 
-	getReadableValue() {
-		const msgName = MessageNumberNames[this.messageNumber];
+	/**
+	 * Create a message set with a value (raw, before scaling)
+	 * @param {number} messageNumber - Message number
+	 * @param {number|Buffer|number[]|string} value - Value, or structure payload (bytes or hex) for Structure messages
+	 * @returns {MessageSet}
+	 */
+	static create(messageNumber, value = 0) {
+		if (!Number.isInteger(messageNumber) || messageNumber < 0 || messageNumber > 0xffff) {
+			throw new Error(`Invalid message number: ${messageNumber}`);
+		}
+
+		const set = new MessageSet(messageNumber);
+		const valueSizes = { [MessageSetType.Enum]: 1, [MessageSetType.Variable]: 2, [MessageSetType.LongVariable]: 4 };
 
-		// Temperature values
-		if (msgName && msgName.includes("temp")) {
-			return `${(this.value / 10.0).toFixed(1)}°C`;
+		if (set.type === MessageSetType.Structure) {
+			set.value = null;
+			set.structure = typeof value === "string" ? Buffer.from(value.replace(/\s/g, ""), "hex") : Buffer.from(value || []);
+			set.size = 2 + set.structure.length;
+			return set;
 		}
 
-		// Power status
-		if (msgName && msgName.includes("power")) {
-			return this.value ? "ON" : "OFF";
+		const bits = valueSizes[set.type] * 8;
+		if (!Number.isInteger(value) || value < -(2 ** (bits - 1)) || value >= 2 ** bits) {
+			throw new Error(`Invalid value ${value} for ${MessageSetTypeName[set.type]} message 0x${messageNumber.toString(16).padStart(4, "0")}`);
 		}
 
-		// Operation mode
-		if (this.messageNumber === 0x4001) {
-			const modes = ["Auto", "Cool", "Dry", "Fan", "Heat"];
-			return modes[this.value] || `Unknown(${this.value})`;
+		set.value = value;
+		set.size = 2 + valueSizes[set.type];
+		return set;
+	}
+
+	encode() {
+		const bytes = [(this.messageNumber >> 8) & 0xff, this.messageNumber & 0xff];
+
+		switch (this.type) {
+			case MessageSetType.Enum:
+				bytes.push(this.value & 0xff);
+				break;
+
+			case MessageSetType.Variable:
+				bytes.push((this.value >> 8) & 0xff, this.value & 0xff);
+				break;
+
+			case MessageSetType.LongVariable:
+				bytes.push((this.value >>> 24) & 0xff, (this.value >>> 16) & 0xff, (this.value >>> 8) & 0xff, this.value & 0xff);
+				break;
+
+			case MessageSetType.Structure:
+				bytes.push(...this.structure);
+				break;
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Name of the message, a user label (see label-store.js) takes precedence over the catalog name
+	 * @returns {string|null}
+	 */
+	getName() {
+		return labels.getMessageLabel(this.messageNumber) || catalog.getName(this.messageNumber);
+	}
+
+	getCatalogName() {
+		return catalog.getName(this.messageNumber);
+	}
+
+	getUnit() {
+		return catalog.getUnit(this.messageNumber);
+	}
+
+	getScaledValue() {
+		if (this.type === MessageSetType.Structure) {
+			return null;
 		}
+		return catalog.getScaledValue(this.messageNumber, this.value);
+	}
 
-		// Fan mode
-		if (this.messageNumber === 0x4006 || this.messageNumber === 0x4007) {
-			const fans = ["Auto", "Low", "Mid", "High", "Turbo"];
-			return fans[this.value] || `Unknown(${this.value})`;
+	getReadableValue() {
+		if (this.type === MessageSetType.Structure) {
+			if (this.fields && this.fields.length > 0) {
+				return this.fields.map((field) => `${field.name}=${field.readableValue}`).join(", ");
+			}
+			return `[${bufferToHex(this.structure, " ")}]`;
 		}
+		return catalog.formatValue(this.messageNumber, this.value);
+	}
 
-		// Default
+	getRawValueString() {
+		if (this.type === MessageSetType.Structure) {
+			return `${this.structure.length} bytes`;
+		}
 		return this.value.toString();
 	}
 
 	toString() {
 		const typeName = MessageSetTypeName[this.type];
-		const msgName = MessageNumberNames[this.messageNumber] || "UNKNOWN";
+		const msgName = this.getName() || "UNKNOWN";
 		const readableValue = this.getReadableValue();
 
-		return `${typeName} [0x${this.messageNumber.toString(16).padStart(4, "0")}] ${msgName} = ${readableValue} (raw: ${this.value})`;
+		return `${typeName} [0x${this.messageNumber.toString(16).padStart(4, "0")}] ${msgName} = ${readableValue} (raw: ${this.getRawValueString()})`;
 	}
 }
 
@@ -322,39 +492,106 @@ class MessageSet {
 
 class Packet {
 	constructor() {
+		this.protocol = Protocol.Nasa;
 		this.sa = new Address();
 		this.da = new Address();
 		this.command = new Command();
 		this.messages = [];
 		this.rawData = null;
-		this.timestamp = null;
+		this.time = null; // Arrival time of the first byte, epoch ms (UTC)
+		this.timestamp = null; // Same time as a UTC string
+		this.padding = null; // Bytes between the last message and the CRC, kept for re-encoding
 	}
 
-	decode(data) {
+	/**
+	 * Build a packet from a plain description
+	 * @param {Object} spec - { sa, da, command: { dataType, packetType, packetNumber, ... }, messages: [{ messageNumber, value }] }
+	 * @returns {Packet}
+	 */
+	static fromObject(spec) {
+		const packet = new Packet();
+		packet.sa = Address.from(spec.sa);
+		packet.da = Address.from(spec.da);
+
+		const command = spec.command || {};
+		packet.command.packetType = parseEnumValue(command.packetType, PacketType, PacketType.Normal, "packet type", 0x0f);
+		packet.command.dataType = parseEnumValue(command.dataType, DataType, DataType.Undefined, "data type", 0x0f);
+		packet.command.packetNumber = parseEnumValue(command.packetNumber, {}, 0, "packet number", 0xff);
+		packet.command.retryCount = parseEnumValue(command.retryCount, {}, 0, "retry count", 0x03);
+		packet.command.protocolVersion = parseEnumValue(command.protocolVersion, {}, 2, "protocol version", 0x03);
+		if (command.packetInformation !== undefined) {
+			packet.command.packetInformation = Boolean(command.packetInformation);
+		}
+
+		packet.messages = (spec.messages || []).map((message) => {
+			if (message instanceof MessageSet) {
+				return message;
+			}
+			const messageNumber = typeof message.messageNumber === "string" ? Number(message.messageNumber) : message.messageNumber;
+			return MessageSet.create(messageNumber, message.structure !== undefined ? message.structure : message.value);
+		});
+
+		return packet;
+	}
+
+	/**
+	 * Encode the packet into a complete NASA frame (start byte, length, body, CRC, end byte)
+	 * @returns {Buffer} Frame bytes
+	 */
+	encode() {
+		if (this.messages.length > 0xff) {
+			throw new Error("Too many messages in packet");
+		}
+		if (this.messages.some((message) => message.type === MessageSetType.Structure) && this.messages.length !== 1) {
+			throw new Error("Structure message must be the only message in a packet");
+		}
+
+		const body = [...this.sa.encode(), ...this.da.encode(), ...this.command.encode(), this.messages.length];
+		this.messages.forEach((message) => body.push(...message.encode()));
+		if (this.padding) {
+			body.push(...this.padding);
+		}
+
+		// Size covers everything after the start byte except the end byte
+		const size = body.length + 4;
+		if (size + 2 > NASA_MAX_FRAME_SIZE) {
+			throw new Error(`Packet too large: ${size + 2} bytes`);
+		}
+
+		const crc = crc16(body, 0, body.length);
+		return Buffer.from([NASA_START_BYTE, size >> 8, size & 0xff, ...body, crc >> 8, crc & 0xff, NASA_END_BYTE]);
+	}
+
+	/**
+	 * Decode a complete frame
+	 * @param {Buffer} data - Frame
+	 * @param {number} time - Arrival time of the first byte (epoch ms), defaults to now
+	 */
+	decode(data, time = captureTime()) {
 		this.rawData = Buffer.from(data);
-		this.timestamp = getCurrentTimestamp();
+		this.setTime(time);
 
 		if (data[0] !== NASA_START_BYTE) {
-			return { success: false, error: "Invalid start byte" };
+			return { success: false, category: DecodeErrorCategory.InvalidStart, error: "Invalid start byte" };
 		}
 
-		if (data.length < 16 || data.length > 1500) {
-			return { success: false, error: "Unexpected size" };
+		if (data.length < NASA_MIN_FRAME_SIZE || data.length > NASA_MAX_FRAME_SIZE) {
+			return { success: false, category: DecodeErrorCategory.InvalidSize, error: "Unexpected size" };
 		}
 
 		const size = (data[1] << 8) | data[2];
 		if (size + 2 !== data.length) {
-			return { success: false, error: "Size mismatch" };
+			return { success: false, category: DecodeErrorCategory.SizeMismatch, error: "Size mismatch" };
 		}
 
 		if (data[data.length - 1] !== NASA_END_BYTE) {
-			return { success: false, error: "Invalid end byte" };
+			return { success: false, category: DecodeErrorCategory.BadEndByte, error: "Invalid end byte" };
 		}
 
 		const crcActual = crc16(data, 3, size - 4);
 		const crcExpected = (data[data.length - 3] << 8) | data[data.length - 2];
 		if (crcExpected !== crcActual) {
-			return { success: false, error: `CRC error: expected ${crcExpected}, got ${crcActual}` };
+			return { success: false, category: DecodeErrorCategory.CrcError, error: `CRC error: expected ${crcExpected}, got ${crcActual}` };
 		}
 
 		let cursor = 3;
@@ -373,14 +610,36 @@ class Packet {
 
 		this.messages = [];
 		for (let i = 0; i < capacity; i++) {
+			if (cursor + 2 > data.length - 3) {
+				return { success: false, category: DecodeErrorCategory.MessageError, error: "Message overflow" };
+			}
+
 			const message = MessageSet.decode(data, cursor, capacity);
+			if (message.type === MessageSetType.Structure && capacity !== 1) {
+				return { success: false, category: DecodeErrorCategory.MessageError, error: "Structure message must be the only message in a packet" };
+			}
+
 			this.messages.push(message);
 			cursor += message.size;
 		}
 
+		if (cursor > data.length - 3) {
+			return { success: false, category: DecodeErrorCategory.MessageError, error: "Message overflow" };
+		}
+		this.padding = cursor < data.length - 3 ? Buffer.from(data.slice(cursor, data.length - 3)) : null;
+
 		return { success: true };
 	}
 
+	/**
+	 * Set the capture time of the packet
+	 * @param {number} time - Arrival time of the first byte (epoch ms)
+	 */
+	setTime(time) {
+		this.time = time;
+		this.timestamp = formatTimestamp(time);
+	}
+
 	getSignature() {
 		// Create a unique signature for grouping similar packets
 		const msgSignature = this.messages.map((m) => m.messageNumber.toString(16).padStart(4, "0")).join(",");
@@ -406,7 +665,15 @@ class Packet {
 		output.push(`│ Messages (${this.messages.length}):`);
 
 		for (let i = 0; i < this.messages.length; i++) {
-			output.push(`│   ${i + 1}. ${this.messages[i].toString()}`);
+			const message = this.messages[i];
+			output.push(`│   ${i + 1}. ${message.toString()}`);
+
+			// Structures are listed field by field
+			if (message.fields) {
+				message.fields.forEach((field) => {
+					output.push(`│        ${field.name} = ${field.readableValue}`);
+				});
+			}
 		}
 
 		if (includeRaw) {
@@ -429,7 +696,7 @@ class Packet {
 		// Compact multi-line format with all packet information
 		const msgDetails = this.messages
 			.map((m) => {
-				const name = MessageNumberNames[m.messageNumber] || `0x${m.messageNumber.toString(16)}`;
+				const name = m.getName() || `0x${m.messageNumber.toString(16)}`;
 				const value = m.getReadableValue();
 				return `${name}=${value}`;
 			})
@@ -453,60 +720,454 @@ class Packet {
 	}
 }
 
+// ==================== Non-NASA Protocol ====================
+// Legacy fixed-length protocol of older units on the F1/F2 bus:
+// 0x32, source, destination, command, 8 data bytes, XOR checksum over bytes 1..11, 0x34
+
+// Non-NASA command names
+const NonNasaCommandName = {
+	0x20: "IndoorStatus",
+	0xc6: "ControlStatus",
+};
+
+const NON_NASA_TEMPERATURE = { add: -55, unit: "°C" };
+
+// Decoded fields per command: frame byte index, optional mask/shift, offset added to the value, unit and enum labels
+const NonNasaFields = {
+	0x20: [
+		{ name: "target_temp", index: 4, ...NON_NASA_TEMPERATURE },
+		{ name: "room_temp", index: 5, ...NON_NASA_TEMPERATURE },
+		{ name: "pipe_in_temp", index: 6, ...NON_NASA_TEMPERATURE },
+		{ name: "fan_speed", index: 7, mask: 0x07, enum: { 0: "Auto", 2: "Low", 4: "Mid", 5: "High" } },
+		{ name: "wind_direction", index: 7, shift: 3 },
+		{ name: "mode", index: 8, mask: 0x3f, enum: { 1: "Heat", 2: "Cool", 4: "Dry", 8: "Fan", 0x21: "AutoHeat", 0x22: "Auto" } },
+		{ name: "power", index: 8, shift: 7, enum: { 0: "OFF", 1: "ON" } },
+		{ name: "pipe_out_temp", index: 11, ...NON_NASA_TEMPERATURE },
+	],
+	0xc6: [{ name: "control_status", index: 4 }],
+};
+
+class NonNasaAddress {
+	constructor(value = 0) {
+		this.value = value;
+		this.size = 1;
+	}
+
+	toString() {
+		return byteToHex(this.value);
+	}
+
+	getClassName() {
+		if (this.value <= 0x0f) {
+			return "Indoor";
+		}
+		return this.value === 0xc8 ? "Outdoor" : "Unknown";
+	}
+
+	toReadableString() {
+		return `${labels.getDeviceLabel(this.toString()) || this.getClassName()}(${this.toString()})`;
+	}
+}
+
+/**
+ * A decoded non-NASA value, with the same read interface as MessageSet
+ * The message number is synthetic: command << 8 | field position
+ */
+class NonNasaField {
+	constructor(command, position, definition, value, data = null) {
+		this.messageNumber = (command << 8) | position;
+		this.definition = definition;
+		this.type = data ? MessageSetType.Structure : MessageSetType.Enum;
+		this.value = value;
+		this.structure = data; // Undecoded data bytes of unknown commands
+		this.fields = null;
+		this.structureError = null;
+		this.size = 1;
+	}
+
+	getName() {
+		return this.definition.name;
+	}
+
+	getCatalogName() {
+		return this.definition.name;
+	}
+
+	getUnit() {
+		return this.definition.unit || null;
+	}
+
+	getScaledValue() {
+		return this.structure ? null : this.value;
+	}
+
+	getReadableValue() {
+		if (this.structure) {
+			return `[${bufferToHex(this.structure, " ")}]`;
+		}
+		return formatDefinedValue(this.definition, this.value);
+	}
+
+	getRawValueString() {
+		return this.structure ? `${this.structure.length} bytes` : this.value.toString();
+	}
+
+	toString() {
+		return `non-NASA [0x${this.messageNumber.toString(16).padStart(4, "0")}] ${this.getName()} = ${this.getReadableValue()} (raw: ${this.getRawValueString()})`;
+	}
+}
+
+class NonNasaPacket {
+	constructor() {
+		this.protocol = Protocol.NonNasa;
+		this.sa = new NonNasaAddress();
+		this.da = new NonNasaAddress();
+		// Non-NASA frames have no packet type or number, they are handled like NASA notifications
+		this.command = {
+			code: 0,
+			packetType: PacketType.Normal,
+			dataType: DataType.Notification,
+			packetNumber: 0,
+			protocolVersion: 0,
+			retryCount: 0,
+		};
+		this.data = null;
+		this.messages = [];
+		this.rawData = null;
+		this.time = null;
+		this.timestamp = null;
+		this.padding = null;
+	}
+
+	/**
+	 * XOR checksum over bytes 1..11
+	 * @param {Buffer} data - Frame
+	 * @returns {number}
+	 */
+	static checksum(data, offset = 0) {
+		let checksum = 0;
+		for (let i = offset + 1; i <= offset + 11; i++) {
+			checksum ^= data[i];
+		}
+		return checksum;
+	}
+
+	/**
+	 * Build a frame from a plain description
+	 * @param {Object} spec - { sa, da, command, data: number[8] } - addresses and command as numbers
+	 * @returns {Buffer}
+	 */
+	static encode(spec) {
+		const data = Buffer.alloc(8);
+		Buffer.from(spec.data || []).copy(data, 0, 0, 8);
+
+		const frame = Buffer.from([NASA_START_BYTE, spec.sa, spec.da, spec.command, ...data, 0, NASA_END_BYTE]);
+		frame[12] = NonNasaPacket.checksum(frame);
+		return frame;
+	}
+
+	/**
+	 * Decode a complete frame
+	 * @param {Buffer} data - Frame
+	 * @param {number} time - Arrival time of the first byte (epoch ms), defaults to now
+	 */
+	decode(data, time = captureTime()) {
+		this.rawData = Buffer.from(data);
+		this.setTime(time);
+
+		if (data[0] !== NASA_START_BYTE) {
+			return { success: false, category: DecodeErrorCategory.InvalidStart, error: "Invalid start byte" };
+		}
+
+		if (data.length !== NON_NASA_FRAME_SIZE) {
+			return { success: false, category: DecodeErrorCategory.InvalidSize, error: "Unexpected size" };
+		}
+
+		if (data[NON_NASA_FRAME_SIZE - 1] !== NASA_END_BYTE) {
+			return { success: false, category: DecodeErrorCategory.BadEndByte, error: "Invalid end byte" };
+		}
+
+		const checksumActual = NonNasaPacket.checksum(data);
+		if (checksumActual !== data[12]) {
+			return { success: false, category: DecodeErrorCategory.CrcError, error: `Checksum error: expected ${data[12]}, got ${checksumActual}` };
+		}
+
+		this.sa = new NonNasaAddress(data[1]);
+		this.da = new NonNasaAddress(data[2]);
+		this.command.code = data[3];
+		this.data = Buffer.from(data.slice(4, 12));
+
+		const definitions = NonNasaFields[this.command.code];
+		if (definitions) {
+			this.messages = definitions.map((definition, position) => {
+				let value = data[definition.index];
+				if (definition.mask !== undefined) {
+					value &= definition.mask;
+				}
+				if (definition.shift !== undefined) {
+					value >>= definition.shift;
+				}
+				if (definition.add !== undefined) {
+					value += definition.add;
+				}
+				return new NonNasaField(this.command.code, position, definition, value);
+			});
+		} else {
+			this.messages = [new NonNasaField(this.command.code, 0, { name: "data" }, null, this.data)];
+		}
+
+		return { success: true };
+	}
+
+	getCommandName() {
+		return NonNasaCommandName[this.command.code] || `0x${byteToHex(this.command.code)}`;
+	}
+
+	/**
+	 * Set the capture time of the packet
+	 * @param {number} time - Arrival time of the first byte (epoch ms)
+	 */
+	setTime(time) {
+		this.time = time;
+		this.timestamp = formatTimestamp(time);
+	}
+
+	getSignature() {
+		return `${this.sa.toString()}->${this.da.toString()}:${Protocol.NonNasa}:${this.getCommandName()}`;
+	}
+}
+
+/**
+ * Create an empty packet for a protocol
+ * @param {string} protocol - Protocol value
+ * @returns {Packet|NonNasaPacket}
+ */
+function createPacket(protocol = Protocol.Nasa) {
+	return protocol === Protocol.NonNasa ? new NonNasaPacket() : new Packet();
+}
+
 // ==================== Packet Analyzer ====================
 
+/**
+ * Create a structured decoder error record
+ * @param {string} category - DecodeErrorCategory value
+ * @param {string} message - Human readable description
+ * @param {Buffer} bytes - Offending bytes
+ * @param {number} time - Arrival time of the first offending byte (epoch ms), defaults to now
+ * @returns {Object} - { category, message, time, timestamp, bytes }
+ */
+function createDecodeError(category, message, bytes, time = captureTime()) {
+	return { category, message, time, timestamp: formatTimestamp(time), bytes: Buffer.from(bytes) };
+}
+
 class PacketAnalyzer {
 	/**
-	 * Analyzes packet buffer and extracts complete packets
+	 * Check whether a complete, valid NASA frame starts at an offset (start byte already found)
 	 * @param {Buffer} buffer - Input buffer
-	 * @returns {Object} - { packets: Packet[], remainingBuffer: Buffer, errors: String[] }
+	 * @param {number} offset - Offset of the start byte
+	 * @returns {Object} - { incomplete: true } while more data is needed, otherwise { valid, length, category, error }
 	 */
-	static analyzeBuffer(buffer) {
+	static checkNasaFrame(buffer, offset = 0) {
+		if (buffer.length - offset < 3) {
+			return { incomplete: true };
+		}
+
+		// Check the size field against the protocol limits before waiting for that many bytes
+		const length = ((buffer[offset + 1] << 8) | buffer[offset + 2]) + 2;
+		if (length < NASA_MIN_FRAME_SIZE || length > NASA_MAX_FRAME_SIZE) {
+			return { valid: false, length: 3, category: DecodeErrorCategory.InvalidSize, error: `Invalid frame size ${length}` };
+		}
+
+		if (buffer.length - offset < length) {
+			return { incomplete: true };
+		}
+
+		if (buffer[offset + length - 1] !== NASA_END_BYTE) {
+			return { valid: false, length, category: DecodeErrorCategory.BadEndByte, error: "Invalid end byte" };
+		}
+
+		const crcActual = crc16(buffer, offset + 3, length - 6);
+		const crcExpected = (buffer[offset + length - 3] << 8) | buffer[offset + length - 2];
+		if (crcExpected !== crcActual) {
+			return { valid: false, length, category: DecodeErrorCategory.CrcError, error: `CRC error: expected ${crcExpected}, got ${crcActual}` };
+		}
+
+		return { valid: true, length };
+	}
+
+	/**
+	 * Check whether a complete, valid non-NASA frame starts at an offset
+	 * @param {Buffer} buffer - Input buffer
+	 * @param {number} offset - Offset of the start byte
+	 * @returns {Object} - Same as checkNasaFrame()
+	 */
+	static checkNonNasaFrame(buffer, offset = 0) {
+		if (buffer.length - offset < NON_NASA_FRAME_SIZE) {
+			return { incomplete: true };
+		}
+
+		const length = NON_NASA_FRAME_SIZE;
+		if (buffer[offset + length - 1] !== NASA_END_BYTE) {
+			return { valid: false, length, category: DecodeErrorCategory.BadEndByte, error: "Invalid end byte" };
+		}
+
+		const checksumActual = NonNasaPacket.checksum(buffer, offset);
+		if (checksumActual !== buffer[offset + 12]) {
+			return {
+				valid: false,
+				length,
+				category: DecodeErrorCategory.CrcError,
+				error: `Checksum error: expected ${buffer[offset + 12]}, got ${checksumActual}`,
+			};
+		}
+
+		return { valid: true, length };
+	}
+
+	/**
+	 * Check whether a complete, valid frame of either protocol starts at an offset
+	 * @param {Buffer} buffer - Input buffer
+	 * @param {number} offset - Offset of the start byte
+	 * @param {string} protocol - Protocol detected on the wire so far; an incomplete frame of it is waited for
+	 * @returns {Object} - { incomplete: true }, or { valid, length, protocol, category, error }
+	 */
+	static checkFrame(buffer, offset = 0, protocol = null) {
+		const nasa = PacketAnalyzer.checkNasaFrame(buffer, offset);
+		if (nasa.valid) {
+			return { ...nasa, protocol: Protocol.Nasa };
+		}
+
+		// The non-NASA size is fixed, so its first bytes may look like a NASA size field of an incomplete frame
+		const nonNasa = PacketAnalyzer.checkNonNasaFrame(buffer, offset);
+		if (nonNasa.valid && !(nasa.incomplete && protocol === Protocol.Nasa)) {
+			return { ...nonNasa, protocol: Protocol.NonNasa };
+		}
+
+		if (nasa.incomplete || nonNasa.incomplete) {
+			return { incomplete: true };
+		}
+
+		// A frame that looks like non-NASA (no valid NASA size, end byte at the fixed position) gets the checksum error
+		const nonNasaError = nasa.category === DecodeErrorCategory.InvalidSize && nonNasa.category === DecodeErrorCategory.CrcError;
+		return nonNasaError ? { ...nonNasa, protocol: Protocol.NonNasa } : { ...nasa, protocol: Protocol.Nasa };
+	}
+
+	/**
+	 * Find the first start byte at or after an offset that begins a complete, valid frame
+	 * @param {Buffer} buffer - Input buffer
+	 * @param {number} from - Offset to start searching at
+	 * @returns {number} Offset of the frame, or -1
+	 */
+	static findValidFrame(buffer, from) {
+		let candidate = buffer.indexOf(NASA_START_BYTE, from);
+
+		while (candidate !== -1) {
+			if (PacketAnalyzer.checkFrame(buffer, candidate).valid) {
+				return candidate;
+			}
+			candidate = buffer.indexOf(NASA_START_BYTE, candidate + 1);
+		}
+
+		return -1;
+	}
+
+	/**
+	 * Analyzes packet buffer and extracts complete packets of both protocols
+	 * Invalid frames are reported and decoding resyncs on the next start byte
+	 * @param {Buffer} buffer - Input buffer
+	 * @param {Object} options - { protocol, getArrivalTime }
+	 *                            protocol: protocol detected on the wire so far (returned by the previous call)
+	 *                            getArrivalTime: (offset) => epoch ms at which the byte at that buffer offset arrived,
+	 *                            packets and errors are stamped with the arrival time of their first byte (default: now)
+	 * @returns {Object} - { packets: (Packet|NonNasaPacket)[], remainingBuffer: Buffer, errors: Object[], protocol: string }
+	 *                     errors: see createDecodeError()
+	 */
+	static analyzeBuffer(buffer, options = {}) {
 		const packets = [];
 		const errors = [];
 		let workingBuffer = buffer;
+		let protocol = options.protocol || null;
+		const now = captureTime();
+		const arrivalTime = () => (options.getArrivalTime ? options.getArrivalTime(buffer.length - workingBuffer.length) : now);
 
 		while (workingBuffer.length > 0) {
 			if (workingBuffer[0] !== NASA_START_BYTE) {
 				// Invalid start byte, skip to next potential start
 				const nextStart = workingBuffer.indexOf(NASA_START_BYTE, 1);
+				const skipped = nextStart === -1 ? workingBuffer.length : nextStart;
+				errors.push(
+					createDecodeError(
+						DecodeErrorCategory.SkippedBytes,
+						`Skipped ${skipped} bytes looking for start byte`,
+						workingBuffer.slice(0, skipped),
+						arrivalTime(),
+					),
+				);
 				if (nextStart === -1) {
 					workingBuffer = Buffer.alloc(0);
 					break;
 				} else {
-					errors.push(`Skipped ${nextStart} bytes looking for start byte`);
 					workingBuffer = workingBuffer.slice(nextStart);
 					continue;
 				}
 			}
 
-			if (workingBuffer.length >= 3) {
-				const expectedSize = (workingBuffer[1] << 8) | workingBuffer[2];
-				const totalSize = expectedSize + 2;
-
-				if (workingBuffer.length >= totalSize) {
-					const packetData = workingBuffer.slice(0, totalSize);
-					workingBuffer = workingBuffer.slice(totalSize);
+			let frame = PacketAnalyzer.checkFrame(workingBuffer, 0, protocol);
 
-					const packet = new Packet();
-					const result = packet.decode(packetData);
-
-					if (result.success) {
-						packets.push(packet);
-					} else {
-						errors.push(`Decode error: ${result.error}`);
-					}
-				} else {
+			if (frame.incomplete) {
+				// A noisy start byte must not hide complete frames that already arrived behind it
+				const nextFrame = PacketAnalyzer.findValidFrame(workingBuffer, 1);
+				if (nextFrame === -1) {
 					// Wait for more data
 					break;
 				}
+
+				// With a valid frame right behind it, the fixed-length non-NASA reading beats an incomplete NASA frame
+				const nonNasa = PacketAnalyzer.checkNonNasaFrame(workingBuffer, 0);
+				if (nonNasa.valid && nextFrame >= nonNasa.length) {
+					frame = { ...nonNasa, protocol: Protocol.NonNasa };
+				} else {
+					errors.push(
+						nonNasa.category === DecodeErrorCategory.CrcError && nextFrame >= nonNasa.length
+							? createDecodeError(nonNasa.category, `Decode error: ${nonNasa.error}`, workingBuffer.slice(0, nextFrame), arrivalTime())
+							: createDecodeError(
+									DecodeErrorCategory.SkippedBytes,
+									`Skipped ${nextFrame} bytes of an incomplete frame`,
+									workingBuffer.slice(0, nextFrame),
+									arrivalTime(),
+								),
+					);
+					workingBuffer = workingBuffer.slice(nextFrame);
+					continue;
+				}
+			}
+
+			if (!frame.valid) {
+				// Resync on the next candidate start byte, which may lie inside the rejected frame. The error holds exactly
+				// the bytes dropped up to there, so bytes decoded again after the resync are not counted twice.
+				const nextStart = workingBuffer.indexOf(NASA_START_BYTE, 1);
+				const dropped = nextStart === -1 ? workingBuffer.length : nextStart;
+				errors.push(createDecodeError(frame.category, `Decode error: ${frame.error}`, workingBuffer.slice(0, dropped), arrivalTime()));
+				workingBuffer = workingBuffer.slice(dropped);
+				continue;
+			}
+
+			const packetData = workingBuffer.slice(0, frame.length);
+			const time = arrivalTime();
+			workingBuffer = workingBuffer.slice(frame.length);
+
+			const packet = createPacket(frame.protocol);
+			const result = packet.decode(packetData, time);
+
+			if (result.success) {
+				packets.push(packet);
+				protocol = frame.protocol;
 			} else {
-				// Wait for more data
-				break;
+				errors.push(createDecodeError(result.category, `Decode error: ${result.error}`, packetData, time));
 			}
 		}
 
-		return { packets, remainingBuffer: workingBuffer, errors };
+		return { packets, remainingBuffer: workingBuffer, errors, protocol };
 	}
 }
 
@@ -514,6 +1175,11 @@ class PacketAnalyzer {
 
 module.exports = {
 	Packet,
+	NonNasaPacket,
+	NonNasaAddress,
+	NonNasaCommandName,
+	Protocol,
+	createPacket,
 	PacketAnalyzer,
 	Address,
 	Command,
@@ -527,8 +1193,16 @@ module.exports = {
 	MessageNumberNames,
 	AddressClass,
 	AddressClassName,
+	catalog,
 	NASA_START_BYTE,
 	NASA_END_BYTE,
+	NASA_MIN_FRAME_SIZE,
+	NASA_MAX_FRAME_SIZE,
 	bufferToHex,
 	getCurrentTimestamp,
+	captureTime,
+	formatTimestamp,
+	parseTimestamp,
+	crc16,
+	DecodeErrorCategory,
 };
@@ -0,0 +1,207 @@
+/*
+ * Packet Injector Module
+ * Builds NASA frames from user input and sends them onto the bus (disabled unless explicitly allowed)
+ */
+
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const { Packet, DataTypeName, bufferToHex, captureTime } = require("./packet-decoder");
+const CorrelationEngine = require("./correlation-engine");
+
+const MAX_CONFIRMATIONS = 100; // Open previews kept, the oldest is dropped beyond that
+
+class PacketInjector extends EventEmitter {
+	constructor(interfaceInstance, options = {}) {
+		super();
+
+		this.interface = interfaceInstance;
+		this.options = {
+			enabled: options.enabled === true, // Default: false, sending must be opted in
+			source: options.source || "80.FF.00", // JIGTester address used by service tools
+			responseTimeout: options.responseTimeout || 2000,
+			confirmationTimeout: options.confirmationTimeout || 120000, // How long a previewed frame can be sent
+		};
+
+		this.nextPacketNumber = Math.floor(Math.random() * 256);
+		this.pending = [];
+		this.confirmations = new Map(); // token -> { spec, owner, expires } - previews that may be sent once
+	}
+
+	/**
+	 * Parse a message list like "0x4000=1, 0x4201=235, 0x4203"
+	 * Messages without a value (typical for Read) get value 0
+	 * @param {string} text - Comma or newline separated messages
+	 * @returns {Object[]} - [{ messageNumber, value }]
+	 */
+	static parseMessages(text) {
+		return text
+			.split(/[,\n]/)
+			.map((entry) => entry.trim())
+			.filter((entry) => entry.length > 0)
+			.map((entry) => {
+				const [number, value] = entry.split("=").map((part) => part.trim());
+				const messageNumber = Number(number);
+				if (!Number.isInteger(messageNumber)) {
+					throw new Error(`Invalid message number: ${number}`);
+				}
+				if (value === undefined || value === "") {
+					return { messageNumber, value: 0 };
+				}
+				// Structure payloads can be given as hex bytes
+				const parsedValue = /^[0-9a-f]{2}(\s+[0-9a-f]{2})+$/i.test(value) ? value : Number(value);
+				return { messageNumber, value: parsedValue };
+			});
+	}
+
+	/**
+	 * Build the frame for a packet description without sending it
+	 * @param {Object} spec - { sa, da, dataType, packetType, packetNumber, messages }
+	 * @returns {Object} - { packet: Packet, bytes: Buffer, hex: string }
+	 */
+	preview(spec) {
+		const messages = typeof spec.messages === "string" ? PacketInjector.parseMessages(spec.messages) : spec.messages || [];
+		if (messages.length === 0) {
+			throw new Error("At least one message is required");
+		}
+
+		const packet = Packet.fromObject({
+			sa: spec.sa || this.options.source,
+			da: spec.da,
+			command: {
+				packetType: spec.packetType || "Normal",
+				dataType: spec.dataType || "Read",
+				packetNumber: spec.packetNumber !== undefined ? spec.packetNumber : this.nextPacketNumber,
+			},
+			messages,
+		});
+
+		const bytes = packet.encode();
+		packet.decode(bytes);
+
+		return { packet, bytes, hex: bufferToHex(bytes, " ") };
+	}
+
+	/**
+	 * Build the frame for a preview shown to the user and issue a one-time token for sending exactly that frame
+	 * @param {Object} spec - Packet description, see preview()
+	 * @param {*} owner - Who asked for the preview (e.g. the web client), only it can use the token
+	 * @returns {Object} - { packet, bytes, hex, token }
+	 */
+	prepare(spec, owner = null) {
+		const result = this.preview(spec);
+		const now = captureTime();
+
+		this.confirmations.forEach((confirmation, token) => {
+			if (confirmation.expires <= now) {
+				this.confirmations.delete(token);
+			}
+		});
+		if (this.confirmations.size >= MAX_CONFIRMATIONS) {
+			this.confirmations.delete(this.confirmations.keys().next().value);
+		}
+
+		const token = crypto.randomBytes(16).toString("hex");
+		this.confirmations.set(token, {
+			spec: { ...spec, packetNumber: result.packet.command.packetNumber },
+			numbered: spec.packetNumber === undefined,
+			owner,
+			expires: now + this.options.confirmationTimeout,
+		});
+		return { ...result, token };
+	}
+
+	/**
+	 * Send the frame of a preview, the token is used up
+	 * @param {string} token - Token returned by prepare()
+	 * @param {*} owner - Must be the owner the preview was prepared for
+	 * @returns {Promise<Object>} - { packet, bytes, hex } of the sent frame
+	 */
+	async sendPrepared(token, owner = null) {
+		const confirmation = this.confirmations.get(token);
+		if (!confirmation || confirmation.owner !== owner || confirmation.expires <= captureTime()) {
+			throw new Error("Unknown or expired preview, preview the packet again before sending");
+		}
+		this.confirmations.delete(token);
+
+		const result = await this.send(confirmation.spec, { confirmed: true });
+		if (confirmation.numbered) {
+			this.nextPacketNumber = (result.packet.command.packetNumber + 1) & 0xff;
+		}
+		return result;
+	}
+
+	/**
+	 * Send a packet onto the bus
+	 * Emits "response" (request, response) when the addressed device answers, or "timeout" (request)
+	 * @param {Object} spec - Packet description, see preview()
+	 * @param {Object} options - { confirmed: boolean } - the caller must have shown the bytes to the user
+	 * @returns {Promise<Object>} - { packet, bytes, hex } of the sent frame
+	 */
+	async send(spec, options = {}) {
+		if (!this.options.enabled) {
+			throw new Error("Packet injection is disabled. Set ALLOW_TRANSMIT=true to enable sending.");
+		}
+		if (options.confirmed !== true) {
+			throw new Error("Sending requires confirmation");
+		}
+		if (typeof this.interface.write !== "function") {
+			throw new Error("Interface does not support sending");
+		}
+
+		const result = this.preview(spec);
+		if (spec.packetNumber === undefined) {
+			this.nextPacketNumber = (this.nextPacketNumber + 1) & 0xff;
+		}
+
+		// Register before writing, a fast device may answer before the write callback fires
+		const entry = { request: result.packet, timer: null };
+		this.pending.push(entry);
+
+		try {
+			await this.interface.write(result.bytes);
+		} catch (error) {
+			this.pending = this.pending.filter((item) => item !== entry);
+			throw error;
+		}
+
+		// Already answered while the write was completing, there is nothing left to time out
+		if (this.pending.includes(entry)) {
+			entry.timer = setTimeout(() => {
+				this.pending = this.pending.filter((item) => item !== entry);
+				this.emit("timeout", result.packet);
+			}, this.options.responseTimeout);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Check a received packet against the frames waiting for an answer
+	 * @param {Packet} packet - Received packet
+	 */
+	handlePacket(packet) {
+		const entry = this.pending.find(({ request }) => CorrelationEngine.isResponseTo(request, packet));
+
+		if (entry) {
+			clearTimeout(entry.timer);
+			this.pending = this.pending.filter((item) => item !== entry);
+			this.emit("response", entry.request, packet);
+		}
+	}
+
+	getInfo() {
+		return {
+			enabled: this.options.enabled,
+			source: this.options.source,
+			dataTypes: Object.values(DataTypeName),
+		};
+	}
+
+	close() {
+		this.pending.forEach((entry) => clearTimeout(entry.timer));
+		this.pending = [];
+		this.confirmations.clear();
+	}
+}
+
+module.exports = PacketInjector;
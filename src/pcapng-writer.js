@@ -0,0 +1,239 @@
+/*
+ * PCAPNG Writer Module
+ * Builds PCAPNG capture files of NASA / non-NASA frames for Wireshark
+ *
+ * Frames use the user link-type DLT_USER0 (147), the decoded summary goes into the packet comment
+ * and the direction into the packet flags. Each capture interface gets its own interface block.
+ * Capture gaps are marked by an empty frame whose comment says how long the interface was gone.
+ */
+
+const { PacketTypeName, DataTypeName, Protocol } = require("./packet-decoder");
+
+const LINKTYPE_USER0 = 147;
+const BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+
+const BlockType = {
+	SectionHeader: 0x0a0d0d0a,
+	InterfaceDescription: 0x00000001,
+	EnhancedPacket: 0x00000006,
+};
+
+const Option = {
+	EndOfOptions: 0,
+	Comment: 1,
+	ShbUserApplication: 4,
+	IfName: 2,
+	IfDescription: 3,
+	IfTsResolution: 9,
+	EpbFlags: 2,
+};
+
+const Direction = {
+	Inbound: 1,
+	Outbound: 2,
+};
+
+class PcapngWriter {
+	/**
+	 * @param {Object} options - { application: name written to the section header }
+	 */
+	constructor(options = {}) {
+		this.blocks = [createSectionHeader(options.application || "samsung-nasa-sniffer")];
+		this.interfaces = new Map(); // interface name -> interface id
+	}
+
+	/**
+	 * Get the id of a capture interface, adding its description block the first time
+	 * @param {string} name - Interface name, e.g. "COM7" or "localhost:5000"
+	 * @param {string} description - Longer description, e.g. line settings
+	 * @returns {number} Interface id
+	 */
+	getInterfaceId(name, description = "") {
+		if (!this.interfaces.has(name)) {
+			this.interfaces.set(name, this.interfaces.size);
+			this.blocks.push(createInterfaceDescription(name, description));
+		}
+		return this.interfaces.get(name);
+	}
+
+	/**
+	 * Add a frame
+	 * @param {Object} frame - { time: epoch ms, data: Buffer, interfaceId, direction: "in" | "out", comment }
+	 */
+	addPacket(frame) {
+		this.blocks.push(createEnhancedPacket(frame));
+	}
+
+	toBuffer() {
+		return Buffer.concat(this.blocks);
+	}
+}
+
+/**
+ * Summary of a decoded packet, used as PCAPNG packet comment
+ * @param {Packet|NonNasaPacket} packet - Decoded packet
+ * @returns {string} e.g. "Outdoor(10.00.00) → Indoor(20.00.00) | Normal Response #12 | VAR_out_sensor_airout=20.2°C"
+ */
+function summarizePacket(packet) {
+	const messages = packet.messages
+		.map((m) => `${m.getName() || `0x${m.messageNumber.toString(16).padStart(4, "0")}`}=${m.getReadableValue()}`)
+		.join(", ");
+
+	const parts = [`${packet.sa.toReadableString()} → ${packet.da.toReadableString()}`];
+	if (packet.protocol === Protocol.NonNasa) {
+		parts.push(`${packet.protocol} ${packet.getCommandName()}`);
+	} else {
+		parts.push(
+			`${PacketTypeName[packet.command.packetType] || "Unknown"} ${DataTypeName[packet.command.dataType] || "Unknown"} #${packet.command.packetNumber}`,
+		);
+	}
+	if (messages) {
+		parts.push(messages);
+	}
+	if (packet.pairId !== undefined && packet.pairId !== null) {
+		parts.push(packet.latency !== undefined && packet.latency !== null ? `pair #${packet.pairId} (${packet.latency} ms)` : `pair #${packet.pairId}`);
+	}
+	return parts.join(" | ");
+}
+
+/**
+ * Comment of a capture gap marker
+ * @param {Object} gap - { start, end: epoch ms or null, reason }
+ * @returns {string} e.g. "Capture gap: interface disconnected (device removed), back after 12.3 s"
+ */
+function summarizeGap(gap) {
+	const reason = gap.reason ? ` (${gap.reason})` : "";
+	const back = gap.end ? `back after ${((gap.end - gap.start) / 1000).toFixed(1)} s` : "not reconnected";
+	return `Capture gap: interface disconnected${reason}, ${back}`;
+}
+
+/**
+ * Build a PCAPNG file from decoded packets
+ * Packets from one of the local addresses (the packet injector source) are marked outbound, all others inbound.
+ * Packets received from a TCP_SERVER bridge get an interface per bridge, packets tagged with the name of one of
+ * several capture interfaces an interface per name.
+ * @param {Array<Packet|NonNasaPacket>} packets - Packets in capture order
+ * @param {Object} options - { interfaceName, interfaceDescription, interfaceDescriptions: { name: description }, localAddresses: ["80.FF.00"],
+ *                            gaps: [{ interface, start, end, reason }] }
+ * @returns {Buffer} PCAPNG file content
+ */
+function packetsToPcapng(packets, options = {}) {
+	const writer = new PcapngWriter();
+	const interfaceName = options.interfaceName || "bus";
+	const descriptions = options.interfaceDescriptions || {};
+	const localAddresses = new Set((options.localAddresses || []).map((address) => address.toUpperCase()));
+
+	// Gap markers are placed between the packets at the time the interface was lost
+	const gaps = (options.gaps || []).slice().sort((a, b) => a.start - b.start);
+	const addGapsBefore = (time) => {
+		while (gaps.length > 0 && gaps[0].start <= time) {
+			const gap = gaps.shift();
+			const name = gap.interface || interfaceName;
+			writer.addPacket({
+				time: gap.start,
+				data: Buffer.alloc(0),
+				interfaceId: writer.getInterfaceId(name, gap.interface ? descriptions[name] : options.interfaceDescription),
+				comment: summarizeGap(gap),
+			});
+		}
+	};
+
+	packets.forEach((packet) => {
+		addGapsBefore(packet.time);
+
+		const name = packet.interface || interfaceName;
+		let interfaceId;
+		if (packet.peer) {
+			interfaceId = writer.getInterfaceId(packet.interface ? `${name} ${packet.peer}` : packet.peer, `Bridge connected to ${name}`);
+		} else if (packet.interface) {
+			interfaceId = writer.getInterfaceId(name, descriptions[name]);
+		} else {
+			interfaceId = writer.getInterfaceId(name, options.interfaceDescription);
+		}
+
+		writer.addPacket({
+			time: packet.time,
+			data: packet.rawData,
+			interfaceId,
+			direction: localAddresses.has(packet.sa.toString().toUpperCase()) ? "out" : "in",
+			comment: summarizePacket(packet),
+		});
+	});
+	addGapsBefore(Infinity);
+
+	return writer.toBuffer();
+}
+
+function createSectionHeader(application) {
+	const body = Buffer.alloc(16);
+	body.writeUInt32LE(BYTE_ORDER_MAGIC, 0);
+	body.writeUInt16LE(1, 4); // major version
+	body.writeUInt16LE(0, 6); // minor version
+	body.writeBigInt64LE(-1n, 8); // section length not given
+	return createBlock(BlockType.SectionHeader, body, [encodeOption(Option.ShbUserApplication, application)]);
+}
+
+function createInterfaceDescription(name, description) {
+	const body = Buffer.alloc(8);
+	body.writeUInt16LE(LINKTYPE_USER0, 0);
+	body.writeUInt16LE(0, 2); // reserved
+	body.writeUInt32LE(0, 4); // no snap length limit
+
+	const options = [encodeOption(Option.IfName, name), encodeOption(Option.IfTsResolution, Buffer.from([6]))]; // microseconds
+	if (description) {
+		options.push(encodeOption(Option.IfDescription, description));
+	}
+	return createBlock(BlockType.InterfaceDescription, body, options);
+}
+
+function createEnhancedPacket(frame) {
+	const timestamp = BigInt(Math.round(frame.time * 1000)); // microseconds since the Unix epoch
+	const header = Buffer.alloc(20);
+	header.writeUInt32LE(frame.interfaceId || 0, 0);
+	header.writeUInt32LE(Number(timestamp >> 32n), 4);
+	header.writeUInt32LE(Number(timestamp & 0xffffffffn), 8);
+	header.writeUInt32LE(frame.data.length, 12); // captured length
+	header.writeUInt32LE(frame.data.length, 16); // original length
+
+	const flags = Buffer.alloc(4);
+	flags.writeUInt32LE(frame.direction === "out" ? Direction.Outbound : Direction.Inbound, 0);
+
+	const options = [encodeOption(Option.EpbFlags, flags)];
+	if (frame.comment) {
+		options.push(encodeOption(Option.Comment, frame.comment));
+	}
+	return createBlock(BlockType.EnhancedPacket, Buffer.concat([header, pad(frame.data)]), options);
+}
+
+function createBlock(type, body, options) {
+	const content = Buffer.concat([body, ...options, encodeOption(Option.EndOfOptions, Buffer.alloc(0))]);
+	const length = content.length + 12;
+	const block = Buffer.alloc(length);
+	block.writeUInt32LE(type, 0);
+	block.writeUInt32LE(length, 4);
+	content.copy(block, 8);
+	block.writeUInt32LE(length, length - 4);
+	return block;
+}
+
+function encodeOption(code, value) {
+	const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), "utf8");
+	const header = Buffer.alloc(4);
+	header.writeUInt16LE(code, 0);
+	header.writeUInt16LE(data.length, 2);
+	return Buffer.concat([header, pad(data)]);
+}
+
+// Blocks and option values are padded to 32 bits
+function pad(data) {
+	const padding = (4 - (data.length % 4)) % 4;
+	return padding > 0 ? Buffer.concat([data, Buffer.alloc(padding)]) : data;
+}
+
+module.exports = {
+	PcapngWriter,
+	summarizePacket,
+	summarizeGap,
+	packetsToPcapng,
+	LINKTYPE_USER0,
+};
@@ -0,0 +1,204 @@
+/*
+ * Raw Recorder Module
+ * Records every chunk received from the interface with its arrival time, so captures can be decoded again later
+ *
+ * File layout (little-endian):
+ *   "NASARAW" + format version (1 byte)
+ *   uint32 header length + JSON header { version, created, part, interface, source, stream }
+ *   records: float64 arrival time (ms since the Unix epoch, UTC) + uint16 length + bytes
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { formatTimestamp, captureTime } = require("./packet-decoder");
+
+const MAGIC = Buffer.from("NASARAW", "ascii");
+const FORMAT_VERSION = 1;
+const RECORD_HEADER_SIZE = 10; // float64 time + uint16 length
+const MAX_RECORD_LENGTH = 0xffff;
+
+class RawRecorder {
+	/**
+	 * @param {string} outputDir - Directory the recordings are written to
+	 * @param {Object} options - { maxSize: bytes per file before rotating (0 = never), settings: interface settings for the header,
+	 *                            sources: settings per interface name when several interfaces are captured }
+	 */
+	constructor(outputDir = "./nasa_logs", options = {}) {
+		this.outputDir = outputDir;
+		this.options = {
+			maxSize: options.maxSize || 0,
+			settings: options.settings || {},
+			sources: options.sources || {},
+		};
+
+		this.baseName = `nasa_raw_${new Date().toISOString().replace(/:/g, "-").split(".")[0]}`;
+		this.files = new Map(); // "source/stream" -> { part, fd, filename, headerSize, fileSize }
+		this.filename = null; // last file opened
+		this.totalFiles = 0;
+		this.totalBytes = 0;
+		this.totalChunks = 0;
+
+		if (!fs.existsSync(this.outputDir)) {
+			fs.mkdirSync(this.outputDir, { recursive: true });
+		}
+	}
+
+	/**
+	 * Open the next file of a stream, the first one is opened when its first chunk arrives
+	 * Interfaces with several connections (TCP_SERVER) record each connection to its own files,
+	 * so every recording holds one continuous byte stream that can be framed again. The same goes for
+	 * every interface when several are captured, their files carry their own settings.
+	 * @param {string} stream - Connection name, "" for single stream interfaces
+	 * @param {string} source - Interface name, "" unless several interfaces are captured
+	 */
+	_openFile(stream, source) {
+		const key = `${source}/${stream}`;
+		const previous = this.files.get(key);
+		if (previous) {
+			fs.closeSync(previous.fd);
+		}
+
+		const part = previous ? previous.part + 1 : 1;
+		const streamName = [source, stream]
+			.filter((name) => name)
+			.map((name) => `_${name.replace(/[^0-9A-Za-z.-]/g, "-")}`)
+			.join("");
+		const filename = path.join(this.outputDir, `${this.baseName}${streamName}_${String(part).padStart(3, "0")}.bin`);
+		const fd = fs.openSync(filename, "w");
+
+		const header = Buffer.from(
+			JSON.stringify({
+				version: FORMAT_VERSION,
+				created: formatTimestamp(captureTime()),
+				part,
+				interface: source ? this.options.sources[source] || {} : this.options.settings,
+				...(source && { source }),
+				...(stream && { stream }),
+			}),
+			"utf8",
+		);
+		const preamble = Buffer.alloc(MAGIC.length + 5);
+		MAGIC.copy(preamble);
+		preamble.writeUInt8(FORMAT_VERSION, MAGIC.length);
+		preamble.writeUInt32LE(header.length, MAGIC.length + 1);
+
+		fs.writeSync(fd, Buffer.concat([preamble, header]));
+		const headerSize = preamble.length + header.length;
+		const file = { part, fd, filename, headerSize, fileSize: headerSize };
+		this.files.set(key, file);
+		this.filename = filename;
+		this.totalFiles++;
+
+		console.log(`Recording raw bytes to: ${filename}`);
+		return file;
+	}
+
+	/**
+	 * Append a received chunk, rotating to a new file once the size limit would be exceeded
+	 * Records are written synchronously, so everything received is on disk even if the process is killed
+	 * @param {Buffer} data - Received bytes
+	 * @param {number} time - Arrival time (epoch ms)
+	 * @param {string} stream - Connection the chunk was received on, if the interface has several
+	 * @param {string} source - Interface the chunk was received on, if several are captured
+	 */
+	write(data, time = captureTime(), stream = "", source = "") {
+		let file = this.files.get(`${source}/${stream}`) || this._openFile(stream, source);
+
+		// Chunks longer than a record can hold are split, every part keeps the arrival time
+		for (let offset = 0; offset < data.length; offset += MAX_RECORD_LENGTH) {
+			const bytes = data.slice(offset, offset + MAX_RECORD_LENGTH);
+			const record = Buffer.alloc(RECORD_HEADER_SIZE + bytes.length);
+			record.writeDoubleLE(time, 0);
+			record.writeUInt16LE(bytes.length, 8);
+			bytes.copy(record, RECORD_HEADER_SIZE);
+
+			// A file always takes at least one record, so a tiny limit cannot rotate forever
+			if (this.options.maxSize > 0 && file.fileSize + record.length > this.options.maxSize && file.fileSize > file.headerSize) {
+				file = this._openFile(stream, source);
+			}
+
+			fs.writeSync(file.fd, record);
+			file.fileSize += record.length;
+			this.totalChunks++;
+		}
+		this.totalBytes += data.length;
+	}
+
+	/**
+	 * Close the file of a stream whose connection has ended
+	 * @param {string} stream - Connection name
+	 * @param {string} source - Interface name, if several are captured
+	 */
+	endStream(stream, source = "") {
+		const key = `${source}/${stream}`;
+		const file = this.files.get(key);
+		if (file) {
+			fs.closeSync(file.fd);
+			this.files.delete(key);
+		}
+	}
+
+	getInfo() {
+		return {
+			filename: this.filename,
+			files: this.totalFiles,
+			totalBytes: this.totalBytes,
+			totalChunks: this.totalChunks,
+		};
+	}
+
+	close() {
+		this.files.forEach((file) => fs.closeSync(file.fd));
+		this.files.clear();
+	}
+}
+
+/**
+ * Check whether file content is a raw recording
+ * @param {Buffer} content - File content (or at least its first bytes)
+ * @returns {boolean}
+ */
+function isRawRecording(content) {
+	return content.length >= MAGIC.length && content.slice(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Read a raw recording
+ * A record cut short at the end (e.g. the capture was killed while writing) is ignored
+ * @param {Buffer} content - File content
+ * @returns {Object} { header, chunks: [{ time, data }] }
+ */
+function readRawRecording(content) {
+	if (!isRawRecording(content) || content.length < MAGIC.length + 5) {
+		throw new Error("Not a raw recording");
+	}
+
+	const version = content.readUInt8(MAGIC.length);
+	if (version !== FORMAT_VERSION) {
+		throw new Error(`Unsupported raw recording version: ${version}`);
+	}
+
+	const headerLength = content.readUInt32LE(MAGIC.length + 1);
+	let offset = MAGIC.length + 5;
+	const header = JSON.parse(content.slice(offset, offset + headerLength).toString("utf8"));
+	offset += headerLength;
+
+	const chunks = [];
+	while (offset + RECORD_HEADER_SIZE <= content.length) {
+		const time = content.readDoubleLE(offset);
+		const length = content.readUInt16LE(offset + 8);
+		if (offset + RECORD_HEADER_SIZE + length > content.length) {
+			break;
+		}
+		chunks.push({ time, data: content.slice(offset + RECORD_HEADER_SIZE, offset + RECORD_HEADER_SIZE + length) });
+		offset += RECORD_HEADER_SIZE + length;
+	}
+
+	return { header, chunks };
+}
+
+module.exports = {
+	RawRecorder,
+	isRawRecording,
+	readRawRecording,
+};
@@ -0,0 +1,141 @@
+/*
+ * Serial Discovery Module
+ * Lists the serial ports of the machine and finds the line settings of a bus by trying common
+ * baud rate / parity combinations and counting the frames that decode with a valid CRC
+ */
+
+const EventEmitter = require("events");
+const { SerialPort } = require("serialport");
+const { PacketAnalyzer, DecodeErrorCategory } = require("./packet-decoder");
+
+// NASA buses run at 9600 baud, non-NASA at 2400, both with even parity; the rest covers converters set up differently
+const DEFAULT_BAUD_RATES = [9600, 2400, 4800, 19200, 38400, 57600, 115200];
+const DEFAULT_PARITIES = ["even", "none", "odd"];
+
+/**
+ * List the serial ports of the machine
+ * @returns {Promise<Object[]>} [{ path, manufacturer, serialNumber, vendorId, productId, pnpId }]
+ */
+async function listSerialPorts() {
+	try {
+		const ports = await SerialPort.list();
+		return ports.map((port) => ({
+			path: port.path,
+			manufacturer: port.manufacturer || null,
+			serialNumber: port.serialNumber || null,
+			vendorId: port.vendorId || null,
+			productId: port.productId || null,
+			pnpId: port.pnpId || null,
+		}));
+	} catch (err) {
+		throw new Error(`Failed to list serial ports: ${err.message}`);
+	}
+}
+
+class LineSettingsDetector extends EventEmitter {
+	/**
+	 * @param {Object} options - { baudRates, parities, window: ms to listen per combination (default 2000) }
+	 */
+	constructor(options = {}) {
+		super();
+
+		this.options = {
+			baudRates: options.baudRates && options.baudRates.length > 0 ? options.baudRates : DEFAULT_BAUD_RATES,
+			parities: options.parities && options.parities.length > 0 ? options.parities : DEFAULT_PARITIES,
+			window: options.window || 2000,
+		};
+		this.isRunning = false;
+	}
+
+	/**
+	 * Try every combination on a port
+	 * Emits "progress" ({ index, total, baudRate, parity }) before and "result" (result) after each combination
+	 * @param {string} path - Serial port, e.g. "COM7" or "/dev/ttyUSB0"
+	 * @returns {Promise<Object>} { path, results: sorted best first, best: result or null when nothing decoded }
+	 */
+	async detect(path) {
+		if (this.isRunning) {
+			throw new Error("Detection is already running");
+		}
+		this.isRunning = true;
+
+		const combinations = [];
+		this.options.baudRates.forEach((baudRate) => {
+			this.options.parities.forEach((parity) => combinations.push({ baudRate, parity }));
+		});
+
+		const results = [];
+		try {
+			for (let index = 0; index < combinations.length; index++) {
+				const { baudRate, parity } = combinations[index];
+				this.emit("progress", { index, total: combinations.length, baudRate, parity });
+
+				const data = await this._listen(path, baudRate, parity);
+				const result = { baudRate, parity, ...scoreCapture(data) };
+				results.push(result);
+				this.emit("result", result);
+			}
+		} finally {
+			this.isRunning = false;
+		}
+
+		results.sort(compareResults);
+		return { path, results, best: results.length > 0 && results[0].packets > 0 ? results[0] : null };
+	}
+
+	// Open the port with one combination and collect what arrives during the window
+	_listen(path, baudRate, parity) {
+		return new Promise((resolve, reject) => {
+			const chunks = [];
+			const port = new SerialPort({ path, baudRate, parity, dataBits: 8, stopBits: 1, autoOpen: false });
+
+			port.on("data", (data) => chunks.push(data));
+			port.on("error", () => {}); // framing and parity errors of wrong settings are expected
+
+			port.open((err) => {
+				if (err) {
+					reject(new Error(`Failed to open ${path}: ${err.message}`));
+					return;
+				}
+				setTimeout(() => {
+					port.close(() => resolve(Buffer.concat(chunks)));
+				}, this.options.window);
+			});
+		});
+	}
+}
+
+/**
+ * Decode captured bytes and count what made sense
+ * @param {Buffer} data - Bytes received with one combination
+ * @returns {Object} { bytes, packets: frames with a valid CRC, crcErrors, skippedBytes, protocol, coverage: share of bytes in valid frames }
+ */
+function scoreCapture(data) {
+	const result = PacketAnalyzer.analyzeBuffer(data);
+	const frameBytes = result.packets.reduce((sum, packet) => sum + packet.rawData.length, 0);
+	const skippedBytes = result.errors
+		.filter((error) => error.category === DecodeErrorCategory.SkippedBytes)
+		.reduce((sum, error) => sum + error.bytes.length, 0);
+
+	return {
+		bytes: data.length,
+		packets: result.packets.length,
+		crcErrors: result.errors.filter((error) => error.category === DecodeErrorCategory.CrcError).length,
+		skippedBytes,
+		protocol: result.protocol || null,
+		coverage: data.length > 0 ? Math.round((frameBytes / data.length) * 1000) / 1000 : 0,
+	};
+}
+
+// Most valid frames first, then the cleaner capture
+function compareResults(a, b) {
+	return b.packets - a.packets || b.coverage - a.coverage || a.crcErrors - b.crcErrors;
+}
+
+module.exports = {
+	listSerialPorts,
+	LineSettingsDetector,
+	scoreCapture,
+	DEFAULT_BAUD_RATES,
+	DEFAULT_PARITIES,
+};
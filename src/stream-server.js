@@ -0,0 +1,142 @@
+/*
+ * Stream Server Module
+ * Serves what the sniffer receives to other tools over TCP, so several of them can use the bus the serial port is on
+ *
+ * The raw format passes the received bytes on unchanged, a second sniffer in TCP mode can connect to it like to a
+ * bus bridge. The NDJSON format sends one decoded packet per line. What clients send is ignored.
+ */
+
+const net = require("net");
+const EventEmitter = require("events");
+const { captureTime } = require("./packet-decoder");
+
+class StreamServer extends EventEmitter {
+	/**
+	 * @param {Object} options - Listen address and client handling
+	 * @param {string} options.host - Address to listen on (default "127.0.0.1", only local tools)
+	 * @param {number} options.port - Port to listen on
+	 * @param {string} options.format - "raw" or "ndjson", only used in messages and getInfo()
+	 * @param {number} options.maxClients - Connections accepted at once, 0 = no limit (default 10)
+	 * @param {number} options.maxBuffered - Bytes queued for a client before its data is dropped (default 1 MB)
+	 */
+	constructor(options = {}) {
+		super();
+
+		this.options = {
+			host: options.host || "127.0.0.1",
+			port: options.port,
+			format: options.format || "raw",
+			maxClients: options.maxClients !== undefined ? options.maxClients : 10,
+			maxBuffered: options.maxBuffered || 1024 * 1024,
+		};
+
+		if (!this.options.port) {
+			throw new Error("No stream server port given");
+		}
+
+		this.server = null;
+		this.clients = new Map(); // "host:port" -> { socket, connectedAt, bytes, dropped, stalled }
+		this.totalClients = 0;
+		this.rejected = 0;
+	}
+
+	/**
+	 * Start listening
+	 * @returns {Promise<void>}
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server = net.createServer((socket) => this._handleConnection(socket));
+
+			this.server.once("error", reject);
+			this.server.listen(this.options.port, this.options.host, () => {
+				this.server.off("error", reject);
+				this.server.on("error", (err) => this.emit("error", err));
+				resolve();
+			});
+		});
+	}
+
+	_handleConnection(socket) {
+		const address = `${socket.remoteAddress.replace(/^::ffff:/, "")}:${socket.remotePort}`;
+
+		if (this.options.maxClients > 0 && this.clients.size >= this.options.maxClients) {
+			this.rejected++;
+			socket.destroy();
+			this.emit("client-rejected", address);
+			return;
+		}
+
+		const client = { socket, connectedAt: captureTime(), bytes: 0, dropped: 0, stalled: false };
+		this.clients.set(address, client);
+		this.totalClients++;
+		socket.setNoDelay(true);
+		this.emit("client-connected", address);
+
+		socket.resume(); // Discard what the client sends
+		socket.on("drain", () => {
+			if (client.stalled) {
+				client.stalled = false;
+				this.emit("client-resumed", address, client.dropped);
+			}
+		});
+		socket.on("close", () => {
+			this.clients.delete(address);
+			this.emit("client-disconnected", address, { bytes: client.bytes, dropped: client.dropped });
+		});
+		socket.on("error", () => {}); // Followed by "close", a client that goes away is not an error of the capture
+	}
+
+	/**
+	 * Send data to all clients
+	 * Writes never wait for a client. While more than maxBuffered bytes are queued for a slow client, the data
+	 * meant for it is dropped and counted, capture and the other clients go on.
+	 * @param {Buffer|string} data - Received bytes or NDJSON lines
+	 */
+	send(data) {
+		const length = Buffer.byteLength(data);
+
+		this.clients.forEach((client, address) => {
+			if (client.socket.writableLength + length > this.options.maxBuffered) {
+				client.dropped += length;
+				if (!client.stalled) {
+					client.stalled = true;
+					this.emit("client-stalled", address);
+				}
+				return;
+			}
+
+			client.socket.write(data);
+			client.bytes += length;
+		});
+	}
+
+	getInfo() {
+		return {
+			format: this.options.format,
+			host: this.options.host,
+			port: this.options.port,
+			clients: Array.from(this.clients.entries()).map(([address, client]) => ({
+				address,
+				connectedAt: client.connectedAt,
+				bytes: client.bytes,
+				dropped: client.dropped,
+				stalled: client.stalled,
+			})),
+			totalClients: this.totalClients,
+			rejected: this.rejected,
+		};
+	}
+
+	/**
+	 * Disconnect all clients and stop listening
+	 */
+	async close() {
+		this.clients.forEach((client) => client.socket.destroy());
+		if (this.server) {
+			await new Promise((resolve) => this.server.close(() => resolve()));
+		}
+	}
+}
+
+module.exports = StreamServer;
@@ -0,0 +1,128 @@
+/*
+ * Structure Decoders Module
+ * Decodes the payload of Structure-type message sets into named fields
+ */
+
+const { formatDefinedValue } = require("./message-catalog");
+
+// Built-in field readers: size in bytes (null = rest of payload) and read function
+const FieldTypes = {
+	uint8: { size: 1, read: (buffer, offset) => buffer.readUInt8(offset) },
+	int8: { size: 1, read: (buffer, offset) => buffer.readInt8(offset) },
+	uint16: { size: 2, read: (buffer, offset) => buffer.readUInt16BE(offset) },
+	int16: { size: 2, read: (buffer, offset) => buffer.readInt16BE(offset) },
+	uint32: { size: 4, read: (buffer, offset) => buffer.readUInt32BE(offset) },
+	int32: { size: 4, read: (buffer, offset) => buffer.readInt32BE(offset) },
+	string: { size: null, read: (buffer, offset, length) => readString(buffer.slice(offset, offset + length)) },
+	bytes: { size: null, read: (buffer, offset, length) => bytesToHex(buffer.slice(offset, offset + length)) },
+};
+
+// Structure decoders by type name, each returns a list of { name, value, readableValue }
+const structureDecoders = {
+	string: (buffer, definition) => [createField(definition.name || "text", readString(buffer))],
+	bytes: (buffer, definition) => [createField(definition.name || "data", bytesToHex(buffer))],
+	fields: (buffer, definition) => decodeFields(buffer, 0, definition.fields || [], "").fields,
+	table: (buffer, definition) => decodeTable(buffer, definition),
+};
+
+function readString(buffer) {
+	// Strings are zero padded on the wire
+	const end = buffer.indexOf(0);
+	return buffer
+		.slice(0, end === -1 ? buffer.length : end)
+		.toString("latin1")
+		.trim();
+}
+
+function bytesToHex(buffer) {
+	return Array.from(buffer)
+		.map((b) => b.toString(16).padStart(2, "0").toUpperCase())
+		.join(" ");
+}
+
+function createField(name, value, fieldDefinition = {}) {
+	return { name, value, readableValue: typeof value === "number" ? formatDefinedValue(fieldDefinition, value) : value };
+}
+
+/**
+ * Decode a sequence of typed fields
+ * @param {Buffer} buffer - Structure payload
+ * @param {number} offset - Offset to start reading at
+ * @param {Object[]} fieldDefinitions - [{ name, type, length, scale, unit, enum }]
+ * @param {string} prefix - Prefix for field names (used for table rows)
+ * @returns {Object} - { fields: Object[], offset: number }
+ */
+function decodeFields(buffer, offset, fieldDefinitions, prefix) {
+	const fields = [];
+
+	for (const fieldDefinition of fieldDefinitions) {
+		const fieldType = FieldTypes[fieldDefinition.type];
+		if (!fieldType) {
+			throw new Error(`Unknown structure field type: ${fieldDefinition.type}`);
+		}
+
+		const length = fieldType.size !== null ? fieldType.size : fieldDefinition.length || buffer.length - offset;
+		if (offset + length > buffer.length) {
+			throw new Error(`Structure too short for field ${fieldDefinition.name}`);
+		}
+
+		const value = fieldType.read(buffer, offset, length);
+		fields.push(createField(`${prefix}${fieldDefinition.name}`, value, fieldDefinition));
+		offset += length;
+	}
+
+	return { fields, offset };
+}
+
+function decodeTable(buffer, definition) {
+	const columns = definition.columns || [];
+	const fields = [];
+	let offset = definition.headerSize || 0;
+	let row = 0;
+
+	while (offset < buffer.length) {
+		const result = decodeFields(buffer, offset, columns, `${definition.name || "row"}[${row}].`);
+		if (result.offset === offset) {
+			break;
+		}
+		fields.push(...result.fields);
+		offset = result.offset;
+		row++;
+	}
+
+	return fields;
+}
+
+/**
+ * Register a custom structure decoder usable from catalog definitions
+ * @param {string} type - Decoder name referenced by "structure.type" in the catalog
+ * @param {Function} decoder - (buffer, definition) => [{ name, value, readableValue }]
+ */
+function registerStructureDecoder(type, decoder) {
+	structureDecoders[type] = decoder;
+}
+
+/**
+ * Decode a structure payload using its catalog definition
+ * @param {Buffer} buffer - Structure payload (without message number)
+ * @param {Object} definition - Catalog "structure" definition, e.g. { type: "string" }
+ * @returns {Object[]|null} Decoded fields, or null if there is no decoder
+ */
+function decodeStructure(buffer, definition) {
+	if (!definition) {
+		return null;
+	}
+
+	const decoder = structureDecoders[definition.type];
+	if (!decoder) {
+		throw new Error(`Unknown structure decoder: ${definition.type}`);
+	}
+
+	return decoder(buffer, definition);
+}
+
+module.exports = {
+	decodeStructure,
+	registerStructureDecoder,
+	FieldTypes,
+};
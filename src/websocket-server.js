@@ -2,15 +2,42 @@ const WebSocket = require("ws");
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
-const { PacketTypeName, DataTypeName, MessageSetTypeName, MessageNumberNames } = require("./packet-decoder");
+const net = require("net");
+const {
+	PacketTypeName,
+	DataTypeName,
+	MessageSetTypeName,
+	NonNasaCommandName,
+	Protocol,
+	Address,
+	MessageSet,
+	NonNasaAddress,
+	createPacket,
+	bufferToHex,
+	parseTimestamp,
+} = require("./packet-decoder");
 
 class WebSocketServer {
-	constructor(port = 8080, viewMode = false) {
+	/**
+	 * @param {number} port - HTTP and WebSocket port
+	 * @param {boolean} viewMode - Serve a loaded export instead of a live capture
+	 * @param {Object} options - Who may connect
+	 * @param {string} options.host - Address to listen on (default "127.0.0.1", only this machine)
+	 * @param {string[]} options.allowedOrigins - Extra page origins allowed to open the WebSocket, e.g. "http://sniffer.local:8080"
+	 */
+	constructor(port = 8080, viewMode = false, options = {}) {
 		this.port = port;
+		this.host = options.host || "127.0.0.1";
+		this.allowedOrigins = new Set((options.allowedOrigins || []).map((origin) => origin.replace(/\/+$/, "").toLowerCase()));
 		this.clients = new Set();
 		this.packetHistory = [];
 		this.maxHistory = 10000; // Keep last 10000 packets
 		this.viewMode = viewMode; // View mode flag
+		this.requestHandlers = new Map(); // Client request type -> handler
+		this.initProviders = new Map(); // Extra "init" fields -> provider function
+		this.downloads = new Map(); // HTTP path -> file provider function
+		this.loadedDiagnostics = null; // Decoder diagnostics from the loaded export (view mode)
+		this.loadedGaps = []; // Capture gaps from the loaded export (view mode)
 
 		// Create HTTP server for serving static files
 		this.httpServer = http.createServer((req, res) => {
@@ -18,20 +45,27 @@ class WebSocketServer {
 		});
 
 		// Create WebSocket server
-		this.wss = new WebSocket.Server({ server: this.httpServer });
+		// Only pages served by this server may connect, so other web sites the user has open cannot send requests
+		this.wss = new WebSocket.Server({ server: this.httpServer, verifyClient: (info) => this.isAllowedOrigin(info.origin, info.req.headers.host) });
 
 		this.wss.on("connection", (ws) => {
 			console.log("New WebSocket client connected");
 			this.clients.add(ws);
 
 			// Send view mode status and packet history to new client
-			ws.send(
-				JSON.stringify({
-					type: "init",
-					viewMode: this.viewMode,
-					packets: this.packetHistory,
-				}),
-			);
+			const init = {
+				type: "init",
+				viewMode: this.viewMode,
+				packets: this.packetHistory,
+			};
+			this.initProviders.forEach((provider, key) => {
+				init[key] = provider();
+			});
+			ws.send(JSON.stringify(init));
+
+			ws.on("message", (data) => {
+				this.handleClientMessage(ws, data);
+			});
 
 			ws.on("close", () => {
 				console.log("WebSocket client disconnected");
@@ -45,7 +79,142 @@ class WebSocketServer {
 		});
 	}
 
+	/**
+	 * Check the Origin of a WebSocket handshake
+	 * The origin must be the address the page was loaded from. Names other than localhost are only accepted when
+	 * listed in allowedOrigins, otherwise a site could resolve its own name to this machine (DNS rebinding).
+	 * @param {string} origin - Origin header sent by the browser
+	 * @param {string} host - Host header of the handshake
+	 * @returns {boolean}
+	 */
+	isAllowedOrigin(origin, host) {
+		if (!origin || !host) {
+			return false;
+		}
+
+		const normalized = origin.replace(/\/+$/, "").toLowerCase();
+		if (this.allowedOrigins.has(normalized)) {
+			return true;
+		}
+
+		let url;
+		try {
+			url = new URL(normalized);
+		} catch (error) {
+			return false;
+		}
+
+		return url.host === host.toLowerCase() && this.isAllowedHost(host);
+	}
+
+	/**
+	 * Check the Host header of a request
+	 * localhost and IP addresses cannot be rebound to another site, other names must be listed in allowedOrigins
+	 * @param {string} host - Host header, e.g. "localhost:8080"
+	 * @returns {boolean}
+	 */
+	isAllowedHost(host) {
+		if (!host) {
+			return false;
+		}
+
+		let url;
+		try {
+			url = new URL(`http://${host.toLowerCase()}`);
+		} catch (error) {
+			return false;
+		}
+
+		const hostname = url.hostname.replace(/^\[|\]$/g, "");
+		if (hostname === "localhost" || net.isIP(hostname) !== 0) {
+			return true;
+		}
+		return Array.from(this.allowedOrigins).some((origin) => {
+			try {
+				return new URL(origin).host === url.host;
+			} catch (error) {
+				return false;
+			}
+		});
+	}
+
+	/**
+	 * Register a handler for requests sent by web clients
+	 * The handler result (or resolved promise) is sent back as "<type>-result"
+	 * @param {string} type - Request type
+	 * @param {Function} handler - (message, client) => Object|Promise<Object>, client is the WebSocket the request came on
+	 */
+	registerHandler(type, handler) {
+		this.requestHandlers.set(type, handler);
+	}
+
+	/**
+	 * Register an extra field sent to clients in the "init" message
+	 * @param {string} key - Field name
+	 * @param {Function} provider - () => value
+	 */
+	registerInitProvider(key, provider) {
+		this.initProviders.set(key, provider);
+	}
+
+	/**
+	 * Register a file generated on request, served over HTTP as a download
+	 * @param {string} urlPath - Path, e.g. "/export/packets.pcapng"
+	 * @param {Function} provider - () => { filename, contentType, content: Buffer }
+	 */
+	registerDownload(urlPath, provider) {
+		this.downloads.set(urlPath, provider);
+	}
+
+	handleClientMessage(ws, data) {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			return; // Ignore malformed client messages
+		}
+
+		const reply = (payload) => {
+			if (ws.readyState === WebSocket.OPEN) {
+				ws.send(JSON.stringify({ type: `${message.type}-result`, requestId: message.requestId, ...payload }));
+			}
+		};
+
+		const handler = this.requestHandlers.get(message.type);
+		if (!handler) {
+			reply({ error: `Unsupported request: ${message.type}` });
+			return;
+		}
+
+		Promise.resolve()
+			.then(() => handler(message, ws))
+			.then((result) => reply(result || {}))
+			.catch((error) => reply({ error: error.message }));
+	}
+
 	handleHttpRequest(req, res) {
+		const download = this.downloads.get(req.url.split("?")[0]);
+		if (download) {
+			// Exports hold the whole capture, a page on another site must not read them through a rebound name
+			if (!this.isAllowedHost(req.headers.host)) {
+				res.writeHead(403);
+				res.end("403 - Forbidden");
+				return;
+			}
+			try {
+				const file = download();
+				res.writeHead(200, {
+					"Content-Type": file.contentType || "application/octet-stream",
+					"Content-Disposition": `attachment; filename="${file.filename}"`,
+				});
+				res.end(file.content);
+			} catch (error) {
+				res.writeHead(500);
+				res.end(`500 - ${error.message}`);
+			}
+			return;
+		}
+
 		let filePath = req.url === "/" ? "/index.html" : req.url;
 		filePath = path.join(__dirname, "../public", filePath);
 
@@ -54,6 +223,7 @@ class WebSocketServer {
 			".html": "text/html",
 			".js": "text/javascript",
 			".css": "text/css",
+			".svg": "image/svg+xml",
 		};
 
 		const contentType = contentTypes[extname] || "application/octet-stream";
@@ -76,7 +246,7 @@ class WebSocketServer {
 
 	start() {
 		return new Promise((resolve) => {
-			this.httpServer.listen(this.port, () => {
+			this.httpServer.listen(this.port, this.host, () => {
 				console.log(`\n${"═".repeat(75)}`);
 				if (this.viewMode) {
 					console.log("         NASA PROTOCOL SNIFFER - VIEW MODE");
@@ -84,7 +254,8 @@ class WebSocketServer {
 					console.log("         NASA PROTOCOL SNIFFER - WEB UI ENABLED");
 				}
 				console.log(`${"═".repeat(75)}`);
-				console.log(`Web UI available at: http://localhost:${this.port}`);
+				const local = ["127.0.0.1", "::1", "localhost"].includes(this.host);
+				console.log(`Web UI available at: http://localhost:${this.port}${local ? "" : ` (listening on ${this.host})`}`);
 				console.log(`WebSocket server running on port ${this.port}`);
 				if (this.viewMode) {
 					console.log(`View Mode: Read-only packet replay`);
@@ -109,6 +280,13 @@ class WebSocketServer {
 			const version = exportData.version || exportData.v;
 			const packets = exportData.packets || exportData.p;
 			const exportedAt = exportData.exportedAt || exportData.e;
+			this.loadedDiagnostics = exportData.diagnostics || exportData.dg || null;
+			this.loadedGaps = (exportData.gaps || exportData.g || []).map((gap) => ({
+				interface: gap.interface || gap.if,
+				start: gap.start !== undefined ? gap.start : gap.ts,
+				end: gap.end !== undefined ? gap.end : gap.te,
+				reason: gap.reason || gap.r,
+			}));
 
 			if (!version || !packets) {
 				throw new Error("Invalid packet file format");
@@ -116,7 +294,16 @@ class WebSocketServer {
 
 			// Expand minimized attribute names to full format for UI
 			this.packetHistory = packets.map((p) => ({
+				id: p.id !== undefined ? p.id : p.i,
+				pairId: p.pairId !== undefined ? p.pairId : p.pi,
+				latency: p.latency !== undefined ? p.latency : p.l,
+				time: p.time !== undefined ? p.time : p.ts !== undefined ? p.ts : parseTimestamp(p.timestamp || p.t), // Older exports only have the UTC string
 				timestamp: p.timestamp || p.t,
+				protocol: p.protocol || p.pr || Protocol.Nasa, // Exports before protocol detection are NASA only
+				interface: p.interface || p.if,
+				peer: p.peer || p.pe,
+				commandCode: p.commandCode !== undefined ? p.commandCode : p.cc,
+				commandName: p.commandName || (p.cc !== undefined ? NonNasaCommandName[p.cc] || `0x${p.cc.toString(16).padStart(2, "0")}` : undefined),
 				source: p.source || p.s,
 				sourceReadable: p.sourceReadable || p.sr,
 				destination: p.destination || p.d,
@@ -134,8 +321,12 @@ class WebSocketServer {
 					type: m.type !== undefined ? m.type : m.mt,
 					typeName: m.typeName || m.mtn,
 					value: m.value !== undefined ? m.value : m.v,
+					scaledValue: m.scaledValue !== undefined ? m.scaledValue : m.sv,
+					unit: m.unit !== undefined ? m.unit : m.u,
 					readableValue: m.readableValue || m.rv,
 					name: m.name || m.n,
+					structureHex: m.structureHex || m.st,
+					fields: m.fields || (m.f ? m.f.map((f) => ({ name: f.n, value: f.v, readableValue: f.rv })) : undefined),
 				})),
 				rawData: p.rawData || p.rd,
 				rawDataHex: p.rawDataHex || p.rdh,
@@ -150,10 +341,55 @@ class WebSocketServer {
 		}
 	}
 
-	broadcastPacket(packet) {
-		// Convert packet to JSON-friendly format
-		const packetData = {
+	/**
+	 * Rebuild Packet objects from the loaded history (view mode)
+	 * @returns {Packet[]} Packets decoded from their raw data, with the original capture times, ids and request/response pairs
+	 */
+	getLoadedPackets() {
+		const loaded = [];
+
+		this.packetHistory.forEach((data) => {
+			const packet = createPacket(data.protocol);
+			if (!data.rawData || !packet.decode(data.rawData, data.time).success) {
+				return;
+			}
+			packet.id = data.id;
+			packet.pairId = data.pairId;
+			packet.interface = data.interface;
+			packet.peer = data.peer;
+			packet.latency = data.latency;
+			loaded.push(packet);
+		});
+
+		return loaded;
+	}
+
+	/**
+	 * Convert packet to JSON-friendly format used by the web UI
+	 * @param {Packet} packet - Decoded packet
+	 * @returns {Object} Packet data
+	 */
+	serializePacket(packet) {
+		return WebSocketServer.serializePacket(packet);
+	}
+
+	/**
+	 * Same as serializePacket(), for users without a server (the NDJSON stream)
+	 * @param {Packet} packet - Decoded packet
+	 * @returns {Object} Packet data
+	 */
+	static serializePacket(packet) {
+		return {
+			id: packet.id,
+			pairId: packet.pairId,
+			latency: packet.latency,
+			time: packet.time,
 			timestamp: packet.timestamp,
+			protocol: packet.protocol,
+			interface: packet.interface,
+			peer: packet.peer,
+			commandCode: packet.protocol === Protocol.NonNasa ? packet.command.code : undefined,
+			commandName: packet.protocol === Protocol.NonNasa ? packet.getCommandName() : undefined,
 			source: packet.sa.toString(),
 			sourceReadable: packet.sa.toReadableString(),
 			destination: packet.da.toString(),
@@ -171,14 +407,67 @@ class WebSocketServer {
 				type: msg.type,
 				typeName: MessageSetTypeName[msg.type],
 				value: msg.value,
+				scaledValue: msg.getScaledValue(),
+				unit: msg.getUnit(),
 				readableValue: msg.getReadableValue(),
-				name: MessageNumberNames[msg.messageNumber] || "UNKNOWN",
+				name: msg.getName() || "UNKNOWN",
+				structureHex: msg.structure ? bufferToHex(msg.structure, " ") : undefined,
+				fields: msg.structure ? msg.fields || [] : undefined,
 			})),
 			rawData: Array.from(packet.rawData),
 			rawDataHex: Array.from(packet.rawData)
 				.map((b) => b.toString(16).padStart(2, "0").toUpperCase())
 				.join(" "),
 		};
+	}
+
+	/**
+	 * Re-apply device and message names to the stored history after user labels changed
+	 * Non-NASA field names come from the protocol definition and are left as they are
+	 * @returns {Object} - { devices: { address: readable }, messages: { messageNumberHex: name } } for everything in the history
+	 */
+	relabelHistory() {
+		const devices = {};
+		const messages = {};
+
+		const readable = (protocol, address) => {
+			if (!(address in devices)) {
+				devices[address] =
+					protocol === Protocol.NonNasa ? new NonNasaAddress(parseInt(address, 16)).toReadableString() : Address.from(address).toReadableString();
+			}
+			return devices[address];
+		};
+
+		this.packetHistory.forEach((packet) => {
+			packet.sourceReadable = readable(packet.protocol, packet.source);
+			packet.destinationReadable = readable(packet.protocol, packet.destination);
+			if (packet.protocol === Protocol.NonNasa) {
+				return;
+			}
+			packet.messages.forEach((message) => {
+				if (!(message.messageNumberHex in messages)) {
+					messages[message.messageNumberHex] = new MessageSet(message.messageNumber).getName() || "UNKNOWN";
+				}
+				message.name = messages[message.messageNumberHex];
+			});
+		});
+
+		return { devices, messages };
+	}
+
+	broadcastPacket(packet) {
+		const packetData = this.serializePacket(packet);
+
+		// Link the already stored request to its response
+		if (packet.pairId !== undefined) {
+			for (let i = this.packetHistory.length - 1; i >= 0; i--) {
+				if (this.packetHistory[i].id === packet.pairId) {
+					this.packetHistory[i].pairId = packet.id;
+					this.packetHistory[i].latency = packet.latency;
+					break;
+				}
+			}
+		}
 
 		// Add to history
 		this.packetHistory.push(packetData);
@@ -187,10 +476,16 @@ class WebSocketServer {
 		}
 
 		// Broadcast to all connected clients
-		const message = JSON.stringify({
-			type: "packet",
-			data: packetData,
-		});
+		this.broadcast("packet", packetData);
+	}
+
+	/**
+	 * Send a message to all connected clients
+	 * @param {string} type - Message type
+	 * @param {Object} data - Message payload
+	 */
+	broadcast(type, data) {
+		const message = JSON.stringify({ type, data });
 
 		this.clients.forEach((client) => {
 			if (client.readyState === WebSocket.OPEN) {
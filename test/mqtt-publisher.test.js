@@ -0,0 +1,148 @@
+/*
+ * MQTT Publisher Tests
+ * Runs the publisher against an in-process aedes broker
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const mqtt = require("mqtt");
+const MqttPublisher = require("../src/mqtt-publisher");
+const { Packet } = require("../src/packet-decoder");
+
+const DISCOVERY_TOPIC = "homeassistant/sensor/nasa_20_00_00/var_in_temp_room_f/config";
+const STATE_TOPIC = "nasa/20.00.00/VAR_in_temp_room_f";
+
+let broker;
+let server;
+let url;
+
+before(async () => {
+	const { Aedes } = await import("aedes");
+	broker = await Aedes.createBroker();
+	server = net.createServer(broker.handle);
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	url = `mqtt://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+	await new Promise((resolve) => broker.close(resolve));
+	await new Promise((resolve) => server.close(resolve));
+});
+
+function createPacket(value) {
+	return Packet.fromObject({
+		sa: "20.00.00",
+		da: "10.00.00",
+		command: { dataType: "Notification" },
+		messages: [{ messageNumber: 0x4203, value }],
+	});
+}
+
+// Resolve with the first message on a topic, retained ones included, payload as text
+function waitForMessage(client, topic) {
+	return new Promise((resolve) => {
+		const onMessage = (received, payload, packet) => {
+			if (received === topic) {
+				client.removeListener("message", onMessage);
+				resolve({ payload: payload.toString(), retain: packet.retain });
+			}
+		};
+		client.on("message", onMessage);
+	});
+}
+
+// Resolve with the next publish of a topic by the given client, seen by the broker
+function waitForPublish(clientId, topic) {
+	return new Promise((resolve) => {
+		const onPublish = (packet, client) => {
+			if (client && client.id === clientId && packet.topic === topic) {
+				broker.removeListener("publish", onPublish);
+				resolve(JSON.parse(packet.payload.toString()));
+			}
+		};
+		broker.on("publish", onPublish);
+	});
+}
+
+async function connectSubscriber(topics) {
+	const client = await mqtt.connectAsync(url, { reconnectPeriod: 0 });
+	await client.subscribeAsync(topics);
+	return client;
+}
+
+test("connects through the injected client factory", async () => {
+	const calls = [];
+	const publisher = new MqttPublisher({
+		url,
+		connect: (brokerUrl, options) => {
+			calls.push(brokerUrl);
+			return mqtt.connect(brokerUrl, options);
+		},
+	});
+
+	const connected = new Promise((resolve) => publisher.once("connected", resolve));
+	publisher.connect();
+	await connected;
+	await publisher.close();
+
+	assert.deepEqual(calls, [url]);
+});
+
+test("publishes retained discovery config and state topics", async () => {
+	const publisher = new MqttPublisher({ url, homeAssistant: true, minInterval: 0 });
+	const connected = new Promise((resolve) => publisher.once("connected", resolve));
+	publisher.connect();
+	await connected;
+
+	const published = waitForPublish(publisher.options.clientId, STATE_TOPIC);
+	publisher.publishPacket(createPacket(215));
+	await published;
+
+	// A client that subscribes afterwards only gets the values because they are retained
+	const subscriber = await connectSubscriber(["homeassistant/#", "nasa/#"]);
+	const [config, state, status] = await Promise.all([
+		waitForMessage(subscriber, DISCOVERY_TOPIC),
+		waitForMessage(subscriber, STATE_TOPIC),
+		waitForMessage(subscriber, "nasa/status"),
+	]);
+	await subscriber.endAsync();
+	await publisher.close();
+
+	assert.equal(config.retain, true);
+	const configPayload = JSON.parse(config.payload);
+	assert.equal(configPayload.state_topic, STATE_TOPIC);
+	assert.equal(configPayload.unit_of_measurement, "°C");
+	assert.equal(configPayload.device_class, "temperature");
+	assert.equal(configPayload.availability_topic, "nasa/status");
+
+	assert.equal(state.retain, true);
+	const statePayload = JSON.parse(state.payload);
+	assert.equal(statePayload.value, 21.5);
+	assert.equal(statePayload.unit, "°C");
+
+	assert.equal(status.payload, "online");
+});
+
+test("publishes discovery again after a reconnect", async () => {
+	const publisher = new MqttPublisher({ url, homeAssistant: true, minInterval: 0, reconnectDelay: 100 });
+	const connected = new Promise((resolve) => publisher.once("connected", resolve));
+	publisher.connect();
+	await connected;
+
+	const discovered = waitForPublish(publisher.options.clientId, DISCOVERY_TOPIC);
+	publisher.publishPacket(createPacket(215));
+	await discovered;
+
+	// Drop the connection on the broker side, the publisher reconnects on its own
+	const disconnected = new Promise((resolve) => publisher.once("disconnected", resolve));
+	const reconnected = new Promise((resolve) => publisher.once("connected", resolve));
+	const rediscovered = waitForPublish(publisher.options.clientId, DISCOVERY_TOPIC);
+	broker.clients[publisher.options.clientId].conn.destroy();
+	await disconnected;
+	await reconnected;
+	const config = await rediscovered;
+	await publisher.close();
+
+	assert.equal(config.state_topic, STATE_TOPIC);
+});